@@ -15,17 +15,80 @@
  */
 const CONFIG = {
   MENU_ID: "biztone-convert",
+  MENU_PROFILE_PREFIX: ":profile:",
+  MENU_ACTION_PREFIX: ":action:",
+  MENU_TARGET_PREFIX: ":to:",
+  MENU_TRANSLATE_SUFFIX: ":translate",
+  MENU_RISK_SUFFIX: ":risk",
+  MENU_WHITELIST_SUFFIX: ":whitelist",
+  MENU_BLACKLIST_SUFFIX: ":blacklist",
   DEBOUNCE_MS: 400,
   DEFAULT_MODEL: "gpt-4o-mini",
+  DEFAULT_PROVIDER: "openai",
   OPENAI_API_URL: "https://api.openai.com/v1/chat/completions",
+  ANTHROPIC_API_URL: "https://api.anthropic.com/v1/messages",
+  ANTHROPIC_API_VERSION: "2023-06-01",
+  GEMINI_API_URL: "https://generativelanguage.googleapis.com/v1beta/models",
+  AZURE_API_VERSION: "2024-06-01",
+  
+  // Corporate gateway (token-based auth, no API key in the browser)
+  GATEWAY: {
+    LOGIN_PATH: "/auth/login",
+    REFRESH_PATH: "/auth/refresh",
+    LOGOUT_PATH: "/auth/logout",
+    CHAT_PATH: "/v1/chat/completions",
+    TOKEN_REFRESH_SKEW_MS: 60000, // Refresh one minute before expiry
+    SESSION_KEY: "BIZTONE_GATEWAY_SESSION",
+    REFRESH_TOKEN_KEY: "BIZTONE_GATEWAY_REFRESH"
+  },
+  
+  // Self-hosted inference servers
+  LOCAL: {
+    OLLAMA_ENDPOINT: "http://localhost:11434",
+    LLAMACPP_ENDPOINT: "http://localhost:8080",
+    API_TIMEOUT_MS: 60000, // Local models on CPU can be slow
+    HEALTH_TIMEOUT_MS: 5000
+  },
   
   // Performance settings
   API_TIMEOUT_MS: 15000,
   MAX_RETRIES: 3,
   RATE_LIMIT_DELAY: 500,
+  STREAM_CHUNK_INTERVAL_MS: 60, // Throttle partial-result messages to the tab
+  FRAME_REQUEST_TIMEOUT_MS: 500, // Don't hold a conversion for a slow/absent content script
   
   // Cache settings
-  GUARD_MODE_CACHE_MS: 30000
+  GUARD_MODE_CACHE_MS: 30000,
+  
+  // Alternative rewrites offered in the conversion bubble (one call, JSON output)
+  TONE_VARIANTS: [
+    { id: "polite", label: "공손", instruction: "최대한 공손하고 부드러운 존댓말" },
+    { id: "concise", label: "간결", instruction: "핵심만 담은 짧고 명확한 문장" },
+    { id: "firm", label: "단호하지만 정중", instruction: "요청과 입장은 분명히 하되 예의를 갖춘 문장" }
+  ],
+
+  // Rewrite actions in the context menu; each adds one rule to the conversion prompt
+  REWRITE_ACTIONS: [
+    { id: "shorter", title: "더 짧게", rule: "원문보다 눈에 띄게 짧게, 핵심 요청과 정보만 남긴다" },
+    { id: "politer", title: "더 공손하게", rule: "원문보다 한층 더 공손하고 부드럽게, 쿠션어를 적절히 넣는다" },
+    { id: "apology", title: "사과문으로", rule: "불편을 끼친 점을 인정하는 정중한 사과문으로 쓴다 (사과 → 경위 → 조치·재발 방지 순서)" },
+    { id: "summary", title: "요약", rule: "핵심 내용만 3문장 이내로 요약한다 (항목이 여럿이면 글머리표 사용)" }
+  ],
+
+  // Target languages for translate-and-polish (context menu and bubble)
+  TRANSLATION_TARGETS: [
+    { locale: "en", label: "영어", register: "해외 고객에게 보내는 정중하고 간결한 비즈니스 영어" },
+    { locale: "ja", label: "일본어", register: "거래처에 보내는 경어(존경어·겸양어·정중어)를 갖춘 비즈니스 일본어" },
+    { locale: "zh", label: "중국어", register: "您을 쓰는 정식 서면체 비즈니스 중국어(간체)" },
+    { locale: "ko", label: "한국어", register: "존댓말을 쓰는 정중한 한국어 비즈니스 문체" }
+  ],
+
+  // Surrounding thread messages sent with a conversion (opt-in, see THREAD_CONTEXT_ENABLED)
+  THREAD_CONTEXT: {
+    DEFAULT_BUDGET: 800, // Characters
+    MIN_BUDGET: 200,
+    MAX_BUDGET: 3000
+  }
 };
 
 /**
@@ -43,6 +106,17 @@ const MESSAGE_TYPES = {
   // Text processing
   BIZTONE_TEST_CONVERT: "BIZTONE_TEST_CONVERT",
   BIZTONE_CONVERT_TEXT: "BIZTONE_CONVERT_TEXT",
+  BIZTONE_CONVERT_VARIANTS: "BIZTONE_CONVERT_VARIANTS",
+  BIZTONE_TRANSLATE_TEXT: "BIZTONE_TRANSLATE_TEXT",
+  BIZTONE_TRANSLATION_RESULT: "BIZTONE_TRANSLATION_RESULT",
+  BIZTONE_RISK_RESULT: "BIZTONE_RISK_RESULT",
+  BIZTONE_SHOW_TOAST: "BIZTONE_SHOW_TOAST",
+  
+  // Tone profiles
+  BIZTONE_GET_TONE_PROFILES: "BIZTONE_GET_TONE_PROFILES",
+  BIZTONE_SAVE_TONE_PROFILE: "BIZTONE_SAVE_TONE_PROFILE",
+  BIZTONE_REMOVE_TONE_PROFILE: "BIZTONE_REMOVE_TONE_PROFILE",
+  BIZTONE_SET_DEFAULT_TONE_PROFILE: "BIZTONE_SET_DEFAULT_TONE_PROFILE",
   BIZTONE_GUARD_DECIDE: "BIZTONE_GUARD_DECIDE",
   BIZTONE_ADVANCED_RISK: "BIZTONE_ADVANCED_RISK",
   
@@ -50,16 +124,31 @@ const MESSAGE_TYPES = {
   BIZTONE_GET_GUARD_MODE: "BIZTONE_GET_GUARD_MODE",
   BIZTONE_GUARD_WARNING: "BIZTONE_GUARD_WARNING",
   BIZTONE_GET_PROFANITY_DATA: "BIZTONE_GET_PROFANITY_DATA",
+  BIZTONE_GET_PROVIDERS: "BIZTONE_GET_PROVIDERS",
+  BIZTONE_VALIDATE_PROVIDER: "BIZTONE_VALIDATE_PROVIDER",
+  BIZTONE_LIST_MODELS: "BIZTONE_LIST_MODELS",
+  BIZTONE_STREAM_CHUNK: "BIZTONE_STREAM_CHUNK",
+  BIZTONE_CANCEL_STREAM: "BIZTONE_CANCEL_STREAM",
+  BIZTONE_GET_THREAD_CONTEXT: "BIZTONE_GET_THREAD_CONTEXT",
+  BIZTONE_CAPTURE_RICH_SELECTION: "BIZTONE_CAPTURE_RICH_SELECTION",
+  BIZTONE_REVERT_REPLACEMENT: "BIZTONE_REVERT_REPLACEMENT",
+  BIZTONE_GATEWAY_LOGIN: "BIZTONE_GATEWAY_LOGIN",
+  BIZTONE_GATEWAY_LOGOUT: "BIZTONE_GATEWAY_LOGOUT",
+  BIZTONE_GATEWAY_STATUS: "BIZTONE_GATEWAY_STATUS",
   
   // Whitelist/Blacklist management
   BIZTONE_GET_WHITELIST: "BIZTONE_GET_WHITELIST",
   BIZTONE_SET_WHITELIST: "BIZTONE_SET_WHITELIST",
   BIZTONE_ADD_WHITELIST_ITEM: "BIZTONE_ADD_WHITELIST_ITEM",
   BIZTONE_REMOVE_WHITELIST_ITEM: "BIZTONE_REMOVE_WHITELIST_ITEM",
+  BIZTONE_WHITELIST_SPAN: "BIZTONE_WHITELIST_SPAN",
+  BIZTONE_GET_WHITELIST_PATTERNS: "BIZTONE_GET_WHITELIST_PATTERNS",
+  BIZTONE_RESTORE_DEFAULT_WHITELIST: "BIZTONE_RESTORE_DEFAULT_WHITELIST",
   BIZTONE_GET_BLACKLIST: "BIZTONE_GET_BLACKLIST",
   BIZTONE_SET_BLACKLIST: "BIZTONE_SET_BLACKLIST",
   BIZTONE_ADD_BLACKLIST_ITEM: "BIZTONE_ADD_BLACKLIST_ITEM",
   BIZTONE_REMOVE_BLACKLIST_ITEM: "BIZTONE_REMOVE_BLACKLIST_ITEM",
+  BIZTONE_GET_LIST_STORAGE_USAGE: "BIZTONE_GET_LIST_STORAGE_USAGE",
   
   // Domain management
   BIZTONE_GET_DOMAIN_STATUS: "BIZTONE_GET_DOMAIN_STATUS",
@@ -68,6 +157,7 @@ const MESSAGE_TYPES = {
   BIZTONE_GET_DOMAIN_RULES: "BIZTONE_GET_DOMAIN_RULES",
   BIZTONE_SET_DOMAIN_RULE: "BIZTONE_SET_DOMAIN_RULE",
   BIZTONE_REMOVE_DOMAIN_RULE: "BIZTONE_REMOVE_DOMAIN_RULE",
+  BIZTONE_TEST_DOMAIN_RULE: "BIZTONE_TEST_DOMAIN_RULE",
   
   // System
   OPEN_OPTIONS: "OPEN_OPTIONS"
@@ -80,12 +170,18 @@ const MESSAGE_TYPES = {
 const ERROR_MESSAGES = {
   NO_SELECTION: "선택된 텍스트가 없습니다.",
   NO_API_KEY: "API Key가 설정되지 않았습니다. 설정에서 입력해 주세요.",
+  GATEWAY_LOGIN_REQUIRED: "게이트웨이 로그인이 필요합니다. 설정에서 로그인해 주세요.",
+  STREAM_CANCELLED: "변환이 취소되었습니다.",
   CONVERSION_FAILED: "변환에 실패했습니다. 다시 시도해 주세요.",
+  TRANSLATION_FAILED: "번역에 실패했습니다. 다시 시도해 주세요.",
+  UNSUPPORTED_LANGUAGE: "지원하지 않는 번역 언어입니다.",
   RISK_ASSESSMENT_FAILED: "위험도 평가 실패",
   DECISION_FAILED: "결정 실패",
   DOMAIN_OPERATION_FAILED: "도메인 작업 실패",
+  TONE_PROFILE_OPERATION_FAILED: "톤 프로필 작업 실패",
   WHITELIST_OPERATION_FAILED: "화이트리스트 작업 실패",
-  BLACKLIST_OPERATION_FAILED: "블랙리스트 작업 실패"
+  BLACKLIST_OPERATION_FAILED: "블랙리스트 작업 실패",
+  LIST_UNAVAILABLE: "목록이 다른 기기에만 저장되어 있어 이 기기에서는 불러오거나 수정할 수 없습니다."
 };
 
 /**
@@ -95,8 +191,14 @@ const ERROR_MESSAGES = {
 const LIST_CONSTANTS = {
   STORAGE_KEYS: {
     WHITELIST: 'BIZTONE_WHITELIST',
-    BLACKLIST: 'BIZTONE_BLACKLIST'
+    BLACKLIST: 'BIZTONE_BLACKLIST',
+    WHITELIST_SEEDED: 'BIZTONE_WHITELIST_SEEDED'
   },
+  // Benign words that contain profanity; added once as editable whitelist items
+  DEFAULT_WHITELIST: ["시발점", "始發", "시발역", "출발점", "미친 듯이", "미친 척", "개발자", "개같이", "열받아"],
+  // Replaces whitelisted characters before matching; not a separator, so the
+  // letters on either side of a masked phrase can't join into a match
+  MASK_CHAR: '\u3007',
   MATCH_TYPES: {
     EXACT: 'exact',
     CONTAINS: 'contains', 
@@ -105,6 +207,8 @@ const LIST_CONSTANTS = {
   LOCALES: {
     KOREAN: 'ko',
     ENGLISH: 'en',
+    JAPANESE: 'ja',
+    CHINESE: 'zh',
     ALL: 'all'
   },
   WEIGHTS: {
@@ -112,9 +216,67 @@ const LIST_CONSTANTS = {
     MEDIUM: 2,
     HIGH: 3,
     VERY_HIGH: 4
+  },
+  // Scopes offered by "이 단어는 괜찮아요" on the page
+  SPAN_SCOPES: {
+    EXACT: 'exact',
+    CONTAINS: 'contains',
+    DOMAIN: 'domain'
+  },
+  // Chunked layout: "<KEY>_INDEX" in sync points at "<KEY>_0".."<KEY>_n" in sync or local
+  STORAGE_LAYOUT: {
+    VERSION: 3,                 // 3: chunks are { writeId, items } (2: bare item arrays)
+    INDEX_SUFFIX: '_INDEX',
+    CHUNK_BYTES: 7168,          // below sync QUOTA_BYTES_PER_ITEM (8192) incl. key
+    SYNC_BUDGET_BYTES: 40960,   // per list; both lists leave ~20 KB of sync for settings
+    AREAS: {
+      SYNC: 'sync',
+      LOCAL: 'local'
+    }
+  },
+  // Periodic job that drops items past their expiresAt
+  PRUNE_ALARM: {
+    NAME: 'biztone-prune-lists',
+    PERIOD_MINUTES: 60
   }
 };
 
+/**
+ * Constants for tone profiles (target style per recipient type)
+ * @readonly
+ */
+const TONE_PROFILE_CONSTANTS = {
+  STORAGE_KEYS: {
+    PROFILES: 'BIZTONE_TONE_PROFILES',
+    DEFAULT_PROFILE: 'BIZTONE_DEFAULT_TONE_PROFILE'
+  },
+  FORMALITY: {
+    HIGH: 'high',
+    MEDIUM: 'medium',
+    CASUAL: 'casual'
+  },
+  SPEECH_LEVELS: {
+    AUTO: 'auto',
+    HASIPSIO: 'hasipsio', // 하십시오체
+    HAEYO: 'haeyo'        // 해요체
+  },
+  LIMITS: {
+    NAME_LENGTH: 30,
+    MAX_LENGTH: 1000,
+    BANNED_PHRASES: 30,
+    INSTRUCTIONS_LENGTH: 300
+  },
+  DEFAULT_PROFILE_ID: 'default',
+  DEFAULT_PROFILES: [
+    { id: 'default', name: '기본 비즈니스', formality: 'medium', speechLevel: 'auto', maxLength: 0, bannedPhrases: [], instructions: '' },
+    { id: 'boss_report', name: '상사 보고', formality: 'high', speechLevel: 'hasipsio', maxLength: 200, bannedPhrases: ['그냥', '알아서'], instructions: '결론을 먼저 말하고 근거와 요청 사항을 간결하게 정리' },
+    { id: 'customer', name: '고객 응대', formality: 'high', speechLevel: 'hasipsio', maxLength: 250, bannedPhrases: ['안 됩니다', '모르겠습니다'], instructions: '공감 표현을 먼저 하고 가능한 대안을 제시' },
+    { id: 'peer', name: '동료 협업', formality: 'casual', speechLevel: 'haeyo', maxLength: 150, bannedPhrases: [], instructions: '친근하지만 예의 있게, 요청은 명확하게' },
+    { id: 'partner', name: '외부 파트너', formality: 'high', speechLevel: 'hasipsio', maxLength: 250, bannedPhrases: [], instructions: '회사를 대표하는 어조로 일정과 조건을 명확히' },
+    { id: 'apology', name: '사과문', formality: 'high', speechLevel: 'hasipsio', maxLength: 300, bannedPhrases: ['어쩔 수 없', '그럴 수도 있'], instructions: '책임을 인정하고 원인과 재발 방지 대책을 포함' }
+  ]
+};
+
 // ==================== STATE MANAGEMENT ====================
 
 /**
@@ -129,6 +291,8 @@ class BizToneState {
     this.guardModeSettings = {
       GUARD_MODE: "warn" // Default: warn mode (recommended)
     };
+    this.activeStreams = new Map(); // streamId -> AbortController
+    this.menuRebuildPromise = null;
   }
   
   /**
@@ -187,309 +351,2151 @@ class ValidationError extends BizToneError {
   }
 }
 
-// ==================== API SERVICE ====================
+class AuthError extends BizToneError {
+  constructor(message = ERROR_MESSAGES.GATEWAY_LOGIN_REQUIRED) {
+    super(message, 'AUTH_REQUIRED');
+  }
+}
+
+class CancelledError extends BizToneError {
+  constructor(message = ERROR_MESSAGES.STREAM_CANCELLED) {
+    super(message, 'CANCELLED');
+  }
+}
+
+// ==================== LLM PROVIDERS ====================
 
 /**
- * OpenAI API service with enhanced error handling and retry logic
+ * Base class for LLM provider adapters.
+ *
+ * Every provider receives the same provider-neutral request
+ * ({ system, messages, temperature, maxTokens, jsonMode }) and is responsible for
+ * translating it to its own wire format, auth scheme and response shape.
  */
-class OpenAIService {
-  constructor() {
-    this.baseURL = CONFIG.OPENAI_API_URL;
-    this.timeout = CONFIG.API_TIMEOUT_MS;
-    this.maxRetries = CONFIG.MAX_RETRIES;
-  }
-  
+class LLMProvider {
   /**
-   * Makes authenticated request to OpenAI API
-   * @param {Object} requestBody - Request payload
-   * @param {string} apiKey - API key
-   * @returns {Promise<Object>} API response
+   * @param {Object} options - Provider metadata
+   * @param {string} options.id - Registry ID
+   * @param {string} options.label - Human readable name
+   * @param {string} options.defaultModel - Model used when none is configured
+   * @param {Array<string>} [options.models] - Suggested models for the options page
+   * @param {boolean} [options.requiresKey] - Whether an API key is mandatory
+   * @param {boolean} [options.requiresEndpoint] - Whether a custom endpoint is mandatory
+   * @param {string} [options.defaultEndpoint] - Endpoint used when none is configured
+   * @param {boolean} [options.local] - Whether the provider runs on a self-hosted server
+   * @param {number} [options.timeoutMs] - Request timeout override
+   * @param {boolean} [options.streaming] - Whether streamed responses are supported
+   * @param {string} [options.streamFormat] - "sse" (data: lines) or "ndjson"
    */
-  async makeRequest(requestBody, apiKey) {
-    if (!apiKey) {
-      throw new ValidationError(ERROR_MESSAGES.NO_API_KEY);
-    }
-    
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), this.timeout);
-    
-    try {
-      for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
-        try {
-          const response = await fetch(this.baseURL, {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-              'Authorization': `Bearer ${apiKey}`
-            },
-            body: JSON.stringify(requestBody),
-            signal: controller.signal
-          });
-          
-          if (response.status !== 429) {
-            if (!response.ok) {
-              const errorText = await response.text();
-              throw new APIError(`OpenAI API error (${response.status}): ${errorText}`, response.status);
-            }
-            return await response.json();
-          }
-          
-          // Handle rate limiting with exponential backoff
-          if (attempt < this.maxRetries) {
-            const delay = CONFIG.RATE_LIMIT_DELAY * attempt * attempt;
-            await new Promise(resolve => setTimeout(resolve, delay));
-          }
-        } catch (error) {
-          if (error.name === 'AbortError') {
-            throw new APIError('OpenAI API request timeout');
-          }
-          if (attempt === this.maxRetries) throw error;
-          
-          // Network error backoff
-          const delay = 1000 * attempt;
-          await new Promise(resolve => setTimeout(resolve, delay));
-        }
-      }
-    } finally {
-      clearTimeout(timeout);
-    }
+  constructor({ id, label, defaultModel, models = [], requiresKey = true, requiresEndpoint = false, defaultEndpoint = null, local = false, timeoutMs = CONFIG.API_TIMEOUT_MS, streaming = false, streamFormat = 'sse' }) {
+    this.id = id;
+    this.label = label;
+    this.defaultModel = defaultModel;
+    this.models = models;
+    this.requiresKey = requiresKey;
+    this.requiresEndpoint = requiresEndpoint;
+    this.defaultEndpoint = defaultEndpoint;
+    this.local = local;
+    this.timeoutMs = timeoutMs;
+    this.streaming = streaming;
+    this.streamFormat = streamFormat;
   }
-  
+
   /**
-   * Convert text to business tone
-   * @param {string} text - Text to convert
-   * @param {string} model - Model to use
-   * @param {string} apiKey - API key
-   * @returns {Promise<string>} Converted text
+   * Resolves the base endpoint (configured or default), without trailing slash
+   * @param {Object} apiConfig - API configuration
+   * @returns {string}
    */
-  async convertToBusinessTone(text, model, apiKey) {
-    const requestBody = {
-      model: model || CONFIG.DEFAULT_MODEL,
-      temperature: 0.3,
-      max_tokens: 200,
-      messages: [
-        {
-          role: "system",
-          content: `너는 한국 직장 문화에 익숙한 '비즈니스 커뮤니케이션 전문가'다.
-역할: 입력된 문장을 정중하고 전문적인 비즈니스 톤으로 변환한다.
-
-규칙:
-- 감정적 표현을 중립적이고 객관적으로 변경
-- 명령형을 정중한 요청형으로 변경  
-- 비속어나 부적절한 표현을 적절한 비즈니스 용어로 대체
-- 한국어 존댓말과 비즈니스 매너를 반영
-- 원문의 핵심 의미는 유지하되 톤만 개선
-
-중요: 변환된 문장만 출력하고, "변경하겠습니다", "로 수정합니다" 등의 설명은 절대 포함하지 마세요.`
-        },
-        {
-          role: "user",
-          content: `다음 문장을 비즈니스 톤으로 변환하되, 변환된 문장만 출력하세요:
-
-${text}
-
-변환된 문장:`
-        }
-      ]
-    };
-    
-    try {
-      const data = await this.makeRequest(requestBody, apiKey);
-      const result = data?.choices?.[0]?.message?.content || text;
-      return result.trim();
-    } catch (error) {
-      throw new BizToneError(`텍스트 변환 실패: ${error.message}`);
-    }
+  getBaseUrl(apiConfig) {
+    return (apiConfig.endpoint || this.defaultEndpoint || '').replace(/\/+$/, '');
   }
-  
+
   /**
-   * Decide whether to send or convert text
-   * @param {string} text - Text to analyze
-   * @param {string} model - Model to use
-   * @param {string} apiKey - API key
-   * @returns {Promise<Object>} Decision result
+   * Checks whether the given config has everything this provider needs
+   * @param {Object} apiConfig - Config from getApiConfig()
+   * @returns {boolean}
    */
-  async decideTextAction(text, model, apiKey) {
-    const requestBody = {
-      model: model || CONFIG.DEFAULT_MODEL,
-      temperature: 0.0,
-      max_tokens: 150,
-      response_format: { type: "json_object" },
-      messages: [
-        {
-          role: "system",
-          content: `너는 한국 직장 문화에 익숙한 '비즈니스 커뮤니케이션 가드'다.
-역할: 입력 문장이 '그대로 보내도 안전한지' 또는 '비즈니스 톤으로 변환해야 하는지'를 결정한다.
-출력은 반드시 JSON 한 줄로만 한다.`
-        },
-        {
-          role: "user",
-          content: `{"action": "send" 또는 "convert", "label": "적절함" 또는 "부적절함", "rationale": "1줄 이유", "converted_text": "변환된 텍스트"}
+  isConfigured(apiConfig) {
+    if (this.requiresKey && !apiConfig.key) return false;
+    if (this.requiresEndpoint && !apiConfig.endpoint) return false;
+    return true;
+  }
 
-- convert일 때만 converted_text에 정중하고 간결(한국 비즈니스 톤, ~150자)하게 변환한 결과를 넣어라.
-- rationale은 1줄 한국어로 아주 간단히.
+  /**
+   * Builds request URL
+   * @param {Object} apiConfig - API configuration
+   * @returns {string} Request URL
+   */
+  getUrl(apiConfig) {
+    throw new BizToneError(`${this.label}: getUrl not implemented`, 'PROVIDER_ERROR');
+  }
 
-문장: ${text}`
-        }
-      ]
-    };
-    
-    try {
-      const data = await this.makeRequest(requestBody, apiKey);
-      const rawResponse = data?.choices?.[0]?.message?.content || "{}";
-      
-      let parsed;
-      try {
-        parsed = JSON.parse(rawResponse);
-      } catch {
-        parsed = {};
-      }
-      
-      const action = (parsed.action === "convert" || parsed.action === "send") ? parsed.action : "send";
-      
-      return {
-        action,
-        converted_text: parsed.converted_text || "",
-        label: parsed.label || "",
-        rationale: parsed.rationale || ""
-      };
-    } catch (error) {
-      // Fail-safe: default to sending as-is
-      return {
-        action: "send",
-        converted_text: "",
-        label: "",
-        rationale: "결정 실패로 인한 안전 모드"
-      };
-    }
+  /**
+   * Builds request headers including authentication
+   * @param {Object} apiConfig - API configuration
+   * @returns {Object} Headers
+   */
+  getHeaders(apiConfig) {
+    return { 'Content-Type': 'application/json' };
   }
-}
 
-// Global API service instance
-const openAIService = new OpenAIService();
+  /**
+   * Translates the neutral request into the provider payload
+   * @param {Object} request - Provider-neutral request
+   * @param {Object} apiConfig - API configuration
+   * @returns {Object} Provider payload
+   */
+  buildBody(request, apiConfig) {
+    throw new BizToneError(`${this.label}: buildBody not implemented`, 'PROVIDER_ERROR');
+  }
 
-// ==================== WHITELIST/BLACKLIST MANAGEMENT ====================
+  /**
+   * Extracts completion text from the provider response
+   * @param {Object} data - Parsed JSON response
+   * @returns {string} Completion text (empty if missing)
+   */
+  parseResponse(data) {
+    return "";
+  }
 
-/**
- * Whitelist/Blacklist management service
- */
-class ListManager {
-  constructor() {
-    this.whitelistCache = null;
-    this.blacklistCache = null;
-    this.cacheTimeout = 30000; // 30 seconds
-    this.lastWhitelistUpdate = 0;
-    this.lastBlacklistUpdate = 0;
+  /**
+   * Builds the URL for a streamed request
+   * @param {Object} apiConfig - API configuration
+   * @returns {string} Request URL
+   */
+  getStreamUrl(apiConfig) {
+    return this.getUrl(apiConfig);
   }
-  
+
   /**
-   * Validates list item structure
-   * @param {Object} item - List item to validate
-   * @param {boolean} isBlacklist - Whether this is for blacklist (needs weight)
-   * @returns {boolean} True if valid
+   * Builds the payload for a streamed request
+   * @param {Object} request - Provider-neutral request
+   * @param {Object} apiConfig - API configuration
+   * @returns {Object} Provider payload
    */
-  validateListItem(item, isBlacklist = false) {
-    if (!item || typeof item !== 'object') return false;
-    if (!item.text || typeof item.text !== 'string') return false;
-    if (!Object.values(LIST_CONSTANTS.MATCH_TYPES).includes(item.match)) return false;
-    if (!Object.values(LIST_CONSTANTS.LOCALES).includes(item.locale)) return false;
-    
-    if (isBlacklist) {
-      if (!Object.values(LIST_CONSTANTS.WEIGHTS).includes(item.weight)) return false;
-    }
-    
-    return true;
+  buildStreamBody(request, apiConfig) {
+    return { ...this.buildBody(request, apiConfig), stream: true };
   }
-  
+
   /**
-   * Creates a normalized list item
-   * @param {string} text - Text to match
-   * @param {string} match - Match type
-   * @param {string} locale - Locale
-   * @param {number} weight - Weight (blacklist only)
-   * @returns {Object} Normalized item
+   * Extracts the text delta from one parsed stream event
+   * @param {Object} event - Parsed JSON event
+   * @returns {string} Delta text (empty if the event carries none)
    */
-  createListItem(text, match = LIST_CONSTANTS.MATCH_TYPES.CONTAINS, locale = LIST_CONSTANTS.LOCALES.ALL, weight = null) {
-    const item = {
-      text: text.trim(),
-      match,
-      locale,
-      createdAt: Date.now(),
-      id: this.generateId()
-    };
-    
-    if (weight !== null) {
-      item.weight = weight;
-    }
-    
-    return item;
+  parseStreamEvent(event) {
+    return "";
   }
-  
+
   /**
-   * Generates unique ID for list items
-   * @returns {string} Unique ID
+   * Resolves per-request credentials (e.g. short-lived tokens) before sending
+   * @param {Object} apiConfig - API configuration
+   * @returns {Promise<Object>} Config used for this request
    */
-  generateId() {
-    return Date.now().toString(36) + Math.random().toString(36).substr(2);
+  async prepareConfig(apiConfig) {
+    return apiConfig;
   }
-  
+
   /**
-   * Gets whitelist from storage with caching
-   * @returns {Promise<Array>} Whitelist items
+   * Called once when the provider answers 401. Returns a refreshed config to
+   * retry with, or null to give up.
+   * @param {Object} apiConfig - API configuration
+   * @returns {Promise<Object|null>}
    */
-  async getWhitelist() {
-    const now = Date.now();
-    
-    if (this.whitelistCache && (now - this.lastWhitelistUpdate) < this.cacheTimeout) {
-      return this.whitelistCache;
-    }
-    
-    try {
-      const result = await chrome.storage.sync.get([LIST_CONSTANTS.STORAGE_KEYS.WHITELIST]);
-      const whitelist = result[LIST_CONSTANTS.STORAGE_KEYS.WHITELIST] || [];
-      
-      this.whitelistCache = whitelist;
-      this.lastWhitelistUpdate = now;
-      
-      return whitelist;
-    } catch (error) {
-      return [];
-    }
+  async handleUnauthorized(apiConfig) {
+    return null;
   }
-  
+
   /**
-   * Gets blacklist from storage with caching
-   * @returns {Promise<Array>} Blacklist items
+   * Lists models available to this provider
+   * @param {Object} apiConfig - API configuration
+   * @returns {Promise<Array<string>>} Model names
    */
-  async getBlacklist() {
-    const now = Date.now();
-    
-    if (this.blacklistCache && (now - this.lastBlacklistUpdate) < this.cacheTimeout) {
-      return this.blacklistCache;
-    }
-    
-    try {
-      const result = await chrome.storage.sync.get([LIST_CONSTANTS.STORAGE_KEYS.BLACKLIST]);
-      const blacklist = result[LIST_CONSTANTS.STORAGE_KEYS.BLACKLIST] || [];
-      
-      this.blacklistCache = blacklist;
-      this.lastBlacklistUpdate = now;
-      
-      return blacklist;
-    } catch (error) {
-      return [];
-    }
+  async listModels(apiConfig) {
+    return this.models;
   }
-  
+
   /**
-   * Saves whitelist to storage
-   * @param {Array} whitelist - Whitelist items
-   * @returns {Promise<boolean>} Success status
+   * Provider-specific health check. Returns null when the provider has no
+   * cheap health endpoint, in which case the service sends a tiny completion.
+   * @param {Object} apiConfig - API configuration
+   * @returns {Promise<Object|null>} Health info or null
    */
-  async saveWhitelist(whitelist) {
-    try {
-      await chrome.storage.sync.set({ [LIST_CONSTANTS.STORAGE_KEYS.WHITELIST]: whitelist });
-      this.whitelistCache = whitelist;
+  async checkHealth(apiConfig) {
+    return null;
+  }
+}
+
+/**
+ * OpenAI chat-completions adapter (also the base for compatible endpoints)
+ */
+class OpenAIProvider extends LLMProvider {
+  constructor(options = {}) {
+    super({
+      id: 'openai',
+      label: 'OpenAI',
+      defaultModel: CONFIG.DEFAULT_MODEL,
+      models: ['gpt-4o-mini', 'gpt-4o', 'gpt-3.5-turbo'],
+      streaming: true,
+      ...options
+    });
+  }
+
+  getUrl(apiConfig) {
+    return CONFIG.OPENAI_API_URL;
+  }
+
+  getHeaders(apiConfig) {
+    return {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${apiConfig.key}`
+    };
+  }
+
+  buildBody(request, apiConfig) {
+    const body = {
+      model: apiConfig.model || this.defaultModel,
+      temperature: request.temperature,
+      max_tokens: request.maxTokens,
+      messages: [
+        { role: "system", content: request.system },
+        ...request.messages
+      ]
+    };
+
+    if (request.jsonMode) {
+      body.response_format = { type: "json_object" };
+    }
+
+    return body;
+  }
+
+  parseResponse(data) {
+    return data?.choices?.[0]?.message?.content || "";
+  }
+
+  parseStreamEvent(event) {
+    return event?.choices?.[0]?.delta?.content || "";
+  }
+}
+
+/**
+ * Azure OpenAI adapter - deployment-based URL and api-key header
+ */
+class AzureOpenAIProvider extends OpenAIProvider {
+  constructor() {
+    super({
+      id: 'azure',
+      label: 'Azure OpenAI',
+      models: [],
+      requiresEndpoint: true
+    });
+  }
+
+  getUrl(apiConfig) {
+    const endpoint = this.getBaseUrl(apiConfig);
+    const deployment = encodeURIComponent(apiConfig.model || this.defaultModel);
+    const apiVersion = encodeURIComponent(apiConfig.apiVersion || CONFIG.AZURE_API_VERSION);
+    return `${endpoint}/openai/deployments/${deployment}/chat/completions?api-version=${apiVersion}`;
+  }
+
+  getHeaders(apiConfig) {
+    return {
+      'Content-Type': 'application/json',
+      'api-key': apiConfig.key
+    };
+  }
+
+  buildBody(request, apiConfig) {
+    // Azure selects the model by deployment name in the URL
+    const { model, ...body } = super.buildBody(request, apiConfig);
+    return body;
+  }
+}
+
+/**
+ * Generic OpenAI-compatible adapter (vLLM, LiteLLM, OpenRouter, ...)
+ */
+class OpenAICompatibleProvider extends OpenAIProvider {
+  constructor(options = {}) {
+    super({
+      id: 'openai-compatible',
+      label: 'OpenAI 호환 엔드포인트',
+      models: [],
+      requiresKey: false,
+      requiresEndpoint: true,
+      ...options
+    });
+  }
+
+  getUrl(apiConfig) {
+    return `${this.getBaseUrl(apiConfig)}/chat/completions`;
+  }
+
+  getHeaders(apiConfig) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiConfig.key) {
+      headers['Authorization'] = `Bearer ${apiConfig.key}`;
+    }
+    return headers;
+  }
+}
+
+/**
+ * Anthropic Messages API adapter
+ */
+class AnthropicProvider extends LLMProvider {
+  constructor() {
+    super({
+      id: 'anthropic',
+      label: 'Anthropic',
+      defaultModel: 'claude-3-5-haiku-latest',
+      models: ['claude-3-5-haiku-latest', 'claude-3-5-sonnet-latest'],
+      streaming: true
+    });
+  }
+
+  getUrl(apiConfig) {
+    return CONFIG.ANTHROPIC_API_URL;
+  }
+
+  getHeaders(apiConfig) {
+    return {
+      'Content-Type': 'application/json',
+      'x-api-key': apiConfig.key,
+      'anthropic-version': CONFIG.ANTHROPIC_API_VERSION,
+      'anthropic-dangerous-direct-browser-access': 'true'
+    };
+  }
+
+  buildBody(request, apiConfig) {
+    // No native JSON mode - reinforce the instruction in the system prompt
+    const system = request.jsonMode
+      ? `${request.system}\n반드시 JSON 객체 하나만 출력하고 다른 텍스트는 포함하지 마라.`
+      : request.system;
+
+    return {
+      model: apiConfig.model || this.defaultModel,
+      system,
+      temperature: request.temperature,
+      max_tokens: request.maxTokens,
+      messages: request.messages
+    };
+  }
+
+  parseResponse(data) {
+    return (data?.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+  }
+
+  parseStreamEvent(event) {
+    if (event?.type !== 'content_block_delta') return "";
+    return event.delta?.text || "";
+  }
+}
+
+/**
+ * Google Gemini generateContent adapter
+ */
+class GeminiProvider extends LLMProvider {
+  constructor() {
+    super({
+      id: 'gemini',
+      label: 'Google Gemini',
+      defaultModel: 'gemini-1.5-flash',
+      models: ['gemini-1.5-flash', 'gemini-1.5-pro'],
+      streaming: true
+    });
+  }
+
+  getUrl(apiConfig) {
+    const model = encodeURIComponent(apiConfig.model || this.defaultModel);
+    return `${CONFIG.GEMINI_API_URL}/${model}:generateContent`;
+  }
+
+  getStreamUrl(apiConfig) {
+    const model = encodeURIComponent(apiConfig.model || this.defaultModel);
+    return `${CONFIG.GEMINI_API_URL}/${model}:streamGenerateContent?alt=sse`;
+  }
+
+  buildStreamBody(request, apiConfig) {
+    // Streaming is selected by the URL, not a body flag
+    return this.buildBody(request, apiConfig);
+  }
+
+  getHeaders(apiConfig) {
+    return {
+      'Content-Type': 'application/json',
+      'x-goog-api-key': apiConfig.key
+    };
+  }
+
+  buildBody(request, apiConfig) {
+    const generationConfig = {
+      temperature: request.temperature,
+      maxOutputTokens: request.maxTokens
+    };
+
+    if (request.jsonMode) {
+      generationConfig.responseMimeType = 'application/json';
+    }
+
+    return {
+      systemInstruction: { parts: [{ text: request.system }] },
+      contents: request.messages.map(message => ({
+        role: message.role === 'assistant' ? 'model' : 'user',
+        parts: [{ text: message.content }]
+      })),
+      generationConfig
+    };
+  }
+
+  parseResponse(data) {
+    return (data?.candidates?.[0]?.content?.parts || [])
+      .map(part => part.text || '')
+      .join('');
+  }
+
+  parseStreamEvent(event) {
+    return this.parseResponse(event);
+  }
+}
+
+/**
+ * Ollama adapter for self-hosted models (/api/chat)
+ */
+class OllamaProvider extends LLMProvider {
+  constructor() {
+    super({
+      id: 'ollama',
+      label: 'Ollama (로컬)',
+      defaultModel: 'llama3.1',
+      requiresKey: false,
+      defaultEndpoint: CONFIG.LOCAL.OLLAMA_ENDPOINT,
+      local: true,
+      timeoutMs: CONFIG.LOCAL.API_TIMEOUT_MS,
+      streaming: true,
+      streamFormat: 'ndjson'
+    });
+  }
+
+  getUrl(apiConfig) {
+    return `${this.getBaseUrl(apiConfig)}/api/chat`;
+  }
+
+  buildBody(request, apiConfig) {
+    const body = {
+      model: apiConfig.model || this.defaultModel,
+      stream: false,
+      options: {
+        temperature: request.temperature,
+        num_predict: request.maxTokens
+      },
+      messages: [
+        { role: "system", content: request.system },
+        ...request.messages
+      ]
+    };
+
+    if (request.jsonMode) {
+      body.format = "json";
+    }
+
+    return body;
+  }
+
+  parseResponse(data) {
+    return data?.message?.content || "";
+  }
+
+  parseStreamEvent(event) {
+    return event?.message?.content || "";
+  }
+
+  async listModels(apiConfig) {
+    const data = await fetchLocalJson(`${this.getBaseUrl(apiConfig)}/api/tags`);
+    return (data?.models || []).map(model => model.name).filter(Boolean);
+  }
+
+  async checkHealth(apiConfig) {
+    const data = await fetchLocalJson(`${this.getBaseUrl(apiConfig)}/api/version`);
+    return { version: data?.version || null };
+  }
+}
+
+/**
+ * llama.cpp server adapter (OpenAI-compatible /v1 routes plus /health)
+ */
+class LlamaCppProvider extends OpenAICompatibleProvider {
+  constructor() {
+    super({
+      id: 'llamacpp',
+      label: 'llama.cpp 서버 (로컬)',
+      defaultModel: 'default',
+      requiresEndpoint: false,
+      defaultEndpoint: CONFIG.LOCAL.LLAMACPP_ENDPOINT,
+      local: true,
+      timeoutMs: CONFIG.LOCAL.API_TIMEOUT_MS
+    });
+  }
+
+  getUrl(apiConfig) {
+    return `${this.getBaseUrl(apiConfig)}/v1/chat/completions`;
+  }
+
+  async listModels(apiConfig) {
+    const data = await fetchLocalJson(`${this.getBaseUrl(apiConfig)}/v1/models`);
+    return (data?.data || []).map(model => model.id).filter(Boolean);
+  }
+
+  async checkHealth(apiConfig) {
+    const data = await fetchLocalJson(`${this.getBaseUrl(apiConfig)}/health`);
+    if (data?.status && data.status !== 'ok') {
+      throw new APIError(`llama.cpp server not ready: ${data.status}`, 503);
+    }
+    return { status: data?.status || 'ok' };
+  }
+}
+
+/**
+ * GETs JSON from a self-hosted inference server with a short timeout
+ * @param {string} url - Request URL
+ * @returns {Promise<Object>} Parsed JSON
+ */
+async function fetchLocalJson(url) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), CONFIG.LOCAL.HEALTH_TIMEOUT_MS);
+
+  try {
+    const response = await fetch(url, { method: 'GET', signal: controller.signal });
+    if (!response.ok) {
+      throw new APIError(`Local server error (${response.status}): ${await response.text()}`, response.status);
+    }
+    return await response.json();
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new APIError('Local server request timeout');
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+/**
+ * Corporate gateway adapter - OpenAI-compatible route authorized with a
+ * short-lived bearer token from GatewayAuth instead of a stored API key
+ */
+class GatewayProvider extends OpenAIProvider {
+  constructor() {
+    super({
+      id: 'gateway',
+      label: '사내 게이트웨이',
+      models: [],
+      requiresKey: false,
+      requiresEndpoint: true
+    });
+  }
+
+  getUrl(apiConfig) {
+    return `${this.getBaseUrl(apiConfig)}${CONFIG.GATEWAY.CHAT_PATH}`;
+  }
+
+  async prepareConfig(apiConfig) {
+    const token = await gatewayAuth.getAccessToken(this.getBaseUrl(apiConfig));
+    return { ...apiConfig, key: token };
+  }
+
+  async handleUnauthorized(apiConfig) {
+    const token = await gatewayAuth.refresh(this.getBaseUrl(apiConfig));
+    return { ...apiConfig, key: token };
+  }
+}
+
+/**
+ * Login/refresh flow for the corporate gateway.
+ *
+ * The access token lives in chrome.storage.session (memory only, cleared with
+ * the browser session); the refresh token in chrome.storage.local (never synced).
+ */
+class GatewayAuth {
+  constructor() {
+    this.refreshPromise = null;
+  }
+
+  /**
+   * Gets the cached access token session
+   * @returns {Promise<Object|null>} { accessToken, expiresAt, gatewayUrl }
+   */
+  async getSession() {
+    try {
+      const result = await chrome.storage.session.get([CONFIG.GATEWAY.SESSION_KEY]);
+      return result[CONFIG.GATEWAY.SESSION_KEY] || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Gets the stored refresh token record
+   * @returns {Promise<Object|null>} { refreshToken, gatewayUrl }
+   */
+  async getRefreshRecord() {
+    try {
+      const result = await chrome.storage.local.get([CONFIG.GATEWAY.REFRESH_TOKEN_KEY]);
+      return result[CONFIG.GATEWAY.REFRESH_TOKEN_KEY] || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Persists tokens returned by the gateway
+   * @param {string} gatewayUrl - Gateway base URL
+   * @param {Object} tokens - { access_token, expires_in, refresh_token? }
+   */
+  async saveTokens(gatewayUrl, tokens) {
+    const expiresIn = Number(tokens.expires_in) || 300;
+
+    await chrome.storage.session.set({
+      [CONFIG.GATEWAY.SESSION_KEY]: {
+        accessToken: tokens.access_token,
+        expiresAt: Date.now() + expiresIn * 1000,
+        gatewayUrl
+      }
+    });
+
+    if (tokens.refresh_token) {
+      await chrome.storage.local.set({
+        [CONFIG.GATEWAY.REFRESH_TOKEN_KEY]: {
+          refreshToken: tokens.refresh_token,
+          gatewayUrl
+        }
+      });
+    }
+  }
+
+  /**
+   * Clears all gateway tokens
+   */
+  async clearTokens() {
+    await chrome.storage.session.remove(CONFIG.GATEWAY.SESSION_KEY);
+    await chrome.storage.local.remove(CONFIG.GATEWAY.REFRESH_TOKEN_KEY);
+  }
+
+  /**
+   * Interactive login through the gateway's web auth page
+   * @param {string} gatewayUrl - Gateway base URL
+   * @returns {Promise<Object>} Token status
+   */
+  async login(gatewayUrl) {
+    const redirectUri = chrome.identity.getRedirectURL('gateway');
+    const loginUrl = `${gatewayUrl}${CONFIG.GATEWAY.LOGIN_PATH}?redirect_uri=${encodeURIComponent(redirectUri)}`;
+
+    const responseUrl = await chrome.identity.launchWebAuthFlow({ url: loginUrl, interactive: true });
+    if (!responseUrl) {
+      throw new AuthError('게이트웨이 로그인이 취소되었습니다.');
+    }
+
+    // Tokens may come back in the fragment (implicit style) or the query string
+    const url = new URL(responseUrl);
+    const params = new URLSearchParams(url.hash.replace(/^#/, '') || url.search);
+    const accessToken = params.get('access_token');
+
+    if (!accessToken) {
+      throw new AuthError(`게이트웨이 로그인 실패: ${params.get('error') || '토큰 없음'}`);
+    }
+
+    await this.saveTokens(gatewayUrl, {
+      access_token: accessToken,
+      expires_in: params.get('expires_in'),
+      refresh_token: params.get('refresh_token')
+    });
+
+    return this.getStatus(gatewayUrl);
+  }
+
+  /**
+   * Exchanges the refresh token for a new access token (deduplicated)
+   * @param {string} gatewayUrl - Gateway base URL
+   * @returns {Promise<string>} New access token
+   */
+  async refresh(gatewayUrl) {
+    if (this.refreshPromise) {
+      return this.refreshPromise;
+    }
+
+    this.refreshPromise = (async () => {
+      const record = await this.getRefreshRecord();
+      if (!record?.refreshToken || record.gatewayUrl !== gatewayUrl) {
+        throw new AuthError();
+      }
+
+      const response = await fetch(`${gatewayUrl}${CONFIG.GATEWAY.REFRESH_PATH}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refresh_token: record.refreshToken })
+      });
+
+      if (!response.ok) {
+        // Refresh token revoked or expired - force a new login
+        await this.clearTokens();
+        throw new AuthError();
+      }
+
+      const tokens = await response.json();
+      if (!tokens?.access_token) {
+        throw new AuthError();
+      }
+
+      await this.saveTokens(gatewayUrl, tokens);
+      return tokens.access_token;
+    })();
+
+    try {
+      return await this.refreshPromise;
+    } finally {
+      this.refreshPromise = null;
+    }
+  }
+
+  /**
+   * Returns a valid access token, refreshing when close to expiry
+   * @param {string} gatewayUrl - Gateway base URL
+   * @returns {Promise<string>} Access token
+   */
+  async getAccessToken(gatewayUrl) {
+    const session = await this.getSession();
+    const fresh = session?.accessToken &&
+                  session.gatewayUrl === gatewayUrl &&
+                  session.expiresAt - CONFIG.GATEWAY.TOKEN_REFRESH_SKEW_MS > Date.now();
+
+    if (fresh) {
+      return session.accessToken;
+    }
+
+    return this.refresh(gatewayUrl);
+  }
+
+  /**
+   * Signs out locally and notifies the gateway (best effort)
+   * @param {string} gatewayUrl - Gateway base URL
+   */
+  async signOut(gatewayUrl) {
+    const record = await this.getRefreshRecord();
+
+    if (record?.refreshToken && gatewayUrl) {
+      try {
+        await fetch(`${gatewayUrl}${CONFIG.GATEWAY.LOGOUT_PATH}`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ refresh_token: record.refreshToken })
+        });
+      } catch (error) {
+        // Gateway unreachable - local tokens are cleared anyway
+      }
+    }
+
+    await this.clearTokens();
+  }
+
+  /**
+   * Gets token status for the options page (never exposes tokens)
+   * @param {string} gatewayUrl - Gateway base URL
+   * @returns {Promise<Object>} { signedIn, expiresAt, canRefresh }
+   */
+  async getStatus(gatewayUrl) {
+    const session = await this.getSession();
+    const record = await this.getRefreshRecord();
+    const sessionValid = Boolean(session?.accessToken && session.gatewayUrl === gatewayUrl && session.expiresAt > Date.now());
+    const canRefresh = Boolean(record?.refreshToken && record.gatewayUrl === gatewayUrl);
+
+    return {
+      signedIn: sessionValid || canRefresh,
+      expiresAt: sessionValid ? session.expiresAt : null,
+      canRefresh
+    };
+  }
+}
+
+// Global gateway auth instance
+const gatewayAuth = new GatewayAuth();
+
+/**
+ * Registry of available LLM providers
+ */
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  /**
+   * Registers a provider adapter
+   * @param {LLMProvider} provider - Provider instance
+   */
+  register(provider) {
+    this.providers.set(provider.id, provider);
+  }
+
+  /**
+   * Gets provider by ID, falling back to the default provider
+   * @param {string} id - Provider ID
+   * @returns {LLMProvider}
+   */
+  get(id) {
+    return this.providers.get(id) || this.providers.get(CONFIG.DEFAULT_PROVIDER);
+  }
+
+  /**
+   * Lists provider metadata for UI
+   * @returns {Array<Object>}
+   */
+  list() {
+    return Array.from(this.providers.values()).map(provider => ({
+      id: provider.id,
+      label: provider.label,
+      defaultModel: provider.defaultModel,
+      models: provider.models,
+      requiresKey: provider.requiresKey,
+      requiresEndpoint: provider.requiresEndpoint,
+      defaultEndpoint: provider.defaultEndpoint,
+      local: provider.local
+    }));
+  }
+}
+
+// Global provider registry
+const providerRegistry = new ProviderRegistry();
+providerRegistry.register(new OpenAIProvider());
+providerRegistry.register(new AzureOpenAIProvider());
+providerRegistry.register(new AnthropicProvider());
+providerRegistry.register(new GeminiProvider());
+providerRegistry.register(new OpenAICompatibleProvider());
+providerRegistry.register(new OllamaProvider());
+providerRegistry.register(new LlamaCppProvider());
+providerRegistry.register(new GatewayProvider());
+
+// ==================== LANGUAGE DETECTION & LOCALE PROMPTS ====================
+
+/**
+ * Language detection heuristics
+ */
+const LANGUAGE_DETECTION = {
+  DEFAULT_LOCALE: 'ko',
+  // A Hangul syllable, kana or Han character carries about as much text as this many Latin letters
+  CJK_WEIGHT: 2.5,
+  // Share of common English words that makes Latin-heavy mixed text English
+  ENGLISH_WORD_RATIO: 0.15,
+  ENGLISH_COMMON_WORDS: new Set([
+    'the', 'a', 'an', 'and', 'or', 'but', 'to', 'of', 'in', 'on', 'for', 'with', 'at', 'by', 'from',
+    'is', 'are', 'was', 'were', 'be', 'been', 'do', 'does', 'did', 'have', 'has', 'had', 'can', 'could',
+    'will', 'would', 'should', 'please', 'thanks', 'thank', 'you', 'your', 'i', 'me', 'my', 'we', 'our',
+    'it', 'this', 'that', 'these', 'those', 'not', 'no', 'yes', 'why', 'what', 'when', 'how', 'who',
+    'now', 'so', 'just', 'again', 'still', 'if', 'let', 'know', 'get', 'send', 'need'
+  ])
+};
+
+/**
+ * Detects the language of a message from its script ratio, falling back to
+ * common-word heuristics when Latin letters dominate a mixed message
+ * (e.g. Korean sentences full of product names stay Korean).
+ * Any kana makes Han characters count as Japanese; Han without kana is Chinese.
+ * @param {string} text - Message text (rich-text placeholders are ignored)
+ * @returns {string} Locale code ('ko', 'en', 'ja' or 'zh')
+ */
+function detectLanguage(text) {
+  const cleaned = String(text || '')
+    .replace(/⟦\/?\d+⟧/g, ' ')
+    .replace(/https?:\/\/\S+|\S+@\S+\.\S+/g, ' ') // URLs and email addresses
+    .replace(/[@#][\w.-]+/g, ' ');                 // Mentions, channels, hashtags
+
+  const count = (pattern) => (cleaned.match(pattern) || []).length;
+  const hangul = count(/[\uAC00-\uD7A3\u3131-\u318E\u1100-\u11FF]/g);
+  const kana = count(/[\u3041-\u309F\u30A0-\u30FF\u31F0-\u31FF\uFF66-\uFF9F]/g);
+  const han = count(/[\u3400-\u4DBF\u4E00-\u9FFF\uF900-\uFAFF]/g);
+  const latin = count(/[A-Za-z]/g);
+
+  // Strongest CJK script; Han counts toward Japanese only when kana is present
+  const scripts = [
+    ['ko', hangul],
+    ['ja', kana > 0 ? kana + han : 0],
+    ['zh', kana > 0 ? 0 : han]
+  ];
+  const [cjkLocale, cjkCount] = scripts.reduce((best, entry) => (entry[1] > best[1] ? entry : best));
+
+  if (cjkCount === 0 && latin === 0) return LANGUAGE_DETECTION.DEFAULT_LOCALE;
+  if (cjkCount * LANGUAGE_DETECTION.CJK_WEIGHT >= latin) return cjkLocale;
+  if (cjkCount === 0) return 'en';
+
+  const words = cleaned.toLowerCase().match(/[a-z']+/g) || [];
+  const common = words.filter(word => LANGUAGE_DETECTION.ENGLISH_COMMON_WORDS.has(word)).length;
+  return common >= Math.max(1, words.length * LANGUAGE_DETECTION.ENGLISH_WORD_RATIO) ? 'en' : cjkLocale;
+}
+
+/**
+ * Prompt texts per locale. Rules shared by every request (placeholders,
+ * thread context, tone profile) are inserted through `extraRules`.
+ */
+const LOCALE_PROMPTS = {
+  ko: {
+    conversionSystem: (extraRules) => `너는 한국 직장 문화에 익숙한 '비즈니스 커뮤니케이션 전문가'다.
+역할: 입력된 문장을 정중하고 전문적인 비즈니스 톤으로 변환한다.
+
+규칙:
+- 감정적 표현을 중립적이고 객관적으로 변경
+- 명령형을 정중한 요청형으로 변경
+- 비속어나 부적절한 표현을 적절한 비즈니스 용어로 대체
+- 한국어 존댓말과 비즈니스 매너를 반영
+- 영어 단어·제품명·기술 용어는 번역하지 않고 그대로 둔다
+- 원문의 핵심 의미는 유지하되 톤만 개선${extraRules}
+
+중요: 변환된 문장만 출력하고, "변경하겠습니다", "로 수정합니다" 등의 설명은 절대 포함하지 마세요.`,
+    conversionUser: (text, contextBlock) => `${contextBlock}다음 문장을 비즈니스 톤으로 변환하되, 변환된 문장만 출력하세요:
+
+${text}
+
+변환된 문장:`,
+    variantsSystem: (extraRules) => `너는 한국 직장 문화에 익숙한 '비즈니스 커뮤니케이션 전문가'다.
+역할: 입력된 문장을 요청된 톤마다 하나씩, 정중하고 전문적인 비즈니스 문장으로 변환한다.
+
+규칙:
+- 원문의 핵심 의미는 유지하고 비속어/감정적 표현은 제거
+- 영어 단어·제품명·기술 용어는 번역하지 않고 그대로 둔다
+- 톤별 변환문은 서로 뚜렷하게 달라야 한다${extraRules}
+
+출력 형식:
+- 출력은 JSON 객체 하나: {"variants":[{"tone":"<톤 이름>","text":"<변환문>"}]}
+- 설명이나 다른 텍스트는 포함하지 마라.`,
+    variantsUser: (text, toneList, contextBlock) => `${contextBlock}톤 목록(이 순서대로):
+${toneList}
+
+문장: ${text}`,
+    decisionSystem: `너는 한국 직장 문화에 익숙한 '비즈니스 커뮤니케이션 가드'다.
+역할: 입력 문장이 '그대로 보내도 안전한지' 또는 '비즈니스 톤으로 변환해야 하는지'를 결정한다.
+출력은 반드시 JSON 한 줄로만 한다.`,
+    decisionUser: (text) => `다음 문장을 평가해라.
+- 안전 판단 기준 예시: 비속어/모욕/공격/비난, 과도한 명령/책임전가, 과격한 감정 표현 등.
+- 안전하면 action:"send", 아니면 action:"convert".
+- convert일 때만 converted_text에 정중하고 간결(한국 비즈니스 톤, ~150자)하게 변환한 결과를 넣어라.
+- rationale은 1줄 한국어로 아주 간단히.
+
+문장: ${text}`,
+    placeholderRule: `
+- ⟦1⟧ 같은 자리표시자는 멘션·링크·코드·이모지다. 글자 그대로 한 번씩 남기고 문장 속 알맞은 위치에 둔다
+- ⟦2⟧…⟦/2⟧ 는 굵게 등 서식 표시다. 대응하는 말을 감싸도록 짝을 맞춰 유지한다
+- 줄바꿈은 원문의 문단 구성을 따른다`,
+    contextRule: '\n- 대화 맥락이 주어지면 호칭·지칭·답변 대상을 맥락에 맞추되, 맥락 내용을 변환하거나 출력하지 않음',
+    contextBlock: (context) => `참고용 대화 맥락(최근 메시지, 변환 대상 아님):
+"""
+${context}
+"""
+
+`
+  },
+
+  en: {
+    conversionSystem: (extraRules) => `You are a business communication expert.
+Role: Rewrite the input message in a polite, concise, professional business tone in English.
+
+Rules:
+- Turn emotional wording into neutral, objective language
+- Turn commands into polite requests
+- Replace profanity or inappropriate wording with suitable business language
+- Write in English, the language of the input, even if other rules below are written in Korean
+- Keep the core meaning; only improve the tone${extraRules}
+
+Important: Output only the rewritten message. Never add explanations such as "Here is the revised version".`,
+    conversionUser: (text, contextBlock) => `${contextBlock}Rewrite the following message in a business tone and output only the rewritten message:
+
+${text}
+
+Rewritten message:`,
+    variantsSystem: (extraRules) => `You are a business communication expert.
+Role: Rewrite the input message once per requested tone, each as a polite, professional business message in English.
+
+Rules:
+- Keep the core meaning and remove profanity and emotional wording
+- Write every rewrite in English, the language of the input
+- The rewrites must clearly differ from each other${extraRules}
+
+Output format:
+- Output a single JSON object: {"variants":[{"tone":"<tone name, exactly as listed>","text":"<rewrite>"}]}
+- Do not include explanations or any other text.`,
+    variantsUser: (text, toneList, contextBlock) => `${contextBlock}Tones (in this order):
+${toneList}
+
+Message: ${text}`,
+    decisionSystem: `You are a business communication guard.
+Role: Decide whether the input message is safe to send as-is or should be rewritten in a business tone.
+Always answer with a single line of JSON.`,
+    decisionUser: (text) => `Evaluate the following message.
+- Examples of unsafe content: profanity, insults, attacks or blame, excessive commands or shifting responsibility, intense emotional wording.
+- If it is safe, action:"send"; otherwise action:"convert".
+- Only when converting, put a polite and concise (professional English, ~150 characters) rewrite in converted_text.
+- rationale: one very short line in English.
+
+Message: ${text}`,
+    placeholderRule: `
+- Placeholders such as ⟦1⟧ stand for mentions, links, code or emoji. Keep each one verbatim, exactly once, at a natural position
+- ⟦2⟧…⟦/2⟧ mark formatting such as bold. Keep the pair wrapped around the corresponding words
+- Follow the paragraph structure of the original for line breaks`,
+    contextRule: '\n- If conversation context is given, match names, references and the addressee to it, but never rewrite or output the context itself',
+    contextBlock: (context) => `Conversation context for reference (recent messages, not to be rewritten):
+"""
+${context}
+"""
+
+`
+  },
+
+  ja: {
+    conversionSystem: (extraRules) => `あなたは日本のビジネス慣習に精通した「ビジネスコミュニケーションの専門家」です。
+役割：入力された文章を、丁寧で適切な敬語を用いたビジネス文に書き換える。
+
+ルール：
+- 尊敬語・謙譲語・丁寧語を正しく使い分け、取引先にも送れる敬語表現にする
+- 感情的な表現を中立的・客観的な表現に改める
+- 命令口調を「〜していただけますでしょうか」のような丁寧な依頼に改める
+- 暴言や不適切な表現は適切なビジネス用語に置き換える
+- 出力は日本語で書く（以下のルールが韓国語で書かれていても同様）
+- 英単語・製品名・技術用語は訳さずにそのまま残す
+- 原文の要点は保ち、トーンだけを改善する${extraRules}
+
+重要：書き換えた文章のみを出力し、「以下のように修正しました」などの説明は一切含めないこと。`,
+    conversionUser: (text, contextBlock) => `${contextBlock}次の文章を敬語のビジネス文に書き換え、書き換えた文章のみを出力してください：
+
+${text}
+
+書き換えた文章：`,
+    variantsSystem: (extraRules) => `あなたは日本のビジネス慣習に精通した「ビジネスコミュニケーションの専門家」です。
+役割：入力された文章を、指定されたトーンごとに一つずつ、敬語を用いた丁寧なビジネス文に書き換える。
+
+ルール：
+- 原文の要点は保ち、暴言や感情的な表現は取り除く
+- すべての書き換えを日本語で書く
+- トーンごとの書き換えは互いにはっきり異なるものにする${extraRules}
+
+出力形式：
+- 出力はJSONオブジェクト一つ：{"variants":[{"tone":"<一覧のとおりのトーン名>","text":"<書き換え>"}]}
+- 説明やその他のテキストは含めないこと。`,
+    variantsUser: (text, toneList, contextBlock) => `${contextBlock}トーン一覧（この順番で）：
+${toneList}
+
+文章：${text}`,
+    decisionSystem: `あなたは日本のビジネス慣習に精通した「ビジネスコミュニケーションのガード」です。
+役割：入力された文章を「そのまま送っても安全か」「ビジネス敬語に書き換えるべきか」を判断する。
+出力は必ずJSON一行のみとする。`,
+    decisionUser: (text) => `次の文章を評価してください。
+- 安全でない例：暴言・侮辱・攻撃・非難、過度な命令や責任転嫁、激しい感情表現など。
+- 安全なら action:"send"、そうでなければ action:"convert"。
+- convert の場合のみ、converted_text に丁寧かつ簡潔な（ビジネス敬語、〜150字）書き換えを入れる。
+- rationale は日本語で一行、ごく簡潔に。
+
+文章：${text}`,
+    placeholderRule: `
+- ⟦1⟧ のようなプレースホルダーはメンション・リンク・コード・絵文字を表す。文字どおり一度ずつ残し、文中の適切な位置に置く
+- ⟦2⟧…⟦/2⟧ は太字などの書式を表す。対応する語句を囲むように対のまま保つ
+- 改行は原文の段落構成に従う`,
+    contextRule: '\n- 会話の文脈が与えられた場合、呼び方・指示語・返信相手を文脈に合わせるが、文脈そのものは書き換えず出力もしない',
+    contextBlock: (context) => `参考用の会話の文脈（最近のメッセージ、書き換え対象ではない）：
+"""
+${context}
+"""
+
+`
+  },
+
+  zh: {
+    conversionSystem: (extraRules) => `你是一名熟悉职场沟通的“商务沟通专家”。
+任务：将输入的内容改写为礼貌、专业、正式的商务中文。
+
+规则：
+- 使用正式的书面商务语体，称呼对方时用“您”
+- 将情绪化的表达改为中立、客观的表述
+- 将命令语气改为“烦请”“麻烦您”等礼貌请求
+- 将粗俗或不当的用语替换为得体的商务用语
+- 使用中文输出，并沿用原文的简体或繁体字（即使下方规则以韩语书写）
+- 英文单词、产品名称和技术术语保持原样，不要翻译
+- 保留原文的核心意思，只改善语气${extraRules}
+
+重要：只输出改写后的内容，不要包含“修改如下”之类的任何说明。`,
+    conversionUser: (text, contextBlock) => `${contextBlock}请将以下内容改写为正式的商务语气，只输出改写后的内容：
+
+${text}
+
+改写后的内容：`,
+    variantsSystem: (extraRules) => `你是一名熟悉职场沟通的“商务沟通专家”。
+任务：按照要求的每种语气，分别将输入内容改写为一条礼貌、专业的商务中文。
+
+规则：
+- 保留原文的核心意思，去除粗俗和情绪化的表达
+- 所有改写都使用中文，并沿用原文的简体或繁体字
+- 不同语气的改写之间要有明显区别${extraRules}
+
+输出格式：
+- 只输出一个JSON对象：{"variants":[{"tone":"<与列表完全一致的语气名称>","text":"<改写内容>"}]}
+- 不要包含说明或其他任何文字。`,
+    variantsUser: (text, toneList, contextBlock) => `${contextBlock}语气列表（按此顺序）：
+${toneList}
+
+内容：${text}`,
+    decisionSystem: `你是一名熟悉职场沟通的“商务沟通守门员”。
+任务：判断输入内容是“可以直接发送”还是“需要改写为商务语气”。
+输出必须只有一行JSON。`,
+    decisionUser: (text) => `请评估以下内容。
+- 不安全的例子：脏话、侮辱、攻击或指责、过度命令或推卸责任、激烈的情绪表达等。
+- 安全则 action:"send"，否则 action:"convert"。
+- 仅在 convert 时，在 converted_text 中给出礼貌简洁的改写（正式商务中文，约150字以内）。
+- rationale 用一行中文简要说明。
+
+内容：${text}`,
+    placeholderRule: `
+- ⟦1⟧ 之类的占位符代表提及、链接、代码或表情。每个都原样保留一次，放在句中合适的位置
+- ⟦2⟧…⟦/2⟧ 表示加粗等格式。保持成对，包住对应的词语
+- 换行遵循原文的段落结构`,
+    contextRule: '\n- 如提供了对话上下文，称呼、指代和回复对象要与上下文一致，但不要改写或输出上下文本身',
+    contextBlock: (context) => `参考用对话上下文（最近的消息，不需要改写）：
+"""
+${context}
+"""
+
+`
+  }
+};
+
+/**
+ * Gets the prompt set for a locale (default locale when unsupported)
+ * @param {string} locale - Locale code
+ * @returns {Object} Entry of LOCALE_PROMPTS
+ */
+function getLocalePrompts(locale) {
+  return LOCALE_PROMPTS[locale] || LOCALE_PROMPTS[LANGUAGE_DETECTION.DEFAULT_LOCALE];
+}
+
+// ==================== API SERVICE ====================
+
+/**
+ * LLM API service with enhanced error handling and retry logic
+ */
+class LLMService {
+  constructor() {
+    this.maxRetries = CONFIG.MAX_RETRIES;
+  }
+
+  /**
+   * Makes authenticated request to the configured provider
+   * @param {Object} request - Provider-neutral request
+   * @param {Object} apiConfig - Config from getApiConfig()
+   * @returns {Promise<string>} Completion text
+   */
+  async makeRequest(request, apiConfig) {
+    const provider = providerRegistry.get(apiConfig.provider);
+
+    if (!provider.isConfigured(apiConfig)) {
+      throw new ValidationError(ERROR_MESSAGES.NO_API_KEY);
+    }
+
+    let requestConfig = await provider.prepareConfig(apiConfig);
+    let authRetried = false;
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), provider.timeoutMs);
+
+    try {
+      for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+        try {
+          const response = await fetch(provider.getUrl(requestConfig), {
+            method: 'POST',
+            headers: provider.getHeaders(requestConfig),
+            body: JSON.stringify(provider.buildBody(request, requestConfig)),
+            signal: controller.signal
+          });
+
+          // Expired credentials: let the provider refresh once, then retry
+          if (response.status === 401 && !authRetried) {
+            authRetried = true;
+            const refreshedConfig = await provider.handleUnauthorized(apiConfig);
+            if (refreshedConfig) {
+              requestConfig = refreshedConfig;
+              continue;
+            }
+          }
+
+          if (response.status !== 429) {
+            if (!response.ok) {
+              const errorText = await response.text();
+              throw new APIError(`${provider.label} API error (${response.status}): ${errorText}`, response.status);
+            }
+            return provider.parseResponse(await response.json());
+          }
+
+          // Handle rate limiting with exponential backoff
+          if (attempt < this.maxRetries) {
+            const delay = CONFIG.RATE_LIMIT_DELAY * attempt * attempt;
+            await new Promise(resolve => setTimeout(resolve, delay));
+          } else {
+            throw new APIError(`${provider.label} API rate limited`, 429);
+          }
+        } catch (error) {
+          if (error.name === 'AbortError') {
+            throw new APIError(`${provider.label} API request timeout`);
+          }
+          if (error instanceof AuthError || attempt === this.maxRetries) throw error;
+
+          // Network error backoff
+          const delay = 1000 * attempt;
+          await new Promise(resolve => setTimeout(resolve, delay));
+        }
+      }
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  /**
+   * Makes a streamed request, reporting text deltas as they arrive.
+   * Falls back to a single delta for providers without streaming.
+   * @param {Object} request - Provider-neutral request
+   * @param {Object} apiConfig - Config from getApiConfig()
+   * @param {Object} options - Stream options
+   * @param {AbortSignal} [options.signal] - Aborts the fetch when the user cancels
+   * @param {Function} options.onDelta - Called with (delta, textSoFar)
+   * @returns {Promise<string>} Full completion text
+   */
+  async streamRequest(request, apiConfig, { signal, onDelta }) {
+    const provider = providerRegistry.get(apiConfig.provider);
+
+    if (!provider.streaming) {
+      const result = await this.makeRequest(request, apiConfig);
+      if (signal?.aborted) throw new CancelledError();
+      onDelta(result, result);
+      return result;
+    }
+
+    if (!provider.isConfigured(apiConfig)) {
+      throw new ValidationError(ERROR_MESSAGES.NO_API_KEY);
+    }
+
+    let requestConfig = await provider.prepareConfig(apiConfig);
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), provider.timeoutMs);
+    const onCancel = () => controller.abort();
+    signal?.addEventListener('abort', onCancel);
+
+    const send = (config) => fetch(provider.getStreamUrl(config), {
+      method: 'POST',
+      headers: provider.getHeaders(config),
+      body: JSON.stringify(provider.buildStreamBody(request, config)),
+      signal: controller.signal
+    });
+
+    try {
+      let response = await send(requestConfig);
+
+      // Expired credentials: let the provider refresh once, then retry
+      if (response.status === 401) {
+        const refreshedConfig = await provider.handleUnauthorized(apiConfig);
+        if (refreshedConfig) {
+          requestConfig = refreshedConfig;
+          response = await send(requestConfig);
+        }
+      }
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new APIError(`${provider.label} API error (${response.status}): ${errorText}`, response.status);
+      }
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = "";
+      let text = "";
+
+      const handleLine = (line) => {
+        const delta = this.parseStreamLine(provider, line);
+        if (delta) {
+          text += delta;
+          onDelta(delta, text);
+        }
+      };
+
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split(/\r?\n/);
+        buffer = lines.pop();
+        lines.forEach(handleLine);
+      }
+      handleLine(buffer + decoder.decode());
+
+      return text;
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        if (signal?.aborted) throw new CancelledError();
+        throw new APIError(`${provider.label} API request timeout`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeout);
+      signal?.removeEventListener('abort', onCancel);
+    }
+  }
+
+  /**
+   * Parses one line of an SSE or NDJSON stream into a text delta
+   * @param {LLMProvider} provider - Provider that produced the stream
+   * @param {string} line - Raw line
+   * @returns {string} Delta text (empty for keep-alives, event names, [DONE])
+   */
+  parseStreamLine(provider, line) {
+    let payload = line.trim();
+
+    if (provider.streamFormat === 'sse') {
+      if (!payload.startsWith('data:')) return "";
+      payload = payload.slice(5).trim();
+    }
+
+    if (!payload || payload === '[DONE]') return "";
+
+    try {
+      return provider.parseStreamEvent(JSON.parse(payload));
+    } catch {
+      return "";
+    }
+  }
+
+  /**
+   * Checks that the configured provider is reachable and answering
+   * @param {Object} apiConfig - Config from getApiConfig()
+   * @returns {Promise<Object>} Health info
+   */
+  async checkHealth(apiConfig) {
+    const provider = providerRegistry.get(apiConfig.provider);
+
+    if (!provider.isConfigured(apiConfig)) {
+      throw new ValidationError(ERROR_MESSAGES.NO_API_KEY);
+    }
+
+    const health = await provider.checkHealth(apiConfig);
+    if (health) {
+      return { provider: provider.id, ...health };
+    }
+
+    // No dedicated health route: a minimal completion proves auth and routing
+    await this.makeRequest({
+      temperature: 0,
+      maxTokens: 5,
+      system: "Reply with OK.",
+      messages: [{ role: "user", content: "ping" }]
+    }, apiConfig);
+    return { provider: provider.id };
+  }
+
+  /**
+   * Convert text to business tone
+   * @param {string} text - Text to convert
+   * @param {Object} apiConfig - Config from getApiConfig()
+   * @param {Object} [profile] - Tone profile
+   * @param {string} [context] - Recent thread messages, for reference only
+   * @returns {Promise<string>} Converted text
+   */
+  async convertToBusinessTone(text, apiConfig, profile = null, context = '') {
+    try {
+      const result = await this.makeRequest(this.buildConversionRequest(text, profile, context), apiConfig);
+      return (result || text).trim();
+    } catch (error) {
+      if (error instanceof AuthError) throw error;
+      throw new BizToneError(`텍스트 변환 실패: ${error.message}`);
+    }
+  }
+
+  /**
+   * Convert text to business tone, streaming partial output
+   * @param {string} text - Text to convert
+   * @param {Object} apiConfig - Config from getApiConfig()
+   * @param {Object} options - { signal, onDelta } as in streamRequest()
+   * @param {Object} [profile] - Tone profile
+   * @param {string} [context] - Recent thread messages, for reference only
+   * @param {Object} [action] - Entry of CONFIG.REWRITE_ACTIONS (plain business tone when omitted)
+   * @returns {Promise<string>} Converted text
+   */
+  async streamBusinessTone(text, apiConfig, options, profile = null, context = '', action = null) {
+    try {
+      const result = await this.streamRequest(this.buildConversionRequest(text, profile, context, action), apiConfig, options);
+      return (result || text).trim();
+    } catch (error) {
+      if (error instanceof AuthError || error instanceof CancelledError) throw error;
+      throw new BizToneError(`텍스트 변환 실패: ${error.message}`);
+    }
+  }
+
+  /**
+   * Builds the business-tone conversion request
+   * @param {string} text - Text to convert
+   * @param {Object} [profile] - Tone profile adding recipient-specific rules
+   * @param {string} [context] - Recent thread messages, for reference only
+   * @param {Object} [action] - Entry of CONFIG.REWRITE_ACTIONS (plain business tone when omitted)
+   * @returns {Object} Provider-neutral request
+   */
+  buildConversionRequest(text, profile = null, context = '', action = null) {
+    const prompts = getLocalePrompts(detectLanguage(text));
+    return {
+      temperature: 0.3,
+      maxTokens: toneProfileManager.getMaxTokens(profile, 200), // Limit response length for cost control
+      system: prompts.conversionSystem(
+        `${this.buildActionRule(action)}${this.buildPlaceholderRule(text, prompts)}${this.buildContextRule(context, prompts)}${toneProfileManager.buildPromptRules(profile)}`
+      ),
+      messages: [
+        {
+          role: "user",
+          content: prompts.conversionUser(text, this.buildContextBlock(context, prompts))
+        }
+      ]
+    };
+  }
+
+  /**
+   * Convert text into several tone variants with one structured call
+   * @param {string} text - Text to convert
+   * @param {Object} apiConfig - Config from getApiConfig()
+   * @param {Object} [profile] - Tone profile
+   * @param {string} [context] - Recent thread messages, for reference only
+   * @returns {Promise<Array<Object>>} Variants [{ id, label, text }]
+   */
+  async convertToVariants(text, apiConfig, profile = null, context = '') {
+    try {
+      const raw = await this.makeRequest(this.buildVariantsRequest(text, profile, context), apiConfig);
+      return this.parseVariants(raw, text);
+    } catch (error) {
+      if (error instanceof AuthError) throw error;
+      throw new BizToneError(`텍스트 변환 실패: ${error.message}`);
+    }
+  }
+
+  /**
+   * Convert text into tone variants, streaming the raw JSON output
+   * @param {string} text - Text to convert
+   * @param {Object} apiConfig - Config from getApiConfig()
+   * @param {Object} options - { signal, onDelta } as in streamRequest()
+   * @param {Object} [profile] - Tone profile
+   * @param {string} [context] - Recent thread messages, for reference only
+   * @returns {Promise<Array<Object>>} Variants [{ id, label, text }]
+   */
+  async streamVariants(text, apiConfig, options, profile = null, context = '') {
+    try {
+      const raw = await this.streamRequest(this.buildVariantsRequest(text, profile, context), apiConfig, options);
+      return this.parseVariants(raw, text);
+    } catch (error) {
+      if (error instanceof AuthError || error instanceof CancelledError) throw error;
+      throw new BizToneError(`텍스트 변환 실패: ${error.message}`);
+    }
+  }
+
+  /**
+   * Builds the multi-variant conversion request
+   * @param {string} text - Text to convert
+   * @param {Object} [profile] - Tone profile applied to every variant
+   * @param {string} [context] - Recent thread messages, for reference only
+   * @returns {Object} Provider-neutral request
+   */
+  buildVariantsRequest(text, profile = null, context = '') {
+    const prompts = getLocalePrompts(detectLanguage(text));
+    const toneList = CONFIG.TONE_VARIANTS
+      .map(tone => `- ${tone.label}: ${tone.instruction}`)
+      .join('\n');
+
+    return {
+      temperature: 0.5,
+      maxTokens: toneProfileManager.getMaxTokens(profile, 200) * CONFIG.TONE_VARIANTS.length,
+      jsonMode: true,
+      system: prompts.variantsSystem(
+        `${this.buildPlaceholderRule(text, prompts)}${this.buildContextRule(context, prompts)}${toneProfileManager.buildPromptRules(profile)}`
+      ),
+      messages: [
+        {
+          role: "user",
+          content: prompts.variantsUser(text, toneList, this.buildContextBlock(context, prompts))
+        }
+      ]
+    };
+  }
+
+  /**
+   * System-prompt rule for a context-menu rewrite action (empty for plain conversion)
+   * @param {Object|null} action - Entry of CONFIG.REWRITE_ACTIONS
+   * @returns {string} Rule line
+   */
+  buildActionRule(action) {
+    return action ? `\n- 이번 요청: ${action.rule}` : '';
+  }
+
+  /**
+   * System-prompt rules for rich-text placeholders (empty for plain text)
+   * @param {string} text - Text to convert
+   * @param {Object} prompts - Locale prompt set
+   * @returns {string} Rule lines
+   */
+  buildPlaceholderRule(text, prompts = getLocalePrompts()) {
+    return /⟦\/?\d+⟧/.test(text) ? prompts.placeholderRule : '';
+  }
+
+  /**
+   * System-prompt rule for thread context (empty when there is none)
+   * @param {string} context - Recent thread messages
+   * @param {Object} prompts - Locale prompt set
+   * @returns {string} Rule line
+   */
+  buildContextRule(context, prompts = getLocalePrompts()) {
+    return context ? prompts.contextRule : '';
+  }
+
+  /**
+   * User-message block carrying thread context (empty when there is none)
+   * @param {string} context - Recent thread messages
+   * @param {Object} prompts - Locale prompt set
+   * @returns {string} Context block
+   */
+  buildContextBlock(context, prompts = getLocalePrompts()) {
+    return context ? prompts.contextBlock(context) : '';
+  }
+
+  /**
+   * Translate text into another language and apply business tone in one call,
+   * with a back-translation into the source language for checking the meaning
+   * @param {string} text - Text to translate
+   * @param {string} targetLocale - Locale from CONFIG.TRANSLATION_TARGETS
+   * @param {Object} apiConfig - Config from getApiConfig()
+   * @param {Object} [profile] - Tone profile
+   * @param {string} [context] - Recent thread messages, for reference only
+   * @returns {Promise<Object>} { translation, backTranslation, sourceLocale, targetLocale }
+   */
+  async translateAndPolish(text, targetLocale, apiConfig, profile = null, context = '') {
+    const target = CONFIG.TRANSLATION_TARGETS.find(candidate => candidate.locale === targetLocale);
+    if (!target) {
+      throw new ValidationError(ERROR_MESSAGES.UNSUPPORTED_LANGUAGE);
+    }
+
+    const sourceLocale = detectLanguage(text);
+    try {
+      const raw = await this.makeRequest(this.buildTranslationRequest(text, target, sourceLocale, profile, context), apiConfig);
+      return { ...this.parseTranslation(raw), sourceLocale, targetLocale };
+    } catch (error) {
+      if (error instanceof AuthError) throw error;
+      throw new BizToneError(`번역 실패: ${error.message}`);
+    }
+  }
+
+  /**
+   * Builds the translate-and-polish request
+   * @param {string} text - Text to translate
+   * @param {Object} target - Entry of CONFIG.TRANSLATION_TARGETS
+   * @param {string} sourceLocale - Detected locale of the text (back-translation language)
+   * @param {Object} [profile] - Tone profile
+   * @param {string} [context] - Recent thread messages, for reference only
+   * @returns {Object} Provider-neutral request
+   */
+  buildTranslationRequest(text, target, sourceLocale, profile = null, context = '') {
+    const prompts = getLocalePrompts(LIST_CONSTANTS.LOCALES.KOREAN);
+    const sourceLabel = CONFIG.TRANSLATION_TARGETS.find(candidate => candidate.locale === sourceLocale)?.label || "원문 언어";
+
+    return {
+      temperature: 0.3,
+      maxTokens: toneProfileManager.getMaxTokens(profile, 300) * 2,
+      jsonMode: true,
+      system: `너는 여러 언어에 능통한 '비즈니스 커뮤니케이션 전문가'이자 번역가다.
+역할: 입력된 문장을 ${target.label}로 번역하면서 ${target.register}로 다듬는다.
+
+규칙:
+- 원문의 핵심 의미와 요청 사항은 빠짐없이 유지
+- 감정적 표현·비속어·명령조는 정중하고 중립적인 표현으로 바꿔 번역
+- 제품명·고유명사·기술 용어는 관례적인 표기를 따른다
+- 역번역은 번역문을 ${sourceLabel}로 직역해, 보내는 사람이 의미를 확인할 수 있게 한다${this.buildPlaceholderRule(text, prompts)}${this.buildContextRule(context, prompts)}${toneProfileManager.buildPromptRules(profile)}
+
+출력 형식:
+- 출력은 JSON 객체 하나: {"translation":"<${target.label} 번역문>","back_translation":"<${sourceLabel} 역번역>"}
+- 설명이나 다른 텍스트는 포함하지 마라.`,
+      messages: [
+        {
+          role: "user",
+          content: `${this.buildContextBlock(context, prompts)}문장: ${text}`
+        }
+      ]
+    };
+  }
+
+  /**
+   * Parses the translation JSON
+   * @param {string} raw - Model output
+   * @returns {Object} { translation, backTranslation }
+   */
+  parseTranslation(raw) {
+    let parsed = null;
+    try {
+      parsed = JSON.parse(raw || "{}");
+    } catch {
+      parsed = null;
+    }
+
+    const translation = String(parsed?.translation || "").trim();
+    if (translation) {
+      return { translation, backTranslation: String(parsed.back_translation || "").trim() };
+    }
+
+    // Model ignored the JSON format: use its output as the translation
+    const fallback = String(raw || "").trim();
+    if (!fallback || fallback.startsWith('{')) {
+      throw new BizToneError("번역 결과가 비어 있습니다");
+    }
+    return { translation: fallback, backTranslation: "" };
+  }
+
+  /**
+   * Parses the variants JSON, matching items to configured tones
+   * @param {string} raw - Model output
+   * @param {string} text - Original text (last-resort fallback)
+   * @returns {Array<Object>} Variants [{ id, label, text }]
+   */
+  parseVariants(raw, text) {
+    let items = [];
+    try {
+      const parsed = JSON.parse(raw || "{}");
+      items = Array.isArray(parsed?.variants) ? parsed.variants : [];
+    } catch {
+      items = [];
+    }
+
+    const variants = CONFIG.TONE_VARIANTS.map((tone, index) => {
+      const item = items.find(candidate => candidate?.tone === tone.label) || items[index];
+      return { id: tone.id, label: tone.label, text: String(item?.text || "").trim() };
+    }).filter(variant => variant.text);
+
+    if (variants.length > 0) {
+      return variants;
+    }
+
+    // Model ignored the JSON format: offer its output as a single rewrite
+    const fallback = String(raw || "").trim();
+    const [firstTone] = CONFIG.TONE_VARIANTS;
+    return [{
+      id: firstTone.id,
+      label: firstTone.label,
+      text: fallback && !fallback.startsWith('{') ? fallback : text
+    }];
+  }
+
+  /**
+   * Extracts variant texts from incomplete JSON while it streams in
+   * @param {string} partialRaw - JSON received so far
+   * @returns {Array<Object>} One entry per configured tone, text may be partial or empty
+   */
+  extractPartialVariants(partialRaw) {
+    const variants = CONFIG.TONE_VARIANTS.map(tone => ({ id: tone.id, label: tone.label, text: "" }));
+    const textPattern = /"text"\s*:\s*"((?:[^"\\]|\\.)*)/g;
+
+    let match;
+    let index = 0;
+    while ((match = textPattern.exec(partialRaw)) && index < variants.length) {
+      // Drop a dangling escape sequence cut off mid-chunk before decoding
+      const body = match[1].replace(/\\(u[0-9a-fA-F]{0,3})?$/, '');
+      try {
+        variants[index].text = JSON.parse(`"${body}"`);
+      } catch {
+        variants[index].text = body;
+      }
+      index++;
+    }
+
+    return variants;
+  }
+
+  /**
+   * Decide whether to send or convert text
+   * @param {string} text - Text to analyze
+   * @param {Object} apiConfig - Config from getApiConfig()
+   * @returns {Promise<Object>} Decision result
+   */
+  async decideTextAction(text, apiConfig) {
+    const prompts = getLocalePrompts(detectLanguage(text));
+    const request = {
+      temperature: 0.0,
+      maxTokens: 150, // JSON response should be compact
+      jsonMode: true,
+      system: prompts.decisionSystem,
+      messages: [
+        {
+          role: "user",
+          content: prompts.decisionUser(text)
+        }
+      ]
+    };
+
+    try {
+      const rawResponse = await this.makeRequest(request, apiConfig) || "{}";
+
+      let parsed;
+      try {
+        parsed = JSON.parse(rawResponse);
+      } catch {
+        parsed = {};
+      }
+
+      // Validate and normalize response
+      const action = (parsed.action === "convert" || parsed.action === "send") ? parsed.action : "send";
+
+      return {
+        action,
+        converted_text: parsed.converted_text || "",
+        label: parsed.label || "",
+        rationale: parsed.rationale || ""
+      };
+    } catch (error) {
+      // Fail-safe: default to sending as-is
+      return {
+        action: "send",
+        converted_text: "",
+        label: "",
+        rationale: "결정 실패로 인한 안전 모드"
+      };
+    }
+  }
+}
+
+// Global API service instance
+const llmService = new LLMService();
+
+// ==================== WHITELIST/BLACKLIST MANAGEMENT ====================
+
+/**
+ * Chunked list storage. A list is split into chunks under the sync per-item
+ * quota; when the whole list exceeds the sync budget the chunks move to
+ * storage.local (this device only) and sync keeps just the index. Other
+ * devices then see the index without the chunks: the list is unavailable
+ * there, and writes are refused so they can't replace it with a partial copy.
+ * Every write stamps its index and chunks with a fresh writeId, so chunks left
+ * over from an older write are never read as the current list.
+ */
+class ListStorage {
+  /**
+   * Measures a value the way the storage quota does (key + JSON, in bytes)
+   * @param {string} key - Storage key
+   * @param {*} value - Value to store
+   * @returns {number} Size in bytes
+   */
+  measure(key, value) {
+    return new TextEncoder().encode(key + JSON.stringify(value)).length;
+  }
+
+  /**
+   * Builds the chunk key for a list
+   * @param {string} key - List storage key
+   * @param {number} index - Chunk number
+   * @returns {string} Chunk key
+   */
+  chunkKey(key, index) {
+    return `${key}_${index}`;
+  }
+
+  /**
+   * Splits items into chunks that each fit under CHUNK_BYTES
+   * @param {string} key - List storage key
+   * @param {Array} items - List items
+   * @param {string} writeId - Id the chunks are stamped with
+   * @returns {Array<Array>} Items of each chunk
+   */
+  splitIntoChunks(key, items, writeId) {
+    const chunks = [];
+    let current = [];
+    let currentBytes = 0;
+    const wrapperBytes = this.measure('', { writeId, items: [] });
+
+    for (const item of items) {
+      // Serialized chunk = key + {"writeId":…,"items":[ + items joined by "," + ]}
+      const itemBytes = this.measure('', item) + 1;
+      const chunkOverhead = this.chunkKey(key, chunks.length).length + wrapperBytes;
+      if (current.length > 0 && chunkOverhead + currentBytes + itemBytes > LIST_CONSTANTS.STORAGE_LAYOUT.CHUNK_BYTES) {
+        chunks.push(current);
+        current = [];
+        currentBytes = 0;
+      }
+      current.push(item);
+      currentBytes += itemBytes;
+    }
+    if (current.length > 0) chunks.push(current);
+
+    return chunks;
+  }
+
+  /**
+   * Reads the chunks an index points at
+   * @param {string} key - List storage key
+   * @param {Object} index - List index
+   * @returns {Promise<Array|null>} List items, or null when a chunk is missing or from another write
+   */
+  async readChunks(key, index) {
+    const chunkKeys = Array.from({ length: index.chunks }, (_, i) => this.chunkKey(key, i));
+    const area = index.area === LIST_CONSTANTS.STORAGE_LAYOUT.AREAS.LOCAL ? chrome.storage.local : chrome.storage.sync;
+    const chunks = await area.get(chunkKeys);
+
+    // Version 2 chunks are bare arrays; later ones must come from the write the index describes
+    const chunkItems = chunk => index.writeId ? (chunk?.writeId === index.writeId ? chunk.items : null) : chunk;
+    if (!chunkKeys.every(chunkKey => Array.isArray(chunkItems(chunks[chunkKey])))) return null;
+    return chunkKeys.flatMap(chunkKey => chunkItems(chunks[chunkKey]));
+  }
+
+  /**
+   * Reads a list, migrating the single-key format on first access
+   * @param {string} key - List storage key
+   * @returns {Promise<Array>} List items
+   * @throws {BizToneError} LIST_UNAVAILABLE when the chunks are stored on another device
+   */
+  async read(key) {
+    const indexKey = key + LIST_CONSTANTS.STORAGE_LAYOUT.INDEX_SUFFIX;
+    const stored = await chrome.storage.sync.get([indexKey, key]);
+    const index = stored[indexKey];
+
+    if (!index) {
+      return Array.isArray(stored[key]) ? await this.migrateLegacy(key, stored[key]) : [];
+    }
+
+    const items = await this.readChunks(key, index);
+    if (!items) {
+      throw new BizToneError(ERROR_MESSAGES.LIST_UNAVAILABLE, 'LIST_UNAVAILABLE');
+    }
+    return items;
+  }
+
+  /**
+   * Checks whether a storage error means the area is out of space
+   * @param {Error} error - Error from storage.set
+   * @returns {boolean} True for quota errors (not write-rate limits)
+   */
+  isQuotaError(error) {
+    return /QUOTA_BYTES|MAX_ITEMS/.test(String(error?.message || error));
+  }
+
+  /**
+   * Writes a list: chunks and index in one sync write when it fits the budget
+   * and sync has room, otherwise chunks in storage.local and the index in sync
+   * @param {string} key - List storage key
+   * @param {Array} items - List items
+   * @returns {Promise<Object>} The written index
+   * @throws {BizToneError} LIST_UNAVAILABLE when the current list is stored on another device
+   */
+  async write(key, items) {
+    const { INDEX_SUFFIX, SYNC_BUDGET_BYTES, CHUNK_BYTES, VERSION, AREAS } = LIST_CONSTANTS.STORAGE_LAYOUT;
+    const indexKey = key + INDEX_SUFFIX;
+    const previous = (await chrome.storage.sync.get([indexKey]))[indexKey];
+
+    // The caller never saw that list, so writing would drop the other device's items
+    if (previous?.area === AREAS.LOCAL && !(await this.readChunks(key, previous))) {
+      throw new BizToneError(ERROR_MESSAGES.LIST_UNAVAILABLE, 'LIST_UNAVAILABLE');
+    }
+
+    const writeId = Date.now().toString(36) + Math.random().toString(36).substr(2);
+    const chunks = this.splitIntoChunks(key, items, writeId);
+    const payload = {};
+    chunks.forEach((chunk, i) => { payload[this.chunkKey(key, i)] = { writeId, items: chunk }; });
+
+    const sizes = Object.entries(payload).map(([chunkKey, chunk]) => this.measure(chunkKey, chunk));
+    const bytes = sizes.reduce((total, size) => total + size, 0);
+    const fitsSync = bytes <= SYNC_BUDGET_BYTES && sizes.every(size => size <= CHUNK_BYTES);
+
+    const index = {
+      version: VERSION,
+      area: fitsSync ? AREAS.SYNC : AREAS.LOCAL,
+      chunks: chunks.length,
+      count: items.length,
+      bytes,
+      writeId,
+      updatedAt: Date.now()
+    };
+
+    if (fitsSync) {
+      try {
+        await chrome.storage.sync.set({ ...payload, [indexKey]: index });
+      } catch (error) {
+        // The list fits its budget but sync as a whole is full (other list, profiles, settings)
+        if (!this.isQuotaError(error)) throw error;
+        index.area = AREAS.LOCAL;
+      }
+    }
+    if (index.area === AREAS.LOCAL) {
+      // Index first: if sync rejects it, this device's current chunks are still intact
+      await chrome.storage.sync.set({ [indexKey]: index });
+      await chrome.storage.local.set(payload);
+    }
+
+    await this.removeStaleChunks(key, previous, index);
+    return index;
+  }
+
+  /**
+   * Removes chunks the new index no longer points at, in both areas
+   * @param {string} key - List storage key
+   * @param {Object|undefined} previous - Index before the write
+   * @param {Object} index - Index after the write
+   */
+  async removeStaleChunks(key, previous, index) {
+    const { AREAS } = LIST_CONSTANTS.STORAGE_LAYOUT;
+    const isStale = (area, i) => area !== index.area || i >= index.chunks;
+
+    // Sync chunks are shared, so the previous index lists them all
+    if (previous?.area === AREAS.SYNC) {
+      const staleSyncKeys = [];
+      for (let i = 0; i < previous.chunks; i++) {
+        if (isStale(AREAS.SYNC, i)) staleSyncKeys.push(this.chunkKey(key, i));
+      }
+      if (staleSyncKeys.length > 0) await chrome.storage.sync.remove(staleSyncKeys);
+    }
+
+    // Local chunks may predate an index another device wrote since, so scan for them
+    const chunkPattern = new RegExp(`^${TextUtils.escapeRegex(key)}_(\\d+)$`);
+    const staleLocalKeys = Object.keys(await chrome.storage.local.get(null)).filter(storedKey => {
+      const match = storedKey.match(chunkPattern);
+      return match && isStale(AREAS.LOCAL, Number(match[1]));
+    });
+    if (staleLocalKeys.length > 0) await chrome.storage.local.remove(staleLocalKeys);
+  }
+
+  /**
+   * Moves a list from the single-key format into chunks
+   * @param {string} key - List storage key
+   * @param {Array} items - Items from the single key
+   * @returns {Promise<Array>} The migrated items
+   */
+  async migrateLegacy(key, items) {
+    await this.write(key, items);
+    await chrome.storage.sync.remove(key);
+    return items;
+  }
+
+  /**
+   * Reports where a list lives and how much space it takes
+   * @param {string} key - List storage key
+   * @returns {Promise<Object>} { area, count, chunks, bytes, available }
+   */
+  async describe(key) {
+    const { INDEX_SUFFIX, AREAS } = LIST_CONSTANTS.STORAGE_LAYOUT;
+    const indexKey = key + INDEX_SUFFIX;
+    const index = (await chrome.storage.sync.get([indexKey]))[indexKey];
+    if (!index) {
+      return { area: AREAS.SYNC, count: 0, chunks: 0, bytes: 0, available: true };
+    }
+    const available = index.area !== AREAS.LOCAL || (await this.readChunks(key, index)) !== null;
+    return { area: index.area, count: index.count, chunks: index.chunks, bytes: index.bytes, available };
+  }
+
+  /**
+   * Reports quota usage of both lists and both storage areas
+   * @returns {Promise<Object>} Usage summary for the options page
+   */
+  async getUsage() {
+    const [whitelist, blacklist, syncBytes, localBytes] = await Promise.all([
+      this.describe(LIST_CONSTANTS.STORAGE_KEYS.WHITELIST),
+      this.describe(LIST_CONSTANTS.STORAGE_KEYS.BLACKLIST),
+      chrome.storage.sync.getBytesInUse(null),
+      chrome.storage.local.getBytesInUse(null)
+    ]);
+
+    return {
+      whitelist,
+      blacklist,
+      sync: { bytesInUse: syncBytes, quota: chrome.storage.sync.QUOTA_BYTES },
+      local: { bytesInUse: localBytes, quota: chrome.storage.local.QUOTA_BYTES },
+      syncBudget: LIST_CONSTANTS.STORAGE_LAYOUT.SYNC_BUDGET_BYTES
+    };
+  }
+}
+
+/**
+ * Whitelist/Blacklist management service
+ */
+class ListManager {
+  constructor() {
+    this.whitelistCache = null;
+    this.blacklistCache = null;
+    this.cacheTimeout = 30000; // 30 seconds
+    this.lastWhitelistUpdate = 0;
+    this.lastBlacklistUpdate = 0;
+    this.storage = new ListStorage();
+  }
+  
+  /**
+   * Validates list item structure
+   * @param {Object} item - List item to validate
+   * @param {boolean} isBlacklist - Whether this is for blacklist (needs weight)
+   * @returns {boolean} True if valid
+   */
+  validateListItem(item, isBlacklist = false) {
+    if (!item || typeof item !== 'object') return false;
+    if (!item.text || typeof item.text !== 'string') return false;
+    if (!Object.values(LIST_CONSTANTS.MATCH_TYPES).includes(item.match)) return false;
+    if (!Object.values(LIST_CONSTANTS.LOCALES).includes(item.locale)) return false;
+    if (item.domains !== undefined &&
+        !(Array.isArray(item.domains) && item.domains.every(domain => typeof domain === 'string' && domain))) return false;
+    if (item.expiresAt != null && !(Number.isFinite(item.expiresAt) && item.expiresAt > 0)) return false;
+    
+    if (isBlacklist) {
+      if (!Object.values(LIST_CONSTANTS.WEIGHTS).includes(item.weight)) return false;
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Creates a normalized list item
+   * @param {string} text - Text to match
+   * @param {string} match - Match type
+   * @param {string} locale - Locale
+   * @param {number} weight - Weight (blacklist only)
+   * @param {Array<string>} [domains] - Hostnames the item is limited to (all sites when empty)
+   * @param {number|null} [expiresAt] - Expiry timestamp in ms (permanent when null)
+   * @returns {Object} Normalized item
+   */
+  createListItem(text, match = LIST_CONSTANTS.MATCH_TYPES.CONTAINS, locale = LIST_CONSTANTS.LOCALES.ALL, weight = null, domains = [], expiresAt = null) {
+    const item = {
+      text: text.trim(),
+      match,
+      locale,
+      createdAt: Date.now(),
+      id: this.generateId()
+    };
+    
+    if (weight !== null) {
+      item.weight = weight;
+    }
+
+    if (domains.length > 0) {
+      item.domains = domains.map(domain => domain.toLowerCase());
+    }
+
+    if (expiresAt !== null) {
+      item.expiresAt = expiresAt;
+    }
+    
+    return item;
+  }
+
+  /**
+   * Checks whether an item is past its expiresAt
+   * @param {Object} item - List item
+   * @param {number} [now] - Reference time in ms
+   * @returns {boolean} True if expired
+   */
+  isExpired(item, now = Date.now()) {
+    return Boolean(item.expiresAt) && item.expiresAt <= now;
+  }
+
+  /**
+   * Checks whether an item applies to text in a locale on a site right now
+   * @param {Object} item - List item
+   * @param {Array<string>} locales - Locales present in the text, from getTextLocales()
+   * @param {string|null} domain - Current hostname
+   * @param {number} [now] - Reference time in ms
+   * @returns {boolean} True if the item applies
+   */
+  isItemActive(item, locales, domain, now = Date.now()) {
+    // Expired items stay inert until the prune job removes them
+    if (this.isExpired(item, now)) return false;
+    if (item.locale !== LIST_CONSTANTS.LOCALES.ALL && !locales.includes(LIST_CONSTANTS.LOCALES.ALL) &&
+        !locales.includes(item.locale)) return false;
+    return this.appliesToDomain(item, domain);
+  }
+
+  /**
+   * Checks whether an item applies on a site (items without domains apply everywhere)
+   * @param {Object} item - List item
+   * @param {string|null} domain - Current hostname
+   * @returns {boolean} True if the item applies
+   */
+  appliesToDomain(item, domain) {
+    if (!item.domains?.length) return true;
+    if (!domain) return false;
+    return item.domains.some(itemDomain => domain === itemDomain || domain.endsWith(`.${itemDomain}`));
+  }
+  
+  /**
+   * Generates unique ID for list items
+   * @returns {string} Unique ID
+   */
+  generateId() {
+    return Date.now().toString(36) + Math.random().toString(36).substr(2);
+  }
+  
+  /**
+   * Checks whether a list can be read and written on this device
+   * @param {string} key - List storage key (LIST_CONSTANTS.STORAGE_KEYS)
+   * @returns {Promise<boolean>} False when the list is stored on another device only
+   */
+  async isListAvailable(key) {
+    return (await this.storage.describe(key)).available;
+  }
+
+  /**
+   * Gets whitelist from storage with caching
+   * @returns {Promise<Array>} Whitelist items (empty while the list is unavailable on this device)
+   */
+  async getWhitelist() {
+    const now = Date.now();
+    
+    if (this.whitelistCache && (now - this.lastWhitelistUpdate) < this.cacheTimeout) {
+      return this.whitelistCache;
+    }
+    
+    try {
+      let whitelist = await this.storage.read(LIST_CONSTANTS.STORAGE_KEYS.WHITELIST);
+
+      // Entries saved by the old string-array whitelist become contains items
+      if (whitelist.some(item => typeof item === 'string')) {
+        whitelist = whitelist.map(item => typeof item === 'string' ? this.createListItem(item) : item);
+        await this.storage.write(LIST_CONSTANTS.STORAGE_KEYS.WHITELIST, whitelist);
+      }
+      
+      this.whitelistCache = whitelist;
+      this.lastWhitelistUpdate = now;
+      
+      return whitelist;
+    } catch (error) {
+      return [];
+    }
+  }
+  
+  /**
+   * Gets blacklist from storage with caching
+   * @returns {Promise<Array>} Blacklist items (empty while the list is unavailable on this device)
+   */
+  async getBlacklist() {
+    const now = Date.now();
+    
+    if (this.blacklistCache && (now - this.lastBlacklistUpdate) < this.cacheTimeout) {
+      return this.blacklistCache;
+    }
+    
+    try {
+      const blacklist = await this.storage.read(LIST_CONSTANTS.STORAGE_KEYS.BLACKLIST);
+      
+      this.blacklistCache = blacklist;
+      this.lastBlacklistUpdate = now;
+      
+      return blacklist;
+    } catch (error) {
+      return [];
+    }
+  }
+  
+  /**
+   * Saves whitelist to storage
+   * @param {Array} whitelist - Whitelist items
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveWhitelist(whitelist) {
+    try {
+      await this.storage.write(LIST_CONSTANTS.STORAGE_KEYS.WHITELIST, whitelist);
+      this.whitelistCache = whitelist;
       this.lastWhitelistUpdate = Date.now();
       return true;
     } catch (error) {
@@ -504,7 +2510,7 @@ class ListManager {
    */
   async saveBlacklist(blacklist) {
     try {
-      await chrome.storage.sync.set({ [LIST_CONSTANTS.STORAGE_KEYS.BLACKLIST]: blacklist });
+      await this.storage.write(LIST_CONSTANTS.STORAGE_KEYS.BLACKLIST, blacklist);
       this.blacklistCache = blacklist;
       this.lastBlacklistUpdate = Date.now();
       return true;
@@ -527,7 +2533,8 @@ class ListManager {
     
     // Check for duplicates
     const isDuplicate = whitelist.some(existing => 
-      existing.text === item.text && existing.match === item.match && existing.locale === item.locale
+      existing.text === item.text && existing.match === item.match && existing.locale === item.locale &&
+      String(existing.domains || '') === String(item.domains || '')
     );
     
     if (isDuplicate) {
@@ -552,7 +2559,8 @@ class ListManager {
     
     // Check for duplicates
     const isDuplicate = blacklist.some(existing => 
-      existing.text === item.text && existing.match === item.match && existing.locale === item.locale
+      existing.text === item.text && existing.match === item.match && existing.locale === item.locale &&
+      String(existing.domains || '') === String(item.domains || '')
     );
     
     if (isDuplicate) {
@@ -594,57 +2602,142 @@ class ListManager {
     
     return await this.saveBlacklist(filteredList);
   }
+
+  /**
+   * Drops expired items from both lists (run by the PRUNE_ALARM job)
+   * @returns {Promise<number>} Number of removed items
+   */
+  async pruneExpiredItems() {
+    const now = Date.now();
+    let removed = 0;
+
+    const whitelist = await this.getWhitelist();
+    const activeWhitelist = whitelist.filter(item => !this.isExpired(item, now));
+    if (activeWhitelist.length !== whitelist.length) {
+      removed += whitelist.length - activeWhitelist.length;
+      await this.saveWhitelist(activeWhitelist);
+    }
+
+    const blacklist = await this.getBlacklist();
+    const activeBlacklist = blacklist.filter(item => !this.isExpired(item, now));
+    if (activeBlacklist.length !== blacklist.length) {
+      removed += blacklist.length - activeBlacklist.length;
+      await this.saveBlacklist(activeBlacklist);
+    }
+
+    return removed;
+  }
   
   /**
-   * Checks if text matches whitelist
-   * @param {string} text - Text to check
+   * Builds the pattern that finds a whitelist item in text. Contains/exact
+   * items tolerate case, spacing and separators ("미친 듯이" = "미친듯이");
+   * exact items only match as a whole word ("병신" in "이 병신 같은", not in "병신이")
+   * @param {Object} item - Whitelist item
+   * @returns {{source: string, flags: string}|null} Pattern, or null for an invalid regex
+   */
+  getWhitelistPattern(item) {
+    switch (item.match) {
+      case LIST_CONSTANTS.MATCH_TYPES.EXACT:
+        return { source: `(?<![\\p{L}\\p{N}])${buildLooseWordSource(item.text)}(?![\\p{L}\\p{N}])`, flags: 'giu' };
+      case LIST_CONSTANTS.MATCH_TYPES.CONTAINS:
+        return { source: buildLooseWordSource(item.text), flags: 'giu' };
+      case LIST_CONSTANTS.MATCH_TYPES.REGEX:
+        try {
+          new RegExp(item.text, 'gi');
+          return { source: item.text, flags: 'gi' };
+        } catch {
+          return null;
+        }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Whitelist patterns active on a site, for the content script's local prefilter
+   * @param {string|null} domain - Current hostname
+   * @returns {Promise<Array<Object>>} [{ source, flags, expiresAt }] (expiresAt null for permanent items)
+   */
+  async getWhitelistPatterns(domain = null) {
+    const whitelist = await this.getWhitelist();
+    const now = Date.now();
+
+    return whitelist
+      .filter(item => this.isItemActive(item, [LIST_CONSTANTS.LOCALES.ALL], domain, now))
+      .flatMap(item => {
+        const pattern = this.getWhitelistPattern(item);
+        return pattern && pattern.source ? [{ ...pattern, expiresAt: item.expiresAt || null }] : [];
+      });
+  }
+
+  /**
+   * Finds the character ranges of text covered by whitelist items
+   * @param {string} text - Text as typed
    * @param {string} locale - Text locale
-   * @returns {Promise<boolean>} True if whitelisted
+   * @param {string|null} domain - Hostname the text was typed on (domain-scoped items)
+   * @returns {Promise<Array<Object>>} Ranges { start, end, item } sorted by start
    */
-  async isTextWhitelisted(text, locale = LIST_CONSTANTS.LOCALES.ALL) {
+  async getWhitelistSpans(text, locale = LIST_CONSTANTS.LOCALES.ALL, domain = null) {
     const whitelist = await this.getWhitelist();
-    const normalizedText = TextUtils.normalizeText(text).toLowerCase();
-    
-    return whitelist.some(item => {
-      // Check locale match
-      if (item.locale !== LIST_CONSTANTS.LOCALES.ALL && item.locale !== locale) {
-        return false;
-      }
-      
-      const itemText = item.text.toLowerCase();
-      
-      switch (item.match) {
-        case LIST_CONSTANTS.MATCH_TYPES.EXACT:
-          return normalizedText === itemText;
-        case LIST_CONSTANTS.MATCH_TYPES.CONTAINS:
-          return normalizedText.includes(itemText) || itemText.includes(normalizedText);
-        case LIST_CONSTANTS.MATCH_TYPES.REGEX:
-          try {
-            const regex = new RegExp(item.text, 'i');
-            return regex.test(normalizedText);
-          } catch {
-            return false;
-          }
-        default:
-          return false;
+    const locales = getTextLocales(text, locale);
+    const now = Date.now();
+    const spans = [];
+
+    for (const item of whitelist) {
+      if (!this.isItemActive(item, locales, domain, now)) continue;
+
+      const pattern = this.getWhitelistPattern(item);
+      if (!pattern || !pattern.source) continue;
+
+      for (const match of text.matchAll(new RegExp(pattern.source, pattern.flags))) {
+        if (match[0].length > 0) {
+          spans.push({ start: match.index, end: match.index + match[0].length, item });
+        }
       }
-    });
+    }
+
+    return spans.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Adds the default whitelist items once (or again when forced from the options page)
+   * @param {boolean} force - Re-add missing defaults even if seeded before
+   * @returns {Promise<number>} Number of added items
+   */
+  async seedDefaultWhitelist(force = false) {
+    const seededKey = LIST_CONSTANTS.STORAGE_KEYS.WHITELIST_SEEDED;
+    if (!force && (await chrome.storage.sync.get([seededKey]))[seededKey]) {
+      return 0;
+    }
+
+    const whitelist = await this.getWhitelist();
+    const missing = LIST_CONSTANTS.DEFAULT_WHITELIST
+      .filter(text => !whitelist.some(item => item.text === text))
+      .map(text => ({ ...this.createListItem(text), seed: true }));
+
+    if (missing.length > 0 && !(await this.saveWhitelist([...whitelist, ...missing]))) {
+      return 0;
+    }
+    await chrome.storage.sync.set({ [seededKey]: true });
+    return missing.length;
   }
   
   /**
    * Gets blacklist matches and their weights
    * @param {string} text - Text to check
    * @param {string} locale - Text locale
+   * @param {string|null} domain - Hostname the text was typed on (domain-scoped items)
    * @returns {Promise<Array>} Array of matches with weights
    */
-  async getBlacklistMatches(text, locale = LIST_CONSTANTS.LOCALES.ALL) {
+  async getBlacklistMatches(text, locale = LIST_CONSTANTS.LOCALES.ALL, domain = null) {
     const blacklist = await this.getBlacklist();
     const normalizedText = TextUtils.normalizeText(text).toLowerCase();
     const matches = [];
+    const locales = getTextLocales(text, locale);
+    const now = Date.now();
     
     blacklist.forEach(item => {
-      // Check locale match
-      if (item.locale !== LIST_CONSTANTS.LOCALES.ALL && item.locale !== locale) {
+      if (!this.isItemActive(item, locales, domain, now)) {
         return;
       }
       
@@ -679,23 +2772,284 @@ class ListManager {
     
     return matches;
   }
-  
+  
+  /**
+   * Clears all caches
+   */
+  clearCache() {
+    this.whitelistCache = null;
+    this.blacklistCache = null;
+    this.lastWhitelistUpdate = 0;
+    this.lastBlacklistUpdate = 0;
+  }
+}
+
+// Global list manager instance
+const listManager = new ListManager();
+
+// ==================== TONE PROFILES ====================
+
+/**
+ * Tone profile management service. Profiles describe the target style per
+ * recipient type and are turned into extra system-prompt rules.
+ */
+class ToneProfileManager {
+  constructor() {
+    this.profilesCache = null;
+    this.cacheTimeout = 30000; // 30 seconds
+    this.lastUpdate = 0;
+  }
+
+  /**
+   * Normalizes and validates a profile from the options page
+   * @param {Object} profile - Raw profile
+   * @returns {Object|null} Normalized profile or null if invalid
+   */
+  normalizeProfile(profile) {
+    if (!profile || typeof profile !== 'object') return null;
+
+    const name = String(profile.name || '').trim();
+    if (!name || name.length > TONE_PROFILE_CONSTANTS.LIMITS.NAME_LENGTH) return null;
+    if (!Object.values(TONE_PROFILE_CONSTANTS.FORMALITY).includes(profile.formality)) return null;
+    if (!Object.values(TONE_PROFILE_CONSTANTS.SPEECH_LEVELS).includes(profile.speechLevel)) return null;
+
+    const maxLength = Number(profile.maxLength) || 0;
+    if (maxLength < 0 || maxLength > TONE_PROFILE_CONSTANTS.LIMITS.MAX_LENGTH) return null;
+
+    const bannedPhrases = (Array.isArray(profile.bannedPhrases) ? profile.bannedPhrases : [])
+      .map(phrase => String(phrase).trim())
+      .filter(Boolean)
+      .slice(0, TONE_PROFILE_CONSTANTS.LIMITS.BANNED_PHRASES);
+
+    return {
+      id: profile.id || listManager.generateId(),
+      name,
+      formality: profile.formality,
+      speechLevel: profile.speechLevel,
+      maxLength: Math.round(maxLength),
+      bannedPhrases,
+      instructions: String(profile.instructions || '').trim().slice(0, TONE_PROFILE_CONSTANTS.LIMITS.INSTRUCTIONS_LENGTH),
+      updatedAt: Date.now()
+    };
+  }
+
+  /**
+   * Gets profiles from storage with caching (built-in profiles until the user saves any)
+   * @returns {Promise<Array>} Profiles
+   */
+  async getProfiles() {
+    const now = Date.now();
+
+    if (this.profilesCache && (now - this.lastUpdate) < this.cacheTimeout) {
+      return this.profilesCache;
+    }
+
+    try {
+      const result = await chrome.storage.sync.get([TONE_PROFILE_CONSTANTS.STORAGE_KEYS.PROFILES]);
+      const stored = result[TONE_PROFILE_CONSTANTS.STORAGE_KEYS.PROFILES];
+      const profiles = Array.isArray(stored) && stored.length > 0
+        ? stored
+        : TONE_PROFILE_CONSTANTS.DEFAULT_PROFILES.map(profile => ({ ...profile }));
+
+      this.profilesCache = profiles;
+      this.lastUpdate = now;
+
+      return profiles;
+    } catch (error) {
+      return TONE_PROFILE_CONSTANTS.DEFAULT_PROFILES;
+    }
+  }
+
+  /**
+   * Saves profiles to storage (the context menu follows via storage.onChanged)
+   * @param {Array} profiles - Profiles
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveProfiles(profiles) {
+    try {
+      await chrome.storage.sync.set({ [TONE_PROFILE_CONSTANTS.STORAGE_KEYS.PROFILES]: profiles });
+      this.profilesCache = profiles;
+      this.lastUpdate = Date.now();
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Gets the default profile ID (falls back to the first profile)
+   * @returns {Promise<string>} Profile ID
+   */
+  async getDefaultProfileId() {
+    const profiles = await this.getProfiles();
+
+    try {
+      const result = await chrome.storage.sync.get([TONE_PROFILE_CONSTANTS.STORAGE_KEYS.DEFAULT_PROFILE]);
+      const storedId = result[TONE_PROFILE_CONSTANTS.STORAGE_KEYS.DEFAULT_PROFILE];
+      if (profiles.some(profile => profile.id === storedId)) {
+        return storedId;
+      }
+    } catch (error) {
+      // Fall through to the first profile
+    }
+
+    return profiles.find(profile => profile.id === TONE_PROFILE_CONSTANTS.DEFAULT_PROFILE_ID)?.id || profiles[0]?.id;
+  }
+
+  /**
+   * Sets the default profile
+   * @param {string} profileId - Profile ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async setDefaultProfileId(profileId) {
+    const profiles = await this.getProfiles();
+    if (!profiles.some(profile => profile.id === profileId)) return false;
+
+    await chrome.storage.sync.set({ [TONE_PROFILE_CONSTANTS.STORAGE_KEYS.DEFAULT_PROFILE]: profileId });
+    return true;
+  }
+
+  /**
+   * Resolves a profile by ID, falling back to the default profile
+   * @param {string} [profileId] - Requested profile ID
+   * @returns {Promise<Object|null>} Profile
+   */
+  async getProfile(profileId = null) {
+    const profiles = await this.getProfiles();
+    const requested = profileId && profiles.find(profile => profile.id === profileId);
+    if (requested) return requested;
+
+    const defaultId = await this.getDefaultProfileId();
+    return profiles.find(profile => profile.id === defaultId) || null;
+  }
+
+  /**
+   * Creates or updates a profile
+   * @param {Object} profile - Profile from the options page
+   * @returns {Promise<Object|null>} Saved profile or null if invalid
+   */
+  async upsertProfile(profile) {
+    const normalized = this.normalizeProfile(profile);
+    if (!normalized) return null;
+
+    const profiles = [...await this.getProfiles()];
+    const index = profiles.findIndex(existing => existing.id === normalized.id);
+
+    if (index >= 0) {
+      profiles[index] = normalized;
+    } else {
+      profiles.push(normalized);
+    }
+
+    return (await this.saveProfiles(profiles)) ? normalized : null;
+  }
+
+  /**
+   * Removes a profile by ID (the last remaining profile cannot be removed)
+   * @param {string} profileId - Profile ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async removeProfile(profileId) {
+    const profiles = await this.getProfiles();
+    const filtered = profiles.filter(profile => profile.id !== profileId);
+
+    if (filtered.length === profiles.length || filtered.length === 0) {
+      return false;
+    }
+
+    return await this.saveProfiles(filtered);
+  }
+
   /**
-   * Clears all caches
+   * Builds extra system-prompt rules for a profile
+   * @param {Object|null} profile - Tone profile
+   * @returns {string} Prompt lines (empty when the profile adds nothing)
+   */
+  buildPromptRules(profile) {
+    if (!profile) return '';
+
+    const formalityRules = {
+      high: '격식 수준: 매우 격식 있게, 구어체·줄임말·이모티콘 금지',
+      medium: '격식 수준: 일반적인 업무 메일/메신저 수준의 격식',
+      casual: '격식 수준: 친근하지만 예의 바른 존댓말, 지나친 격식은 피함'
+    };
+    const speechLevelRules = {
+      hasipsio: '종결 어미: 하십시오체(~습니다, ~십시오)로 통일',
+      haeyo: '종결 어미: 해요체(~해요, ~할까요?)로 통일'
+    };
+
+    const rules = [`- 상황/대상: ${profile.name}`, `- ${formalityRules[profile.formality] || formalityRules.medium}`];
+    if (speechLevelRules[profile.speechLevel]) {
+      rules.push(`- ${speechLevelRules[profile.speechLevel]}`);
+    }
+    if (profile.maxLength > 0) {
+      rules.push(`- 길이: ${profile.maxLength}자 이내`);
+    }
+    if (profile.bannedPhrases?.length) {
+      rules.push(`- 사용 금지 표현: ${profile.bannedPhrases.map(phrase => `"${phrase}"`).join(', ')}`);
+    }
+    if (profile.instructions) {
+      rules.push(`- 추가 지침: ${profile.instructions}`);
+    }
+
+    return `\n\n톤 프로필:\n${rules.join('\n')}`;
+  }
+
+  /**
+   * Completion budget for a profile's length limit
+   * @param {Object|null} profile - Tone profile
+   * @param {number} baseTokens - Default budget
+   * @returns {number} Max tokens
+   */
+  getMaxTokens(profile, baseTokens) {
+    if (!profile?.maxLength) return baseTokens;
+    // Korean averages a bit over one token per character
+    return Math.max(baseTokens, Math.ceil(profile.maxLength * 1.5));
+  }
+
+  /**
+   * Clears cache
    */
   clearCache() {
-    this.whitelistCache = null;
-    this.blacklistCache = null;
-    this.lastWhitelistUpdate = 0;
-    this.lastBlacklistUpdate = 0;
+    this.profilesCache = null;
+    this.lastUpdate = 0;
   }
 }
 
-// Global list manager instance
-const listManager = new ListManager();
+// Global tone profile manager instance
+const toneProfileManager = new ToneProfileManager();
 
 // ==================== DATA LOADING ====================
 
+/**
+ * Per-locale lexicons shipped next to data/fword_categories.json (same entry format)
+ */
+const LOCALE_LEXICON_FILES = ['data/fword_ja.json', 'data/fword_zh.json'];
+
+/**
+ * Loads the categorized lexicon with the per-locale lexicons appended.
+ * A missing or broken locale file is skipped so the main lexicon still loads.
+ * @returns {Promise<Array<Object>>} Entries { word, category, locale }
+ */
+async function loadLexiconEntries() {
+  const response = await fetch(chrome.runtime.getURL('data/fword_categories.json'));
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+  const entries = await response.json();
+
+  const localeEntries = await Promise.all(LOCALE_LEXICON_FILES.map(async (file) => {
+    try {
+      const localeResponse = await fetch(chrome.runtime.getURL(file));
+      return localeResponse.ok ? await localeResponse.json() : [];
+    } catch (error) {
+      return [];
+    }
+  }));
+
+  return entries.concat(...localeEntries);
+}
+
 /**
  * Loads and parses profanity categories from JSON file
  * @returns {Promise<Object>} Categories object with strong, weak, adult, slur arrays
@@ -706,19 +3060,26 @@ async function loadProfanityCategories() {
   }
 
   try {
-    const response = await fetch(chrome.runtime.getURL('data/fword_categories.json'));
-    const data = await response.json();
+    const data = await loadLexiconEntries();
     
     // Organize by category
     const categories = {
       strong: [],
       weak: [],
       adult: [],
-      slur: []
+      slur: [],
+      en: [], // { word, category, source } - English needs word boundaries, so it ships as regex sources
+      exclusions: {} // { word: [compound] } - ordinary compounds a short word doesn't count in (土人形)
     };
     
     data.forEach(item => {
-      if (item.word && item.category && categories[item.category]) {
+      if (!item.word || !item.category || !categories[item.category]) return;
+      if (Array.isArray(item.exclude) && item.exclude.length > 0) {
+        categories.exclusions[item.word] = item.exclude;
+      }
+      if (item.locale === 'en') {
+        categories.en.push({ word: item.word, category: item.category, source: buildEnglishPatternSource(item.word) });
+      } else {
         categories[item.category].push(item.word);
       }
     });
@@ -731,7 +3092,9 @@ async function loadProfanityCategories() {
       strong: [],
       weak: [],
       adult: [],
-      slur: []
+      slur: [],
+      en: [],
+      exclusions: {}
     };
   }
 }
@@ -766,6 +3129,34 @@ class TextUtils {
       .replace(/[\s\-_.~!@#$%^&*()+={}[\]|\\:;"'<>,.?/]/g, '') // Remove separators
       .normalize('NFD');
   }
+
+  /**
+   * Normalizes like normalizeKoreanText(), one source character at a time, and
+   * records where each character of the result came from. Offsets are UTF-16
+   * indexes into `text`; a result character maps to the whole source character
+   * (surrogate pairs included) that produced it.
+   * @param {string} text - Source text
+   * @returns {Object} { text, starts, ends } - result char i came from text.slice(starts[i], ends[i])
+   */
+  static normalizeKoreanTextWithMap(text) {
+    const source = String(text || '');
+    const starts = [];
+    const ends = [];
+    let normalized = '';
+
+    for (let i = 0; i < source.length;) {
+      const width = source.codePointAt(i) > 0xFFFF ? 2 : 1;
+      const piece = TextUtils.normalizeKoreanText(source.slice(i, i + width));
+      for (let k = 0; k < piece.length; k++) {
+        starts.push(i);
+        ends.push(i + width);
+      }
+      normalized += piece;
+      i += width;
+    }
+
+    return { text: normalized, starts, ends };
+  }
   
   /**
    * Escapes regex special characters
@@ -839,11 +3230,23 @@ function getGuardMode() {
  * Extract Korean consonant skeleton (초성/종성)
  */
 function extractKoreanSkeleton(text) {
+  return extractKoreanSkeletonWithMap(text).text;
+}
+
+/**
+ * Extracts the consonant skeleton and, for each skeleton character, the
+ * index of the input character it came from (a syllable can yield up to 3)
+ * @param {string} text - Input text
+ * @returns {Object} { text, indexes }
+ */
+function extractKoreanSkeletonWithMap(text) {
   const result = [];
+  const indexes = [];
   
   for (let i = 0; i < text.length; i++) {
     const char = text.charAt(i);
     const code = char.charCodeAt(0);
+    let piece = char;
     
     // Korean syllable range (가-힣)
     if (code >= 0xAC00 && code <= 0xD7A3) {
@@ -855,28 +3258,183 @@ function extractKoreanSkeleton(text) {
       const initials = ['ㄱ','ㄲ','ㄴ','ㄷ','ㄸ','ㄹ','ㅁ','ㅂ','ㅃ','ㅅ','ㅆ','ㅇ','ㅈ','ㅉ','ㅊ','ㅋ','ㅌ','ㅍ','ㅎ'];
       const finals = ['','ㄱ','ㄲ','ㄱㅅ','ㄴ','ㄴㅈ','ㄴㅎ','ㄷ','ㄹ','ㄹㄱ','ㄹㅁ','ㄹㅂ','ㄹㅅ','ㄹㅌ','ㄹㅍ','ㄹㅎ','ㅁ','ㅂ','ㅂㅅ','ㅅ','ㅆ','ㅇ','ㅈ','ㅊ','ㅋ','ㅌ','ㅍ','ㅎ'];
       
-      result.push(initials[initialIndex]);
-      if (finalIndex > 0) {
-        result.push(finals[finalIndex]);
-      }
+      piece = initials[initialIndex] + finals[finalIndex];
     }
-    // Korean consonants (ㄱ-ㅎ)
-    else if ((code >= 0x3131 && code <= 0x3163)) {
-      result.push(char);
-    }
-    // Keep other characters as-is for mixed content
-    else {
-      result.push(char);
+    // Korean consonants (ㄱ-ㅎ) and other characters are kept as-is for mixed content
+    
+    for (const skeletonChar of piece) {
+      result.push(skeletonChar);
+      indexes.push(i);
     }
   }
   
-  return result.join('');
+  return { text: result.join(''), indexes };
+}
+
+/**
+ * Runs the detection normalization (normalizeKoreanText, then the skeleton)
+ * while keeping maps from both layers back to source offsets, so matches can be
+ * highlighted, redacted or rewritten where they occur in what the user typed
+ * @param {string} text - Source text
+ * @returns {Object} { source, original, normalized, skeleton } - each layer is { text, starts, ends }
+ *   (`original` is the source itself, for patterns that match the text as typed)
+ */
+function buildOffsetPipeline(text) {
+  const source = String(text || '');
+  const normalized = TextUtils.normalizeKoreanTextWithMap(source);
+  const skeleton = extractKoreanSkeletonWithMap(normalized.text);
+
+  return {
+    source,
+    original: {
+      text: source,
+      starts: Array.from({ length: source.length }, (_, index) => index),
+      ends: Array.from({ length: source.length }, (_, index) => index + 1)
+    },
+    normalized,
+    skeleton: {
+      text: skeleton.text,
+      starts: skeleton.indexes.map(index => normalized.starts[index]),
+      ends: skeleton.indexes.map(index => normalized.ends[index])
+    }
+  };
+}
+
+/**
+ * Maps a [start, end) range of a pipeline layer back to source offsets
+ * @param {Object} layer - pipeline.normalized or pipeline.skeleton
+ * @param {number} start - Start index in layer.text
+ * @param {number} end - End index in layer.text (exclusive)
+ * @returns {Object|null} { start, end } in the source, or null for an empty/invalid range
+ */
+function mapRangeToSource(layer, start, end) {
+  if (!(start >= 0 && end > start && end <= layer.starts.length)) return null;
+  return { start: layer.starts[start], end: layer.ends[end - 1] };
+}
+
+/**
+ * Finds every match of a pattern in a pipeline layer, as source ranges
+ * @param {Object} layer - pipeline.normalized or pipeline.skeleton
+ * @param {RegExp} pattern - Detection pattern (the g flag is added)
+ * @returns {Array<Object>} Ranges { start, end }
+ */
+function findLayerRanges(layer, pattern) {
+  const flags = pattern.flags.includes('g') ? pattern.flags : pattern.flags + 'g';
+  const ranges = [];
+  for (const match of layer.text.matchAll(new RegExp(pattern.source, flags))) {
+    const range = mapRangeToSource(layer, match.index, match.index + match[0].length);
+    if (range) ranges.push(range);
+  }
+  return ranges;
+}
+
+/**
+ * Leetspeak/masking substitutes per letter for English patterns (f*ck, sh1t, b!tch)
+ */
+const LEET_SUBSTITUTES = {
+  a: '@4*', b: '8', c: '(', e: '3*', g: '9', i: '1!|*', l: '1|', o: '0*', s: '$5', t: '7+', u: '*v'
+};
+
+/**
+ * Inflections accepted after an English lexicon word. Only listed words are
+ * inflected: a blanket suffix turns short words into ordinary ones
+ * ("spic" + y, "jerk" + y, "sex" + y)
+ */
+const ENGLISH_INFLECTIONS = {
+  fuck: ['ing', 'in', 'ed', 'er', 'ers', 's'],
+  fucker: ['s'],
+  shit: ['s', 'ty'],
+  bitch: ['es', 'ing', 'y'],
+  bastard: ['s'],
+  asshole: ['s'],
+  dickhead: ['s'],
+  cunt: ['s'],
+  wanker: ['s'],
+  jackass: ['es'],
+  dipshit: ['s'],
+  damn: ['ed', 'ing'],
+  idiot: ['s'],
+  moron: ['s'],
+  loser: ['s'],
+  retard: ['s'],
+  faggot: ['s'],
+  slut: ['s', 'ty'],
+  whore: ['s']
+};
+
+/**
+ * Short English words that are also ordinary words or fragments of them; they
+ * only match as typed, without leetspeak or stretching ("A455", "hellll")
+ */
+const ENGLISH_EXACT_WORDS = new Set(['ass', 'hell', 'jerk', 'tits']);
+
+/**
+ * Builds the regex source for an English lexicon word. Unlike Korean patterns
+ * it runs on the text as typed with word boundaries (so "class" and "hello"
+ * don't hit "ass"/"hell"), accepts leetspeak substitutes, stretched letters
+ * (fuuuck), dotted spelling (f.u.c.k) and the word's ENGLISH_INFLECTIONS.
+ * A match must contain a real letter, so numbers like "7175" never read as a
+ * word; ENGLISH_EXACT_WORDS skip the substitutes altogether.
+ * @param {string} word - Lexicon word (may contain spaces)
+ * @returns {string} Regex source, to be compiled with the 'iu' flags
+ */
+function buildEnglishPatternSource(word) {
+  const normalized = word.toLowerCase().trim();
+  if (ENGLISH_EXACT_WORDS.has(normalized)) {
+    return `(?<![\\p{L}\\p{N}])${TextUtils.escapeRegex(normalized)}(?![\\p{L}\\p{N}])`;
+  }
+
+  const letterClass = (char) => `[${TextUtils.escapeRegex(char + (LEET_SUBSTITUTES[char] || ''))}]+`;
+  const body = normalized.split(/\s+/)
+    .map(part => Array.from(part).map(letterClass).join('[._\\-]*'))
+    .join('[\\s._\\-]+');
+  const suffixes = ENGLISH_INFLECTIONS[normalized];
+  const suffix = suffixes ? `(?:${suffixes.join('|')})?` : '';
+  return `(?<![\\p{L}\\p{N}])(?=[^\\p{L}\\s._\\-]*\\p{L})${body}${suffix}(?![\\p{L}\\p{N}])`;
+}
+
+/**
+ * Lexicon locales matched on the normalized text only (no Hangul skeleton)
+ */
+const CJK_LEXICON_LOCALES = [LIST_CONSTANTS.LOCALES.JAPANESE, LIST_CONSTANTS.LOCALES.CHINESE];
+
+/**
+ * Builds lookaheads that reject a lexicon word inside the ordinary compounds
+ * listed in its `exclude` field (土人 in 土人形, 郷土人, 風土人情)
+ * @param {string} word - Normalized lexicon word
+ * @param {Array<string>} [compounds] - Compounds as written in the lexicon
+ * @returns {string} Regex source to put in front of the word pattern
+ */
+function buildCompoundExclusionSource(word, compounds = []) {
+  return compounds.map(compound => {
+    const normalized = TextUtils.normalizeKoreanText(compound);
+    const offset = normalized.indexOf(word);
+    if (offset === -1) return '';
+    const prefix = normalized.slice(0, offset);
+    const rest = TextUtils.escapeRegex(normalized.slice(offset));
+    return prefix ? `(?!(?<=${TextUtils.escapeRegex(prefix)})${rest})` : `(?!${rest})`;
+  }).join('');
 }
 
 /**
  * Generate categorized noise-tolerant regex pattern
  */
 function generateCategorizedPattern(item) {
+  if (item.locale === 'en') {
+    const word = item.word.toLowerCase();
+    return {
+      word,
+      original: item.word,
+      skeleton: word,
+      pattern: new RegExp(buildEnglishPatternSource(word), 'iu'),
+      skeletonPattern: null,
+      matchesSource: true, // Test against the text as typed, not the stripped normalization
+      category: item.category,
+      locale: item.locale,
+      weight: getCategoryWeight(item.category)
+    };
+  }
+
   const normalized = TextUtils.normalizeKoreanText(item.word);
   const skeleton = extractKoreanSkeleton(normalized);
   
@@ -894,13 +3452,16 @@ function generateCategorizedPattern(item) {
     .split('')
     .map(char => TextUtils.escapeRegex(char))
     .join(noise);
+
+  const exclusion = buildCompoundExclusionSource(normalized, item.exclude);
     
   return {
     word: normalized,
     original: item.word,
     skeleton,
-    pattern: new RegExp(`${noisyPattern}`, 'iu'), // Remove 'g' flag, add 'u' for Unicode
-    skeletonPattern: new RegExp(`${skeletonPattern}`, 'iu'),
+    pattern: new RegExp(`${exclusion}${noisyPattern}`, 'iu'), // Remove 'g' flag, add 'u' for Unicode
+    // Kana and Han have no jamo skeleton, so the skeleton check would only repeat the direct one
+    skeletonPattern: CJK_LEXICON_LOCALES.includes(item.locale) ? null : new RegExp(`${skeletonPattern}`, 'iu'),
     category: item.category,
     locale: item.locale,
     weight: getCategoryWeight(item.category)
@@ -977,15 +3538,8 @@ async function loadAndCompilePatterns() {
   
   state.patternCompilationPromise = (async () => {
     try {
-      // Load categorized word list
-      const categoriesUrl = chrome.runtime.getURL('data/fword_categories.json');
-      const categoriesResponse = await fetch(categoriesUrl);
-      
-      if (!categoriesResponse.ok) {
-        throw new Error(`HTTP ${categoriesResponse.status}: ${categoriesResponse.statusText}`);
-      }
-      
-      const categorizedWords = await categoriesResponse.json();
+      // Load categorized word lists (all locales)
+      const categorizedWords = await loadLexiconEntries();
       
       // Generate patterns with category metadata
       const patterns = categorizedWords.map(item => generateCategorizedPattern(item));
@@ -998,6 +3552,8 @@ async function loadAndCompilePatterns() {
         slur: patterns.filter(p => p.category === 'slur'),
         ko: patterns.filter(p => p.locale === 'ko'),
         en: patterns.filter(p => p.locale === 'en'),
+        ja: patterns.filter(p => p.locale === 'ja'),
+        zh: patterns.filter(p => p.locale === 'zh'),
         all: patterns
       };
       
@@ -1033,6 +3589,8 @@ async function loadAndCompilePatterns() {
           slur: [],
           ko: fallbackPatterns,
           en: [],
+          ja: [],
+          zh: [],
           all: fallbackPatterns,
           compiled: false,
           timestamp: Date.now()
@@ -1059,6 +3617,8 @@ async function loadAndCompilePatterns() {
           slur: [],
           ko: emergencyPatterns,
           en: [],
+          ja: [],
+          zh: [],
           all: emergencyPatterns,
           compiled: false,
           timestamp: Date.now()
@@ -1072,6 +3632,56 @@ async function loadAndCompilePatterns() {
   return state.patternCompilationPromise;
 }
 
+/**
+ * Script whose presence in a text brings in a locale's pattern bucket and
+ * list items. Han is shared by Japanese and Chinese, so it pulls in both.
+ */
+const LOCALE_BUCKET_SCRIPTS = {
+  ko: /[\uAC00-\uD7A3\u3131-\u318E\u1100-\u11FF]/,
+  en: /[A-Za-z]/,
+  ja: /[\u3041-\u309F\u30A0-\u30FF\u31F0-\u31FF\uFF66-\uFF9F\u3400-\u4DBF\u4E00-\u9FFF\uF900-\uFAFF]/,
+  zh: /[\u3400-\u4DBF\u4E00-\u9FFF\uF900-\uFAFF]/
+};
+
+/**
+ * Lists the locales present in a text: the detected one first, then any other
+ * locale whose script appears (mixed chat like "진짜 wtf" or "Please review
+ * this, 씨발"). Pattern buckets and list items both follow it.
+ * @param {string} text - Text being scored
+ * @param {string} locale - Text locale from detectLanguage()
+ * @returns {Array<string>} Locales, or [ALL] when the locale is ALL
+ */
+function getTextLocales(text, locale) {
+  if (locale === LIST_CONSTANTS.LOCALES.ALL) {
+    return [locale];
+  }
+
+  const otherLocales = Object.entries(LOCALE_BUCKET_SCRIPTS)
+    .filter(([scriptLocale, script]) => scriptLocale !== locale && script.test(text))
+    .map(([scriptLocale]) => scriptLocale);
+  return [locale, ...otherLocales];
+}
+
+/**
+ * Picks the pattern buckets to scan for a text: the buckets of every locale
+ * getTextLocales() finds in it, the detected locale's first
+ * @param {Object} patterns - Compiled pattern buckets from loadAndCompilePatterns()
+ * @param {string} locale - Text locale from detectLanguage()
+ * @param {string} text - Text being scored
+ * @returns {Array<Object>} Patterns to check
+ */
+function selectLocalePatterns(patterns, locale, text) {
+  const bucket = patterns[locale] || patterns.all;
+  if (bucket === patterns.all) {
+    return bucket;
+  }
+
+  const extraBuckets = getTextLocales(text, locale).slice(1)
+    .filter(extraLocale => patterns[extraLocale]?.length)
+    .map(extraLocale => patterns[extraLocale]);
+  return extraBuckets.length > 0 ? [bucket, ...extraBuckets].flat() : bucket;
+}
+
 /**
  * Advanced risk assessment algorithm with categorized Korean profanity detection
  * 
@@ -1082,21 +3692,26 @@ async function loadAndCompilePatterns() {
  * - Weak profanity (weight: 1 point)
  * 
  * @param {string} text - Text to analyze for risk factors
+ * @param {string} locale - Text locale, selects the pattern bucket (detected when omitted)
  * @returns {Promise<Object>} Risk assessment result
  * @property {number} result.score - Final risk score (0-10)
  * @property {Array} result.matches - Array of detected profanity matches
+ *   (each with `ranges` in the source text, see buildOffsetPipeline())
  * @property {Object} result.contextual - Contextual risk factors
  * @property {string} result.riskLevel - 'LOW', 'MEDIUM', or 'HIGH'
  * @property {Object} result.categoryStats - Count of matches by category
+ * @property {Array} result.spans - Offending spans in `text` as given
+ *   ({ start, end, text, category, label, suggestion }), sorted and non-overlapping
  * @example
  * // Usage
  * const result = await calculateAdvancedRiskScore("안녕하세요");
  * console.log(result.score); // 0
  * console.log(result.riskLevel); // 'LOW'
  */
-async function calculateAdvancedRiskScore(text) {
-  const normalized = TextUtils.normalizeKoreanText(text);
-  const skeleton = extractKoreanSkeleton(normalized);
+async function calculateAdvancedRiskScore(text, locale = detectLanguage(text)) {
+  const pipeline = buildOffsetPipeline(text);
+  const normalized = pipeline.normalized.text;
+  const skeleton = pipeline.skeleton.text;
   
   if (!normalized) {
     return { score: 0, matches: [], contextual: { score: 0, factors: [] } };
@@ -1107,10 +3722,11 @@ async function calculateAdvancedRiskScore(text) {
   let matches = [];
   let categoryStats = { strong: 0, weak: 0, adult: 0, slur: 0 };
   
-  // Check all patterns with their specific weights
-  for (const pattern of patterns.all) {
-    const directMatch = pattern.pattern.test(normalized);
-    const skeletonMatch = pattern.skeletonPattern.test(skeleton);
+  // Check the locale's patterns with their specific weights
+  for (const pattern of selectLocalePatterns(patterns, locale, text)) {
+    const directLayer = pattern.matchesSource ? pipeline.original : pipeline.normalized;
+    const directMatch = pattern.pattern.test(directLayer.text);
+    const skeletonMatch = Boolean(pattern.skeletonPattern) && pattern.skeletonPattern.test(skeleton);
     
     if (directMatch || skeletonMatch) {
       score += pattern.weight;
@@ -1123,7 +3739,10 @@ async function calculateAdvancedRiskScore(text) {
         locale: pattern.locale,
         weight: pattern.weight,
         type: directMatch ? 'direct' : 'skeleton',
-        matchedBy: directMatch ? 'normalized' : 'skeleton'
+        matchedBy: directMatch ? 'normalized' : 'skeleton',
+        ranges: directMatch
+          ? findLayerRanges(directLayer, pattern.pattern)
+          : findLayerRanges(pipeline.skeleton, pattern.skeletonPattern)
       });
     }
   }
@@ -1131,6 +3750,9 @@ async function calculateAdvancedRiskScore(text) {
   // Additional context scoring
   const contextScore = calculateContextualRisk(text);
   const patternScore = score;
+
+  // Where the matches occur in the text as typed (for underlining in the UI)
+  const spans = buildRiskSpans(text, matches, contextScore);
   score += contextScore.score;
   
   const finalScore = Math.min(score, 10);
@@ -1148,6 +3770,8 @@ async function calculateAdvancedRiskScore(text) {
     skeleton,
     categoryStats,
     riskLevel,
+    spans,
+    locale,
     breakdown: {
       patternScore,
       contextScore: contextScore.score,
@@ -1192,6 +3816,15 @@ function calculateContextualRisk(text) {
     }
   }
   
+  // English aggressive phrases feed the same score
+  const lowerText = text.toLowerCase();
+  for (const phrase of ENGLISH_AGGRESSIVE_PHRASES) {
+    if (lowerText.includes(phrase)) {
+      score += 0.3;
+      factors.push(`aggressive_${phrase}`);
+    }
+  }
+  
   // Excessive uppercase (for mixed content)
   const letters = (text.match(/[A-Za-z]/g) || []);
   const uppercase = (text.match(/[A-Z]/g) || []);
@@ -1203,54 +3836,170 @@ function calculateContextualRisk(text) {
   return { score, factors };
 }
 
-// ==================== STORAGE & WHITELIST SYSTEM ====================
+/**
+ * English aggressive/impatient phrases (lowercase)
+ */
+const ENGLISH_AGGRESSIVE_PHRASES = [
+  'asap', 'right now', 'do it now', 'immediately', 'are you kidding me', 'are you serious',
+  'this is unacceptable', 'unacceptable', 'ridiculous', 'how many times', 'i told you',
+  'what is wrong with you', 'not my problem', 'get it done', 'irresponsible', 'last warning'
+];
 
 /**
- * Load whitelist from storage with default seeds
+ * Tooltip labels for risk span categories
  */
-async function loadWhitelist() {
-  return new Promise((resolve) => {
-    chrome.storage.sync.get(['BIZTONE_WHITELIST'], (result) => {
-      // Default seed words that should never be flagged
-      const seed = ["시발점", "始發", "시발역", "출발점", "미친 듯이", "미친 척", "개발자", "개같이", "열받아"];
-      const userWhitelist = Array.isArray(result.BIZTONE_WHITELIST) ? result.BIZTONE_WHITELIST : [];
-      const merged = Array.from(new Set([...seed, ...userWhitelist]));
-      resolve(merged);
-    });
-  });
+const RISK_SPAN_LABELS = {
+  strong: '강한 욕설',
+  weak: '비속어',
+  adult: '성적 표현',
+  slur: '비하 표현',
+  aggressive: '공격적 표현',
+  blacklist: '차단 단어'
+};
+
+/**
+ * Softer wording offered when the user clicks an aggressive span.
+ * Profanity has no safe equivalent, so its suggestion is deletion ('').
+ */
+const AGGRESSIVE_SUGGESTIONS = {
+  '당장': '가능한 빨리',
+  '빨리': '가급적 빨리',
+  '책임져': '책임지고 처리해 주세요',
+  '최악': '매우 아쉬운',
+  '짜증': '불편',
+  '열받': '당황스럽',
+  '죽을': '매우',
+  'asap': 'when you have a chance',
+  'right now': 'soon',
+  'do it now': 'please take care of this soon',
+  'immediately': 'as soon as possible',
+  'are you kidding me': 'I was surprised by this',
+  'are you serious': 'could you clarify',
+  'this is unacceptable': 'this does not meet our expectations',
+  'unacceptable': 'concerning',
+  'ridiculous': 'surprising',
+  'how many times': 'as mentioned before',
+  'i told you': 'as I mentioned',
+  'irresponsible': 'not ideal'
+};
+
+/**
+ * Separators tolerated between the characters of a word (spaces, punctuation,
+ * symbols and invisible characters)
+ */
+const SPAN_NOISE_SOURCE = '[\\p{Z}\\p{P}\\p{S}\\u200B-\\u200F\\u202A-\\u202E\\u2060\\uFEFF]*';
+
+/**
+ * Builds a case-insensitive ('giu') pattern source for a word that allows
+ * SPAN_NOISE_SOURCE between its characters
+ * @param {string} word - Word or phrase
+ * @returns {string} Pattern source ('' for an empty word)
+ */
+function buildLooseWordSource(word) {
+  const chars = Array.from(String(word || '').normalize('NFC').toLowerCase().replace(/\s+/g, ''));
+  return chars.map(char => TextUtils.escapeRegex(char)).join(SPAN_NOISE_SOURCE);
 }
 
 /**
- * Save whitelist to storage
+ * Finds every occurrence of a lexicon word in the original text, allowing the
+ * same separators between characters as the detection patterns do
+ * @param {string} text - Text as typed
+ * @param {string} word - Lexicon word (unnormalized)
+ * @returns {Array<Object>} Ranges { start, end }
  */
-async function saveWhitelist(whitelist) {
-  return new Promise((resolve) => {
-    chrome.storage.sync.set({ 'BIZTONE_WHITELIST': whitelist }, resolve);
-  });
+function findSourceRanges(text, word) {
+  const source = buildLooseWordSource(word);
+  if (!source) return [];
+
+  const pattern = new RegExp(source, 'giu');
+  return Array.from(text.matchAll(pattern), match => ({
+    start: match.index,
+    end: match.index + match[0].length
+  }));
 }
 
 /**
- * Enhanced risk assessment with whitelist check
+ * Builds the offending spans for a risk assessment
+ * @param {string} text - Text as typed
+ * @param {Array<Object>} matches - Pattern matches; each gets start/end of its first occurrence
+ * @param {Object} contextScore - From calculateContextualRisk()
+ * @returns {Array<Object>} Spans sorted by start, without overlaps
  */
-async function calculateAdvancedRiskScoreWithWhitelist(text) {
-  // Check whitelist first
-  const isWhitelisted = await listManager.isTextWhitelisted(text);
-  if (isWhitelisted) {
-    return {
-      score: 0,
-      matches: [],
-      contextual: { score: 0, factors: [] },
-      riskLevel: 'LOW',
-      categoryStats: { strong: 0, weak: 0, adult: 0, slur: 0 },
-      whitelisted: true
-    };
+function buildRiskSpans(text, matches, contextScore) {
+  const spans = [];
+  const addSpans = (ranges, category, suggestion) => {
+    ranges.forEach(range => spans.push({
+      ...range,
+      text: text.slice(range.start, range.end),
+      category,
+      label: RISK_SPAN_LABELS[category] || category,
+      suggestion
+    }));
+  };
+
+  for (const match of matches) {
+    const ranges = match.ranges || findSourceRanges(text, match.original || match.word);
+    match.start = ranges[0]?.start ?? null;
+    match.end = ranges[0]?.end ?? null;
+    addSpans(ranges, match.category, '');
   }
-  
-  // Proceed with normal risk assessment and add blacklist matches
-  const result = await calculateAdvancedRiskScore(text);
+
+  for (const factor of contextScore.factors) {
+    if (!factor.startsWith('aggressive_')) continue;
+    const word = factor.slice('aggressive_'.length);
+    addSpans(findSourceRanges(text, word), 'aggressive', AGGRESSIVE_SUGGESTIONS[word] ?? '');
+  }
+
+  return mergeRiskSpans(spans);
+}
+
+/**
+ * Sorts spans and drops those overlapping an earlier (or longer) one
+ * @param {Array<Object>} spans - Spans to merge
+ * @returns {Array<Object>} Non-overlapping spans
+ */
+function mergeRiskSpans(spans) {
+  const sorted = [...spans].sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+  const merged = [];
+  for (const span of sorted) {
+    const last = merged[merged.length - 1];
+    if (!last || span.start >= last.end) merged.push(span);
+  }
+  return merged;
+}
+
+// ==================== STORAGE & WHITELIST SYSTEM ====================
+
+/**
+ * Masks whitelisted ranges with LIST_CONSTANTS.MASK_CHAR (same length, so offsets stay valid)
+ * @param {string} text - Text as typed
+ * @param {Array<Object>} whitelistSpans - From listManager.getWhitelistSpans()
+ * @returns {string} Text without the whitelisted phrases
+ */
+function maskWhitelistSpans(text, whitelistSpans) {
+  if (whitelistSpans.length === 0) return text;
+
+  const chars = text.split('');
+  for (const span of whitelistSpans) {
+    chars.fill(LIST_CONSTANTS.MASK_CHAR, span.start, span.end);
+  }
+  return chars.join('');
+}
+
+/**
+ * Enhanced risk assessment with whitelist spans and blacklist matches
+ * @param {string} text - Text to analyze
+ * @param {string|null} [domain] - Hostname the text was typed on (domain-scoped list items)
+ */
+async function calculateAdvancedRiskScoreWithWhitelist(text, domain = null) {
+  const locale = detectLanguage(text);
+  const whitelistSpans = await listManager.getWhitelistSpans(text, locale, domain);
+
+  // Only the whitelisted phrases are masked; the rest of the message is scored as usual
+  const result = await calculateAdvancedRiskScore(maskWhitelistSpans(text, whitelistSpans), locale);
   
   // Add blacklist risk factors
-  const blacklistMatches = await listManager.getBlacklistMatches(text);
+  const blacklistMatches = await listManager.getBlacklistMatches(text, locale, domain);
   
   if (blacklistMatches.length > 0) {
     const blacklistScore = blacklistMatches.reduce((total, match) => total + match.weight, 0);
@@ -1259,6 +4008,7 @@ async function calculateAdvancedRiskScoreWithWhitelist(text) {
     // Add blacklist matches to the result
     result.blacklistMatches = blacklistMatches;
     result.blacklistScore = blacklistScore;
+    result.spans = mergeRiskSpans([...(result.spans || []), ...buildBlacklistSpans(text, blacklistMatches)]);
     
     // Recalculate risk level with new score
     if (result.score >= 4) result.riskLevel = 'HIGH';
@@ -1266,7 +4016,45 @@ async function calculateAdvancedRiskScoreWithWhitelist(text) {
     else result.riskLevel = 'LOW';
   }
   
-  return { ...result, whitelisted: false };
+  return {
+    ...result,
+    whitelistSpans: whitelistSpans.map(({ start, end }) => ({ start, end })),
+    whitelisted: whitelistSpans.length > 0 && result.score === 0
+  };
+}
+
+/**
+ * Locates blacklist matches in the original text
+ * @param {string} text - Text as typed
+ * @param {Array<Object>} blacklistMatches - From listManager.getBlacklistMatches()
+ * @returns {Array<Object>} Spans
+ */
+function buildBlacklistSpans(text, blacklistMatches) {
+  const spans = [];
+  for (const { item } of blacklistMatches) {
+    let ranges = [];
+    if (item.match === LIST_CONSTANTS.MATCH_TYPES.REGEX) {
+      try {
+        ranges = Array.from(text.matchAll(new RegExp(item.text, 'gi')), match => ({
+          start: match.index,
+          end: match.index + match[0].length
+        })).filter(range => range.end > range.start);
+      } catch {
+        ranges = [];
+      }
+    } else {
+      ranges = findSourceRanges(text, item.text);
+    }
+
+    ranges.forEach(range => spans.push({
+      ...range,
+      text: text.slice(range.start, range.end),
+      category: 'blacklist',
+      label: RISK_SPAN_LABELS.blacklist,
+      suggestion: ''
+    }));
+  }
+  return spans;
 }
 
 // ==================== CHROME EXTENSION UTILITIES ====================
@@ -1396,192 +4184,35 @@ async function ensureContentListener(tabId, frameId = undefined) {
 
 /**
  * Retrieves API configuration from storage
- * @returns {Promise<{key: string|null, model: string}>} API configuration
- */
-async function getApiConfig() {
-  return new Promise((resolve) => {
-    chrome.storage.sync.get(["OPENAI_API_KEY", "OPENAI_MODEL"], (result) => {
-      const rawKey = result.OPENAI_API_KEY || "";
-      const cleanKey = rawKey.replace(/^(['"])+|(['"])+$/g, "").trim() || null;
-      
-      resolve({
-        key: cleanKey,
-        model: result.OPENAI_MODEL || CONFIG.DEFAULT_MODEL
-      });
-    });
-  });
-}
-
-// ==================== OPENAI API INTEGRATION ====================
-
-/**
- * Makes a request to OpenAI API with timeout and retry logic
- * @param {Object} requestBody - Request body for OpenAI API
- * @param {string} apiKey - OpenAI API key
- * @returns {Promise<Object>} API response data
- * @throws {Error} When API request fails
- */
-async function callOpenAI(requestBody, apiKey) {
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), 15000); // 15s timeout
-  
-  let attempt = 0;
-  let response;
-  
-  try {
-    while (attempt < 3) {
-      attempt++;
-      
-      try {
-        response = await fetch(CONFIG.OPENAI_API_URL, {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-            "Authorization": `Bearer ${apiKey}`
-          },
-          body: JSON.stringify(requestBody),
-          signal: controller.signal
-        });
-        
-        // Break if not rate limited
-        if (response.status !== 429) break;
-        
-        // Exponential backoff for rate limit
-        const delay = 500 * attempt * attempt; // 0.5s, 2s, 4.5s
-        await new Promise(resolve => setTimeout(resolve, delay));
-        
-      } catch (error) {
-        if (error.name === 'AbortError') {
-          throw new Error('OpenAI API request timeout (15s)');
-        }
-        if (attempt === 3) throw error;
-        
-        // Network error backoff
-        const delay = 1000 * attempt;
-        await new Promise(resolve => setTimeout(resolve, delay));
-      }
-    }
-    
-    clearTimeout(timeout);
-    
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`OpenAI API error (${response.status}): ${errorText}`);
-    }
-
-    return response.json();
-    
-  } catch (error) {
-    clearTimeout(timeout);
-    throw error;
-  }
-}
-
-/**
- * Converts text to professional business tone
- * @param {string} text - Text to convert
- * @param {string} model - OpenAI model to use
- * @param {string} apiKey - OpenAI API key
- * @returns {Promise<string>} Converted text
+ * @returns {Promise<{provider: string, key: string|null, model: string, endpoint: string|null, apiVersion: string|null}>} API configuration
  */
-async function convertToBusinessTone(text, model, apiKey) {
-  const systemPrompt = `너는 한국 직장 문화에 익숙한 '비즈니스 커뮤니케이션 전문가'다.
-역할: 입력된 문장을 정중하고 전문적인 비즈니스 톤으로 변환한다.
-
-규칙:
-- 감정적 표현을 중립적이고 객관적으로 변경
-- 명령형을 정중한 요청형으로 변경  
-- 비속어나 부적절한 표현을 적절한 비즈니스 용어로 대체
-- 한국어 존댓말과 비즈니스 매너를 반영
-- 원문의 핵심 의미는 유지하되 톤만 개선
-
-중요: 변환된 문장만 출력하고, "변경하겠습니다", "로 수정합니다" 등의 설명은 절대 포함하지 마세요.`;
-
-  const userPrompt = `다음 문장을 비즈니스 톤으로 변환하되, 변환된 문장만 출력하세요:
-
-${text}
-
-변환된 문장:`;
-
-  const requestBody = {
-    model: model || CONFIG.DEFAULT_MODEL,
-    temperature: 0.3,
-    max_tokens: 200, // Limit response length for cost control
-    messages: [
-      { role: "system", content: systemPrompt },
-      { role: "user", content: userPrompt }
-    ]
-  };
-
-  try {
-    const data = await callOpenAI(requestBody, apiKey);
-    const result = data?.choices?.[0]?.message?.content || text;
-    return result.trim();
-  } catch (error) {
-    throw new Error(`텍스트 변환 실패: ${error.message}`);
-  }
+async function getApiConfig() {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get([
+      "LLM_PROVIDER", "LLM_ENDPOINT", "LLM_API_VERSION", "OPENAI_API_KEY", "OPENAI_MODEL"
+    ], (result) => {
+      const provider = providerRegistry.get(result.LLM_PROVIDER);
+      const rawKey = result.OPENAI_API_KEY || "";
+      const cleanKey = rawKey.replace(/^(['"])+|(['"])+$/g, "").trim() || null;
+      
+      resolve({
+        provider: provider.id,
+        key: cleanKey,
+        model: result.OPENAI_MODEL || provider.defaultModel,
+        endpoint: (result.LLM_ENDPOINT || "").trim() || null,
+        apiVersion: result.LLM_API_VERSION || null
+      });
+    });
+  });
 }
 
 /**
- * Uses AI to decide whether text should be sent as-is or converted
- * @param {string} text - Text to analyze
- * @param {string} model - OpenAI model to use  
- * @param {string} apiKey - OpenAI API key
- * @returns {Promise<Object>} Decision result with action and optional converted text
+ * Checks whether the configured provider has the credentials it needs
+ * @param {Object} apiConfig - Config from getApiConfig()
+ * @returns {boolean}
  */
-async function decideTextAction(text, model, apiKey) {
-  const systemPrompt = `너는 한국 직장 문화에 익숙한 '비즈니스 커뮤니케이션 가드'다.
-역할: 입력 문장이 '그대로 보내도 안전한지' 또는 '비즈니스 톤으로 변환해야 하는지'를 결정한다.
-출력은 반드시 JSON 한 줄로만 한다.`;
-
-  const userPrompt = `다음 문장을 평가해라.
-- 안전 판단 기준 예시: 비속어/모욕/공격/비난, 과도한 명령/책임전가, 과격한 감정 표현 등.
-- 안전하면 action:"send", 아니면 action:"convert".
-- convert일 때만 converted_text에 정중하고 간결(한국 비즈니스 톤, ~150자)하게 변환한 결과를 넣어라.
-- rationale은 1줄 한국어로 아주 간단히.
-
-문장: ${text}`;
-
-  const requestBody = {
-    model: model || CONFIG.DEFAULT_MODEL,
-    temperature: 0.0,
-    max_tokens: 150, // JSON response should be compact
-    response_format: { type: "json_object" },
-    messages: [
-      { role: "system", content: systemPrompt },
-      { role: "user", content: userPrompt }
-    ]
-  };
-
-  try {
-    const data = await callOpenAI(requestBody, apiKey);
-    const rawResponse = data?.choices?.[0]?.message?.content || "{}";
-    
-    let parsed;
-    try {
-      parsed = JSON.parse(rawResponse);
-    } catch {
-      parsed = {};
-    }
-
-    // Validate and normalize response
-    const action = (parsed.action === "convert" || parsed.action === "send") ? parsed.action : "send";
-    
-    return {
-      action,
-      converted_text: parsed.converted_text || "",
-      label: parsed.label || "",
-      rationale: parsed.rationale || ""
-    };
-  } catch (error) {
-    // Fail-safe: default to sending as-is
-    return {
-      action: "send",
-      converted_text: "",
-      label: "",
-      rationale: "결정 실패로 인한 안전 모드"
-    };
-  }
+function isApiConfigured(apiConfig) {
+  return providerRegistry.get(apiConfig.provider).isConfigured(apiConfig);
 }
 
 // ==================== SELECTION EXTRACTION ====================
@@ -1641,26 +4272,267 @@ async function getSelectionFromAllFrames(tabId) {
 
 // ==================== MESSAGE HANDLERS ====================
 
+/**
+ * Streams a conversion into a tab, forwarding partial text as it arrives.
+ * The stream can be aborted with BIZTONE_CANCEL_STREAM until it finishes.
+ * @param {string} text - Text to convert
+ * @param {Object} apiConfig - Config from getApiConfig()
+ * @param {Object} target - { streamId, tabId, frameId }
+ * @param {Object} [options] - { variants: true } to stream tone variants, { profile } tone profile,
+ *   { action } rewrite action from CONFIG.REWRITE_ACTIONS
+ * @returns {Promise<string|Array<Object>>} Converted text, or variants
+ */
+async function streamConversionToTab(text, apiConfig, { streamId, tabId, frameId }, { variants = false, profile = null, context = '', action = null } = {}) {
+  const controller = new AbortController();
+  state.activeStreams.set(streamId, controller);
+  let lastSentAt = 0;
+
+  const streamOptions = {
+    signal: controller.signal,
+    onDelta: (_delta, partialText) => {
+      // The final text is delivered with the result, so dropped chunks are fine
+      const now = Date.now();
+      if (now - lastSentAt < CONFIG.STREAM_CHUNK_INTERVAL_MS) return;
+      lastSentAt = now;
+
+      const partial = variants
+        ? { variants: llmService.extractPartialVariants(partialText) }
+        : { text: partialText };
+
+      safeSendMessage(tabId, {
+        type: MESSAGE_TYPES.BIZTONE_STREAM_CHUNK,
+        streamId,
+        ...partial
+      }, frameId);
+    }
+  };
+
+  try {
+    return variants
+      ? await llmService.streamVariants(text, apiConfig, streamOptions, profile, context)
+      : await llmService.streamBusinessTone(text, apiConfig, streamOptions, profile, context, action);
+  } finally {
+    state.activeStreams.delete(streamId);
+  }
+}
+
+/**
+ * Generates an ID for a streamed conversion
+ * @returns {string} Stream ID
+ */
+function createStreamId() {
+  return Date.now().toString(36) + Math.random().toString(36).substr(2);
+}
+
 /**
  * Handles text conversion requests
  * @param {string} text - Text to convert
  * @param {Function} sendResponse - Response callback
+ * @param {Object} [stream] - { streamId, tabId, frameId } to stream partial text to the tab
+ * @param {string} [profileId] - Tone profile (domain or default profile when omitted)
+ * @param {Object} [origin] - { tabId, frameId, url } of the requesting frame (domain profile, thread context)
  */
-async function handleTextConversion(text, sendResponse) {
-  const { key, model } = await getApiConfig();
+async function handleTextConversion(text, sendResponse, stream = null, profileId = null, origin = null) {
+  const apiConfig = await getApiConfig();
   
-  if (!key) {
+  if (!isApiConfigured(apiConfig)) {
     sendResponse(createErrorResponse(ERROR_MESSAGES.NO_API_KEY));
     chrome.runtime.openOptionsPage();
     return;
   }
 
   try {
-    const result = await convertToBusinessTone(text || "", model, key);
-    sendResponse(createSuccessResponse(result));
+    const profile = await resolveToneProfile(profileId, origin?.url);
+    const context = await requestThreadContext(origin);
+    const result = stream
+      ? await streamConversionToTab(text || "", apiConfig, stream, { profile, context })
+      : await llmService.convertToBusinessTone(text || "", apiConfig, profile, context);
+    sendResponse({ ...createSuccessResponse(result), profileId: profile?.id || null });
+  } catch (error) {
+    if (error instanceof CancelledError) {
+      sendResponse({ ...createErrorResponse(error.message), cancelled: true });
+      return;
+    }
+    sendResponse(createErrorResponse(error instanceof AuthError ? error.message : ERROR_MESSAGES.CONVERSION_FAILED));
+  }
+}
+
+/**
+ * Handles multi-variant conversion requests for the comparison bubble
+ * @param {string} text - Text to convert
+ * @param {Function} sendResponse - Response callback
+ * @param {Object} [stream] - { streamId, tabId, frameId } to stream partial variants to the tab
+ * @param {string} [profileId] - Tone profile (domain or default profile when omitted)
+ * @param {Object} [origin] - { tabId, frameId, url } of the requesting frame (domain profile, thread context)
+ */
+async function handleVariantConversion(text, sendResponse, stream = null, profileId = null, origin = null) {
+  const apiConfig = await getApiConfig();
+
+  if (!isApiConfigured(apiConfig)) {
+    sendResponse(createErrorResponse(ERROR_MESSAGES.NO_API_KEY));
+    chrome.runtime.openOptionsPage();
+    return;
+  }
+
+  try {
+    const profile = await resolveToneProfile(profileId, origin?.url);
+    const context = await requestThreadContext(origin);
+    const variants = stream
+      ? await streamConversionToTab(text || "", apiConfig, stream, { variants: true, profile, context })
+      : await llmService.convertToVariants(text || "", apiConfig, profile, context);
+    sendResponse({ ...createSuccessResponse({ variants }), profileId: profile?.id || null });
+  } catch (error) {
+    if (error instanceof CancelledError) {
+      sendResponse({ ...createErrorResponse(error.message), cancelled: true });
+      return;
+    }
+    sendResponse(createErrorResponse(error instanceof AuthError ? error.message : ERROR_MESSAGES.CONVERSION_FAILED));
+  }
+}
+
+/**
+ * Handles translate-and-polish requests from the result bubbles
+ * @param {string} text - Text to translate
+ * @param {string} targetLocale - Locale from CONFIG.TRANSLATION_TARGETS
+ * @param {Function} sendResponse - Response callback
+ * @param {string} [profileId] - Tone profile (domain or default profile when omitted)
+ * @param {Object} [origin] - { tabId, frameId, url } of the requesting frame (domain profile, thread context)
+ */
+async function handleTranslation(text, targetLocale, sendResponse, profileId = null, origin = null) {
+  const apiConfig = await getApiConfig();
+
+  if (!isApiConfigured(apiConfig)) {
+    sendResponse(createErrorResponse(ERROR_MESSAGES.NO_API_KEY));
+    chrome.runtime.openOptionsPage();
+    return;
+  }
+
+  try {
+    const profile = await resolveToneProfile(profileId, origin?.url);
+    const context = await requestThreadContext(origin);
+    const result = await llmService.translateAndPolish(String(text || ""), targetLocale, apiConfig, profile, context);
+    sendResponse({ ...createSuccessResponse(result), profileId: profile?.id || null });
+  } catch (error) {
+    const message = error instanceof AuthError || error instanceof ValidationError ? error.message : ERROR_MESSAGES.TRANSLATION_FAILED;
+    sendResponse(createErrorResponse(message));
+  }
+}
+
+/**
+ * Builds the stream target for a content-script request, if it asked for one
+ * @param {Object} message - Incoming message with optional streamId
+ * @param {Object} sender - Message sender
+ * @returns {Object|null} { streamId, tabId, frameId } or null
+ */
+function getStreamTarget(message, sender) {
+  if (!message.streamId || !sender?.tab?.id) return null;
+  return { streamId: message.streamId, tabId: sender.tab.id, frameId: sender.frameId };
+}
+
+/**
+ * Identifies the frame a content-script request came from
+ * @param {Object} sender - Message sender
+ * @returns {Object|null} { tabId, frameId, url } or null
+ */
+function getMessageOrigin(sender) {
+  if (!sender?.tab?.id) return null;
+  return { tabId: sender.tab.id, frameId: sender.frameId, url: sender.url || sender.tab.url };
+}
+
+/**
+ * Hostname of the page a content-script message came from. The tab URL is used
+ * over the frame's, so "this site" means the site the user sees.
+ * @param {Object} sender - Message sender
+ * @returns {string|null} Hostname
+ */
+function getSenderDomain(sender) {
+  const url = sender?.tab?.url || sender?.url;
+  return url ? getDomainFromUrl(url) : null;
+}
+
+// ==================== THREAD CONTEXT ====================
+
+/**
+ * Reads the thread-context privacy toggle and character budget
+ * @returns {Promise<Object>} { enabled, budget }
+ */
+async function getThreadContextSettings() {
+  try {
+    const result = await chrome.storage.sync.get(['THREAD_CONTEXT_ENABLED', 'THREAD_CONTEXT_BUDGET']);
+    const budget = Number(result.THREAD_CONTEXT_BUDGET) || CONFIG.THREAD_CONTEXT.DEFAULT_BUDGET;
+    return {
+      enabled: result.THREAD_CONTEXT_ENABLED === true, // Off unless the user opts in
+      budget: Math.min(CONFIG.THREAD_CONTEXT.MAX_BUDGET, Math.max(CONFIG.THREAD_CONTEXT.MIN_BUDGET, budget))
+    };
   } catch (error) {
-    sendResponse(createErrorResponse(ERROR_MESSAGES.CONVERSION_FAILED));
+    return { enabled: false, budget: CONFIG.THREAD_CONTEXT.DEFAULT_BUDGET };
+  }
+}
+
+/**
+ * Asks the requesting frame for the last visible thread messages
+ * @param {Object|null} origin - { tabId, frameId } of the frame
+ * @returns {Promise<string>} Context text ("" when disabled, unsupported or slow)
+ */
+async function requestThreadContext(origin) {
+  if (!origin?.tabId) return "";
+
+  const settings = await getThreadContextSettings();
+  if (!settings.enabled) return "";
+
+  const response = await requestFromFrame(origin, {
+    type: MESSAGE_TYPES.BIZTONE_GET_THREAD_CONTEXT,
+    budget: settings.budget
+  });
+
+  // The page side already trims to budget; enforce it here too
+  return String(response?.context || "").slice(-settings.budget);
+}
+
+/**
+ * Asks a frame's content script for the tokenized (rich-text) form of its
+ * selection, so mentions/links/formatting survive the rewrite
+ * @param {Object} origin - { tabId, frameId } of the frame
+ * @returns {Promise<string|null>} Text with placeholders, or null for plain selections
+ */
+async function requestRichSelection(origin) {
+  const response = await requestFromFrame(origin, { type: MESSAGE_TYPES.BIZTONE_CAPTURE_RICH_SELECTION });
+  return typeof response?.text === "string" && response.text ? response.text : null;
+}
+
+/**
+ * Sends a request to one frame and waits briefly for its answer
+ * @param {Object} origin - { tabId, frameId }
+ * @param {Object} message - Message to send
+ * @returns {Promise<Object|null>} Response, or null on error/timeout
+ */
+function requestFromFrame(origin, message) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => resolve(null), CONFIG.FRAME_REQUEST_TIMEOUT_MS);
+    try {
+      const options = typeof origin.frameId === "number" ? { frameId: origin.frameId } : undefined;
+      chrome.tabs.sendMessage(origin.tabId, message, options, (response) => {
+        clearTimeout(timer);
+        resolve(chrome.runtime.lastError ? null : (response || null));
+      });
+    } catch (error) {
+      clearTimeout(timer);
+      resolve(null);
+    }
+  });
+}
+
+/**
+ * Handles stream cancellation from the content script
+ * @param {string} streamId - Stream to abort
+ * @param {Function} sendResponse - Response callback
+ */
+function handleCancelStream(streamId, sendResponse) {
+  const controller = state.activeStreams.get(streamId);
+  if (controller) {
+    controller.abort();
   }
+  sendResponse(createSuccessResponse({ cancelled: Boolean(controller) }));
 }
 
 /**
@@ -1669,16 +4541,16 @@ async function handleTextConversion(text, sendResponse) {
  * @param {Function} sendResponse - Response callback
  */
 async function handleGuardDecision(text, sendResponse) {
-  const { key, model } = await getApiConfig();
+  const apiConfig = await getApiConfig();
   
-  if (!key) {
+  if (!isApiConfigured(apiConfig)) {
     sendResponse(createErrorResponse(ERROR_MESSAGES.NO_API_KEY));
     chrome.runtime.openOptionsPage();
     return;
   }
 
   try {
-    const result = await decideTextAction(String(text || ""), model, key);
+    const result = await llmService.decideTextAction(String(text || ""), apiConfig);
     sendResponse({ ok: true, ...result });
   } catch (error) {
     sendResponse(createErrorResponse("결정 실패"));
@@ -1689,35 +4561,202 @@ async function handleGuardDecision(text, sendResponse) {
  * Handles advanced risk assessment requests
  * @param {string} text - Text to analyze
  * @param {Function} sendResponse - Response callback
+ * @param {string|null} [domain] - Hostname of the requesting page
  */
-async function handleAdvancedRiskAssessment(text, sendResponse) {
+async function handleAdvancedRiskAssessment(text, sendResponse, domain = null) {
   try {
-    const result = await calculateAdvancedRiskScoreWithWhitelist(String(text || ""));
+    const result = await calculateAdvancedRiskScoreWithWhitelist(String(text || ""), domain);
     sendResponse(createSuccessResponse(result));
   } catch (error) {
     sendResponse(createErrorResponse("위험도 평가 실패"));
   }
 }
 
+/**
+ * Builds an API config from unsaved options-page form values
+ * @param {Object} config - Form values
+ * @returns {Object} API config in getApiConfig() shape
+ */
+function buildApiConfigFromForm(config) {
+  const provider = providerRegistry.get(config?.provider);
+  return {
+    provider: provider.id,
+    key: config?.key || null,
+    model: config?.model || provider.defaultModel,
+    endpoint: config?.endpoint || null,
+    apiVersion: config?.apiVersion || null
+  };
+}
+
+/**
+ * Handles provider health check requests from the options page
+ * @param {Object} config - Unsaved provider config from the form
+ * @param {Function} sendResponse - Response callback
+ */
+async function handleValidateProvider(config, sendResponse) {
+  try {
+    const health = await llmService.checkHealth(buildApiConfigFromForm(config));
+    sendResponse(createSuccessResponse(health));
+  } catch (error) {
+    sendResponse(createErrorResponse(String(error.message || error)));
+  }
+}
+
+/**
+ * Handles model discovery requests from the options page
+ * @param {Object} config - Unsaved provider config from the form
+ * @param {Function} sendResponse - Response callback
+ */
+async function handleListModels(config, sendResponse) {
+  const apiConfig = buildApiConfigFromForm(config);
+
+  try {
+    const models = await providerRegistry.get(apiConfig.provider).listModels(apiConfig);
+    sendResponse(createSuccessResponse({ models }));
+  } catch (error) {
+    sendResponse(createErrorResponse(String(error.message || error)));
+  }
+}
+
+/**
+ * Resolves the gateway base URL from form values or saved settings
+ * @param {Object} config - Optional unsaved form values
+ * @returns {Promise<string>} Gateway base URL without trailing slash
+ */
+async function resolveGatewayUrl(config) {
+  const apiConfig = config?.endpoint ? buildApiConfigFromForm(config) : await getApiConfig();
+  const gatewayUrl = providerRegistry.get('gateway').getBaseUrl(apiConfig);
+  if (!gatewayUrl) {
+    throw new ValidationError("게이트웨이 URL이 설정되지 않았습니다.");
+  }
+  return gatewayUrl;
+}
+
+/**
+ * Handles gateway login/logout/status requests from the options page
+ * @param {string} action - "login" | "logout" | "status"
+ * @param {Object} config - Unsaved provider config from the form
+ * @param {Function} sendResponse - Response callback
+ */
+async function handleGatewayAuth(action, config, sendResponse) {
+  try {
+    const gatewayUrl = await resolveGatewayUrl(config);
+
+    if (action === "login") {
+      sendResponse(createSuccessResponse(await gatewayAuth.login(gatewayUrl)));
+    } else if (action === "logout") {
+      await gatewayAuth.signOut(gatewayUrl);
+      sendResponse(createSuccessResponse(await gatewayAuth.getStatus(gatewayUrl)));
+    } else {
+      sendResponse(createSuccessResponse(await gatewayAuth.getStatus(gatewayUrl)));
+    }
+  } catch (error) {
+    sendResponse(createErrorResponse(String(error.message || error)));
+  }
+}
+
 // ==================== EVENT LISTENERS ====================
 
-// Initialize context menu on extension install
-chrome.runtime.onInstalled.addListener(() => {
+/**
+ * (Re)builds the context menu: a BizTone submenu with one entry per tone profile,
+ * the rewrite actions, translation, risk analysis and adding to the white/blacklist.
+ * Rebuilds are chained so overlapping calls never create duplicate IDs.
+ * @returns {Promise<void>}
+ */
+function rebuildContextMenus() {
+  state.menuRebuildPromise = (state.menuRebuildPromise || Promise.resolve())
+    .then(createContextMenus)
+    .catch(() => {});
+  return state.menuRebuildPromise;
+}
+
+/**
+ * Creates the context menu entries from scratch
+ */
+async function createContextMenus() {
+  const profiles = await toneProfileManager.getProfiles();
+  const defaultProfileId = await toneProfileManager.getDefaultProfileId();
+
+  await new Promise(resolve => chrome.contextMenus.removeAll(resolve));
+
+  const createItem = (suffix, title, parentId = CONFIG.MENU_ID) => chrome.contextMenus.create({
+    id: `${CONFIG.MENU_ID}${suffix}`,
+    parentId,
+    title,
+    contexts: ["selection"]
+  });
+  const createSeparator = (name) => chrome.contextMenus.create({
+    id: `${CONFIG.MENU_ID}:separator-${name}`,
+    parentId: CONFIG.MENU_ID,
+    type: "separator",
+    contexts: ["selection"]
+  });
+
   try {
     chrome.contextMenus.create({
       id: CONFIG.MENU_ID,
-      title: "비즈니스 문장으로 변경",
+      title: "BizTone",
       contexts: ["selection"]
     });
-    // Context menu created
+
+    profiles.forEach(profile => {
+      const title = `${profile.name} 톤으로 변경${profile.id === defaultProfileId ? " (기본)" : ""}`;
+      createItem(`${CONFIG.MENU_PROFILE_PREFIX}${profile.id}`, title);
+    });
+
+    createSeparator("actions");
+    CONFIG.REWRITE_ACTIONS.forEach(action => createItem(`${CONFIG.MENU_ACTION_PREFIX}${action.id}`, action.title));
+
+    createSeparator("translate");
+    createItem(`${CONFIG.MENU_TARGET_PREFIX}en`, "영어로 번역");
+    createItem(CONFIG.MENU_TRANSLATE_SUFFIX, "다른 언어로 번역");
+    CONFIG.TRANSLATION_TARGETS
+      .filter(target => target.locale !== "en")
+      .forEach(target => createItem(
+        `${CONFIG.MENU_TARGET_PREFIX}${target.locale}`,
+        `${target.label}로 번역`,
+        `${CONFIG.MENU_ID}${CONFIG.MENU_TRANSLATE_SUFFIX}`
+      ));
+
+    createSeparator("tools");
+    createItem(CONFIG.MENU_RISK_SUFFIX, "위험도 분석만");
+    createItem(CONFIG.MENU_WHITELIST_SUFFIX, "화이트리스트에 추가");
+    createItem(CONFIG.MENU_BLACKLIST_SUFFIX, "신고/차단");
   } catch (error) {
     // Context menu creation failed (may already exist)
   }
+}
+
+/**
+ * Schedules the periodic prune of expired whitelist/blacklist items
+ */
+function scheduleListPruning() {
+  chrome.alarms.create(LIST_CONSTANTS.PRUNE_ALARM.NAME, {
+    periodInMinutes: LIST_CONSTANTS.PRUNE_ALARM.PERIOD_MINUTES
+  });
+}
+
+// Initialize context menu and list pruning on extension install
+chrome.runtime.onInstalled.addListener(() => {
+  rebuildContextMenus();
+  scheduleListPruning();
+});
+
+// Drop expired list items
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name !== LIST_CONSTANTS.PRUNE_ALARM.NAME) return;
+  try {
+    await listManager.pruneExpiredItems();
+  } catch (error) {
+    // Pruning is retried on the next alarm; expired items are already ignored by the checks
+  }
 });
 
-// Handle context menu clicks
+// Handle context menu clicks: the item ID suffix picks the action
 chrome.contextMenus.onClicked.addListener(async (info, tab) => {
-  if (info.menuItemId !== CONFIG.MENU_ID || !tab?.id) return;
+  const menuId = String(info.menuItemId);
+  if (!menuId.startsWith(CONFIG.MENU_ID) || !tab?.id) return;
+  const suffix = menuId.slice(CONFIG.MENU_ID.length);
 
   const selectedText = (info.selectionText || "").trim();
   if (!selectedText) {
@@ -1728,8 +4767,22 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
     return;
   }
 
-  const { key, model } = await getApiConfig();
-  if (!key) {
+  // Local actions (no model call)
+  if (suffix === CONFIG.MENU_RISK_SUFFIX) {
+    await handleRiskMenuClick(info, tab, selectedText);
+    return;
+  }
+  if (suffix === CONFIG.MENU_WHITELIST_SUFFIX) {
+    await handleWhitelistMenuClick(info, tab, selectedText);
+    return;
+  }
+  if (suffix === CONFIG.MENU_BLACKLIST_SUFFIX) {
+    await handleBlacklistMenuClick(info, tab, selectedText);
+    return;
+  }
+
+  const apiConfig = await getApiConfig();
+  if (!isApiConfigured(apiConfig)) {
     await safeSendMessage(tab.id, { 
       type: MESSAGE_TYPES.BIZTONE_ERROR, 
       error: ERROR_MESSAGES.NO_API_KEY 
@@ -1738,34 +4791,186 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
     return;
   }
 
-  // Show loading indicator
+  if (suffix.startsWith(CONFIG.MENU_TARGET_PREFIX)) {
+    await handleTranslateMenuClick(info, tab, selectedText, apiConfig, suffix.slice(CONFIG.MENU_TARGET_PREFIX.length));
+    return;
+  }
+
+  const actionId = suffix.startsWith(CONFIG.MENU_ACTION_PREFIX) ? suffix.slice(CONFIG.MENU_ACTION_PREFIX.length) : null;
+  const profileId = suffix.startsWith(CONFIG.MENU_PROFILE_PREFIX) ? suffix.slice(CONFIG.MENU_PROFILE_PREFIX.length) : null;
+  await handleConvertMenuClick(info, tab, selectedText, apiConfig, {
+    profileId,
+    action: CONFIG.REWRITE_ACTIONS.find(candidate => candidate.id === actionId) || null
+  });
+});
+
+/**
+ * Converts the context-menu selection, streaming into the result bubble
+ * @param {Object} info - contextMenus.onClicked info
+ * @param {Object} tab - Tab of the selection
+ * @param {string} selectedText - Selected text
+ * @param {Object} apiConfig - Config from getApiConfig()
+ * @param {Object} options - { profileId } tone profile (domain/default when null), { action } rewrite action
+ */
+async function handleConvertMenuClick(info, tab, selectedText, apiConfig, { profileId = null, action = null } = {}) {
+  const profile = await resolveToneProfile(profileId, info.frameUrl || tab.url);
+
+  // Show loading indicator (with a cancel button bound to this stream)
+  const streamId = createStreamId();
   await safeSendMessage(tab.id, { 
-    type: MESSAGE_TYPES.BIZTONE_LOADING 
+    type: MESSAGE_TYPES.BIZTONE_LOADING,
+    streamId
   }, info.frameId);
 
   try {
-    const result = await convertToBusinessTone(selectedText, model, key);
-    await safeSendMessage(tab.id, { 
-      type: MESSAGE_TYPES.BIZTONE_RESULT, 
-      result 
-    }, info.frameId);
+    const origin = { tabId: tab.id, frameId: info.frameId };
+    const richText = await requestRichSelection(origin);
+    const context = await requestThreadContext(origin);
+    const result = await streamConversionToTab(richText || selectedText, apiConfig, {
+      streamId,
+      tabId: tab.id,
+      frameId: info.frameId
+    }, { profile, context, action });
+    // Original text and profile let the bubble re-run with another profile
+    await safeSendMessage(tab.id, { 
+      type: MESSAGE_TYPES.BIZTONE_RESULT, 
+      result,
+      streamId,
+      originalText: selectedText,
+      profileId: profile?.id || null
+    }, info.frameId);
+  } catch (error) {
+    // User cancelled from the bubble - it is already closed
+    if (error instanceof CancelledError) return;
+
+    await safeSendMessage(tab.id, { 
+      type: MESSAGE_TYPES.BIZTONE_ERROR, 
+      streamId,
+      error: String(error.message || error) 
+    }, info.frameId);
+  }
+}
+
+/**
+ * Translates the context-menu selection and shows the result with its back-translation
+ * @param {Object} info - contextMenus.onClicked info
+ * @param {Object} tab - Tab of the selection
+ * @param {string} selectedText - Selected text
+ * @param {Object} apiConfig - Config from getApiConfig()
+ * @param {string} targetLocale - Locale from CONFIG.TRANSLATION_TARGETS
+ */
+async function handleTranslateMenuClick(info, tab, selectedText, apiConfig, targetLocale) {
+  await safeSendMessage(tab.id, { type: MESSAGE_TYPES.BIZTONE_LOADING }, info.frameId);
+
+  try {
+    const origin = { tabId: tab.id, frameId: info.frameId };
+    const profile = await resolveToneProfile(null, info.frameUrl || tab.url);
+    const richText = await requestRichSelection(origin);
+    const context = await requestThreadContext(origin);
+    const result = await llmService.translateAndPolish(richText || selectedText, targetLocale, apiConfig, profile, context);
+    await safeSendMessage(tab.id, {
+      type: MESSAGE_TYPES.BIZTONE_TRANSLATION_RESULT,
+      result,
+      originalText: selectedText,
+      profileId: profile?.id || null
+    }, info.frameId);
+  } catch (error) {
+    await safeSendMessage(tab.id, { 
+      type: MESSAGE_TYPES.BIZTONE_ERROR, 
+      error: error instanceof AuthError || error instanceof ValidationError ? error.message : ERROR_MESSAGES.TRANSLATION_FAILED
+    }, info.frameId);
+  }
+}
+
+/**
+ * Scores the context-menu selection locally and shows the breakdown, without converting
+ * @param {Object} info - contextMenus.onClicked info
+ * @param {Object} tab - Tab of the selection
+ * @param {string} selectedText - Selected text
+ */
+async function handleRiskMenuClick(info, tab, selectedText) {
+  try {
+    // Site-scoped list items apply to the page the selection was made on
+    const domain = getDomainFromUrl(info.frameUrl || tab.url);
+    const result = await calculateAdvancedRiskScoreWithWhitelist(selectedText, domain);
+    await safeSendMessage(tab.id, {
+      type: MESSAGE_TYPES.BIZTONE_RISK_RESULT,
+      text: selectedText,
+      result
+    }, info.frameId);
+  } catch (error) {
+    await safeSendMessage(tab.id, {
+      type: MESSAGE_TYPES.BIZTONE_ERROR,
+      error: ERROR_MESSAGES.RISK_ASSESSMENT_FAILED
+    }, info.frameId);
+  }
+}
+
+/**
+ * Adds the context-menu selection to the whitelist (contains match, all locales)
+ * @param {Object} info - contextMenus.onClicked info
+ * @param {Object} tab - Tab of the selection
+ * @param {string} selectedText - Selected text
+ */
+async function handleWhitelistMenuClick(info, tab, selectedText) {
+  let message;
+  try {
+    const added = await listManager.addWhitelistItem(listManager.createListItem(selectedText));
+    message = added
+      ? `"${selectedText}"을(를) 화이트리스트에 추가했습니다`
+      : "이미 등록되어 있거나 추가할 수 없는 문구입니다";
+  } catch (error) {
+    message = ERROR_MESSAGES.WHITELIST_OPERATION_FAILED;
+  }
+
+  await safeSendMessage(tab.id, { type: MESSAGE_TYPES.BIZTONE_SHOW_TOAST, message }, info.frameId);
+}
+
+/**
+ * Blacklists the context-menu selection ("신고/차단": contains match, all locales, high weight)
+ * @param {Object} info - contextMenus.onClicked info
+ * @param {Object} tab - Tab of the selection
+ * @param {string} selectedText - Selected text
+ */
+async function handleBlacklistMenuClick(info, tab, selectedText) {
+  let message;
+  try {
+    const item = listManager.createListItem(
+      selectedText, LIST_CONSTANTS.MATCH_TYPES.CONTAINS, LIST_CONSTANTS.LOCALES.ALL, LIST_CONSTANTS.WEIGHTS.HIGH
+    );
+    const added = await listManager.addBlacklistItem(item);
+    message = added
+      ? `"${selectedText}"을(를) 차단 목록에 추가했습니다`
+      : "이미 차단된 문구이거나 추가할 수 없는 문구입니다";
   } catch (error) {
-    await safeSendMessage(tab.id, { 
-      type: MESSAGE_TYPES.BIZTONE_ERROR, 
-      error: String(error.message || error) 
-    }, info.frameId);
+    message = ERROR_MESSAGES.BLACKLIST_OPERATION_FAILED;
   }
-});
+
+  await safeSendMessage(tab.id, { type: MESSAGE_TYPES.BIZTONE_SHOW_TOAST, message }, info.frameId);
+}
 
 // Handle runtime messages
-chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   (async () => {
     if (!message?.type) return;
 
     switch (message.type) {
       case MESSAGE_TYPES.BIZTONE_TEST_CONVERT:
       case MESSAGE_TYPES.BIZTONE_CONVERT_TEXT:
-        await handleTextConversion(message.text, sendResponse);
+        // Content scripts pass a streamId to receive partial results in the bubble
+        await handleTextConversion(message.text, sendResponse, getStreamTarget(message, sender), message.profileId, getMessageOrigin(sender));
+        break;
+
+      case MESSAGE_TYPES.BIZTONE_CONVERT_VARIANTS:
+        await handleVariantConversion(message.text, sendResponse, getStreamTarget(message, sender), message.profileId, getMessageOrigin(sender));
+        break;
+
+      case MESSAGE_TYPES.BIZTONE_TRANSLATE_TEXT:
+        await handleTranslation(message.text, message.targetLocale, sendResponse, message.profileId, getMessageOrigin(sender));
+        break;
+
+      case MESSAGE_TYPES.BIZTONE_CANCEL_STREAM:
+        handleCancelStream(message.streamId, sendResponse);
         break;
 
       case MESSAGE_TYPES.BIZTONE_GUARD_DECIDE:
@@ -1773,7 +4978,7 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
         break;
 
       case MESSAGE_TYPES.BIZTONE_ADVANCED_RISK:
-        await handleAdvancedRiskAssessment(message.text, sendResponse);
+        await handleAdvancedRiskAssessment(message.text, sendResponse, getSenderDomain(sender));
         break;
 
       case MESSAGE_TYPES.BIZTONE_GET_DOMAIN_STATUS:
@@ -1800,6 +5005,10 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
         await handleRemoveDomainRule(message, sendResponse);
         break;
 
+      case MESSAGE_TYPES.BIZTONE_TEST_DOMAIN_RULE:
+        await handleTestDomainRule(message, sendResponse);
+        break;
+
       case MESSAGE_TYPES.BIZTONE_GET_GUARD_MODE:
         sendResponse(createSuccessResponse({ guardMode: getGuardMode() }));
         break;
@@ -1809,6 +5018,30 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
         sendResponse(createSuccessResponse(profanityData));
         break;
 
+      case MESSAGE_TYPES.BIZTONE_GET_PROVIDERS:
+        sendResponse(createSuccessResponse({ providers: providerRegistry.list() }));
+        break;
+
+      case MESSAGE_TYPES.BIZTONE_VALIDATE_PROVIDER:
+        await handleValidateProvider(message.config, sendResponse);
+        break;
+
+      case MESSAGE_TYPES.BIZTONE_LIST_MODELS:
+        await handleListModels(message.config, sendResponse);
+        break;
+
+      case MESSAGE_TYPES.BIZTONE_GATEWAY_LOGIN:
+        await handleGatewayAuth("login", message.config, sendResponse);
+        break;
+
+      case MESSAGE_TYPES.BIZTONE_GATEWAY_LOGOUT:
+        await handleGatewayAuth("logout", message.config, sendResponse);
+        break;
+
+      case MESSAGE_TYPES.BIZTONE_GATEWAY_STATUS:
+        await handleGatewayAuth("status", message.config, sendResponse);
+        break;
+
       case MESSAGE_TYPES.OPEN_OPTIONS:
         chrome.runtime.openOptionsPage();
         sendResponse({ ok: true });
@@ -1830,6 +5063,18 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
       case MESSAGE_TYPES.BIZTONE_REMOVE_WHITELIST_ITEM:
         await handleRemoveWhitelistItem(message.itemId, sendResponse);
         break;
+
+      case MESSAGE_TYPES.BIZTONE_WHITELIST_SPAN:
+        await handleWhitelistSpan(message.text, message.scope, sendResponse, getSenderDomain(sender));
+        break;
+
+      case MESSAGE_TYPES.BIZTONE_GET_WHITELIST_PATTERNS:
+        await handleGetWhitelistPatterns(sendResponse, getSenderDomain(sender));
+        break;
+
+      case MESSAGE_TYPES.BIZTONE_RESTORE_DEFAULT_WHITELIST:
+        await handleRestoreDefaultWhitelist(sendResponse);
+        break;
         
       case MESSAGE_TYPES.BIZTONE_GET_BLACKLIST:
         await handleGetBlacklist(sendResponse);
@@ -1847,6 +5092,27 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
         await handleRemoveBlacklistItem(message.itemId, sendResponse);
         break;
 
+      case MESSAGE_TYPES.BIZTONE_GET_LIST_STORAGE_USAGE:
+        await handleGetListStorageUsage(sendResponse);
+        break;
+
+      // Tone profiles
+      case MESSAGE_TYPES.BIZTONE_GET_TONE_PROFILES:
+        await handleGetToneProfiles(sendResponse);
+        break;
+
+      case MESSAGE_TYPES.BIZTONE_SAVE_TONE_PROFILE:
+        await handleSaveToneProfile(message.profile, sendResponse);
+        break;
+
+      case MESSAGE_TYPES.BIZTONE_REMOVE_TONE_PROFILE:
+        await handleRemoveToneProfile(message.profileId, sendResponse);
+        break;
+
+      case MESSAGE_TYPES.BIZTONE_SET_DEFAULT_TONE_PROFILE:
+        await handleSetDefaultToneProfile(message.profileId, sendResponse);
+        break;
+
       default:
         // Unknown message type
     }
@@ -1857,6 +5123,11 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
 
 // Handle keyboard shortcut commands
 chrome.commands.onCommand.addListener(async (command) => {
+  if (command === "revert-replacement") {
+    await handleRevertCommand();
+    return;
+  }
+
   if (command !== "convert-selection") {
     return;
   }
@@ -1888,8 +5159,8 @@ chrome.commands.onCommand.addListener(async (command) => {
   }
 
   // Check API configuration
-  const { key, model } = await getApiConfig();
-  if (!key) {
+  const apiConfig = await getApiConfig();
+  if (!isApiConfigured(apiConfig)) {
     await safeSendMessage(activeTab.id, {
       type: MESSAGE_TYPES.BIZTONE_ERROR,
       error: ERROR_MESSAGES.NO_API_KEY
@@ -1900,7 +5171,11 @@ chrome.commands.onCommand.addListener(async (command) => {
 
   // Convert and replace text directly
   try {
-    const convertedText = await convertToBusinessTone(selection.text, model, key);
+    const profile = await resolveToneProfile(null, activeTab.url);
+    const origin = { tabId: activeTab.id, frameId: selection.frameId };
+    const richText = await requestRichSelection(origin);
+    const context = await requestThreadContext(origin);
+    const convertedText = await llmService.convertToBusinessTone(richText || selection.text, apiConfig, profile, context);
     
     await safeSendMessage(activeTab.id, {
       type: MESSAGE_TYPES.BIZTONE_REPLACE_WITH,
@@ -1914,12 +5189,47 @@ chrome.commands.onCommand.addListener(async (command) => {
   }
 });
 
-// Listen for storage changes to reload guard mode settings
+/**
+ * Restores the original text of the focused field in the active tab.
+ * The revert history lives in each frame's content script, so the request
+ * goes to all frames and the frame holding focus handles it.
+ */
+async function handleRevertCommand() {
+  if (state.shouldDebounce()) {
+    return;
+  }
+
+  const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!activeTab?.id) {
+    return;
+  }
+
+  const hasListener = await ensureContentListener(activeTab.id);
+  if (!hasListener) {
+    return;
+  }
+
+  await safeSendMessage(activeTab.id, { type: MESSAGE_TYPES.BIZTONE_REVERT_REPLACEMENT });
+}
+
+// Listen for storage changes to reload guard mode settings and tone profiles
 chrome.storage.onChanged.addListener((changes, areaName) => {
   if (areaName === 'sync' && changes.GUARD_MODE) {
     const newValue = changes.GUARD_MODE.newValue;
     state.guardModeSettings.GUARD_MODE = newValue || "warn";
   }
+
+  // Tone profiles changed (options page or another synced device): refresh the submenu
+  if (areaName === 'sync' &&
+      (changes[TONE_PROFILE_CONSTANTS.STORAGE_KEYS.PROFILES] || changes[TONE_PROFILE_CONSTANTS.STORAGE_KEYS.DEFAULT_PROFILE])) {
+    toneProfileManager.clearCache();
+    rebuildContextMenus();
+  }
+
+  // List index rewritten (here or on another synced device): drop the cached lists
+  if (areaName === 'sync' && Object.keys(changes).some(key => key.endsWith(LIST_CONSTANTS.STORAGE_LAYOUT.INDEX_SUFFIX))) {
+    listManager.clearCache();
+  }
 });
 
 // Background script initialized
@@ -1936,7 +5246,7 @@ async function handleGetDomainStatus(message, sendResponse) {
       return sendResponse(createErrorResponse('Domain not provided'));
     }
     
-    const status = await getDomainStatus(domain);
+    const status = await getDomainStatus(domain, message.url || null);
     sendResponse(createSuccessResponse(status));
   } catch (error) {
     sendResponse(createErrorResponse('Failed to get domain status'));
@@ -2049,6 +5359,38 @@ async function handleRemoveDomainRule(message, sendResponse) {
   }
 }
 
+/**
+ * Handle rule tester message: which rules match a URL and which one wins
+ */
+async function handleTestDomainRule(message, sendResponse) {
+  try {
+    const target = getRuleTargetFromUrl(message.url);
+    if (!target) {
+      return sendResponse(createErrorResponse('Invalid URL'));
+    }
+    
+    const rules = await getDomainRules();
+    const winner = findMatchingRule(rules, target.hostname, target.path);
+    const matches = Object.entries(rules)
+      .filter(([pattern]) => matchRulePattern(pattern, target.hostname, target.path))
+      .map(([pattern, rule]) => ({
+        pattern,
+        priority: Number(rule.priority) || 0,
+        specificity: getRuleSpecificity(pattern)
+      }))
+      .sort((a, b) => b.priority - a.priority || b.specificity - a.specificity);
+    
+    sendResponse(createSuccessResponse({
+      ...target,
+      winner: winner ? winner.pattern : null,
+      status: await getDomainStatus(target.hostname, message.url),
+      matches
+    }));
+  } catch (error) {
+    sendResponse(createErrorResponse('Failed to test domain rule'));
+  }
+}
+
 // ==================== WHITELIST/BLACKLIST HANDLERS ====================
 
 /**
@@ -2056,8 +5398,11 @@ async function handleRemoveDomainRule(message, sendResponse) {
  */
 async function handleGetWhitelist(sendResponse) {
   try {
-    const whitelist = await listManager.getWhitelist();
-    sendResponse(createSuccessResponse({ whitelist }));
+    const [whitelist, available] = await Promise.all([
+      listManager.getWhitelist(),
+      listManager.isListAvailable(LIST_CONSTANTS.STORAGE_KEYS.WHITELIST)
+    ]);
+    sendResponse(createSuccessResponse({ whitelist, available }));
   } catch (error) {
     sendResponse(createErrorResponse(ERROR_MESSAGES.WHITELIST_OPERATION_FAILED));
   }
@@ -2104,6 +5449,67 @@ async function handleAddWhitelistItem(item, sendResponse) {
   }
 }
 
+/**
+ * Handles "이 단어는 괜찮아요" from the warning bubble or real-time badge
+ * @param {string} text - Flagged span text
+ * @param {string} scope - One of LIST_CONSTANTS.SPAN_SCOPES
+ * @param {Function} sendResponse - Response callback
+ * @param {string|null} domain - Hostname of the page (for the domain scope)
+ */
+async function handleWhitelistSpan(text, scope, sendResponse, domain) {
+  try {
+    const spanText = String(text || '').trim();
+    if (!spanText || !Object.values(LIST_CONSTANTS.SPAN_SCOPES).includes(scope)) {
+      return sendResponse(createErrorResponse('Invalid span or scope'));
+    }
+    if (scope === LIST_CONSTANTS.SPAN_SCOPES.DOMAIN && !domain) {
+      return sendResponse(createErrorResponse('이 페이지의 도메인을 알 수 없습니다'));
+    }
+    if (!(await listManager.isListAvailable(LIST_CONSTANTS.STORAGE_KEYS.WHITELIST))) {
+      return sendResponse(createErrorResponse(ERROR_MESSAGES.LIST_UNAVAILABLE));
+    }
+
+    const item = scope === LIST_CONSTANTS.SPAN_SCOPES.EXACT
+      ? listManager.createListItem(spanText, LIST_CONSTANTS.MATCH_TYPES.EXACT)
+      : listManager.createListItem(spanText, LIST_CONSTANTS.MATCH_TYPES.CONTAINS, LIST_CONSTANTS.LOCALES.ALL, null,
+          scope === LIST_CONSTANTS.SPAN_SCOPES.DOMAIN ? [domain] : []);
+
+    const success = await listManager.addWhitelistItem(item);
+    sendResponse(success
+      ? createSuccessResponse({ item, added: true })
+      : createErrorResponse('이미 화이트리스트에 있는 표현입니다'));
+  } catch (error) {
+    sendResponse(createErrorResponse(ERROR_MESSAGES.WHITELIST_OPERATION_FAILED));
+  }
+}
+
+/**
+ * Handle whitelist patterns message (content script's local prefilter)
+ * @param {Function} sendResponse - Response callback
+ * @param {string|null} domain - Hostname of the page (domain-scoped items)
+ */
+async function handleGetWhitelistPatterns(sendResponse, domain) {
+  try {
+    const patterns = await listManager.getWhitelistPatterns(domain);
+    sendResponse(createSuccessResponse({ patterns }));
+  } catch (error) {
+    sendResponse(createErrorResponse(ERROR_MESSAGES.WHITELIST_OPERATION_FAILED));
+  }
+}
+
+/**
+ * Handle restore default whitelist message (re-adds deleted default items)
+ */
+async function handleRestoreDefaultWhitelist(sendResponse) {
+  try {
+    const added = await listManager.seedDefaultWhitelist(true);
+    const whitelist = await listManager.getWhitelist();
+    sendResponse(createSuccessResponse({ whitelist, added }));
+  } catch (error) {
+    sendResponse(createErrorResponse(ERROR_MESSAGES.WHITELIST_OPERATION_FAILED));
+  }
+}
+
 /**
  * Handle remove whitelist item message
  */
@@ -2130,8 +5536,11 @@ async function handleRemoveWhitelistItem(itemId, sendResponse) {
  */
 async function handleGetBlacklist(sendResponse) {
   try {
-    const blacklist = await listManager.getBlacklist();
-    sendResponse(createSuccessResponse({ blacklist }));
+    const [blacklist, available] = await Promise.all([
+      listManager.getBlacklist(),
+      listManager.isListAvailable(LIST_CONSTANTS.STORAGE_KEYS.BLACKLIST)
+    ]);
+    sendResponse(createSuccessResponse({ blacklist, available }));
   } catch (error) {
     sendResponse(createErrorResponse(ERROR_MESSAGES.BLACKLIST_OPERATION_FAILED));
   }
@@ -2199,6 +5608,81 @@ async function handleRemoveBlacklistItem(itemId, sendResponse) {
   }
 }
 
+/**
+ * Handle list storage usage message (options page quota display)
+ */
+async function handleGetListStorageUsage(sendResponse) {
+  try {
+    const usage = await listManager.storage.getUsage();
+    sendResponse(createSuccessResponse(usage));
+  } catch (error) {
+    sendResponse(createErrorResponse(ERROR_MESSAGES.WHITELIST_OPERATION_FAILED));
+  }
+}
+
+// ==================== TONE PROFILE HANDLERS ====================
+
+/**
+ * Handle get tone profiles message
+ */
+async function handleGetToneProfiles(sendResponse) {
+  try {
+    const profiles = await toneProfileManager.getProfiles();
+    const defaultProfileId = await toneProfileManager.getDefaultProfileId();
+    sendResponse(createSuccessResponse({ profiles, defaultProfileId }));
+  } catch (error) {
+    sendResponse(createErrorResponse(ERROR_MESSAGES.TONE_PROFILE_OPERATION_FAILED));
+  }
+}
+
+/**
+ * Handle create/update tone profile message
+ */
+async function handleSaveToneProfile(profile, sendResponse) {
+  try {
+    const saved = await toneProfileManager.upsertProfile(profile);
+    if (saved) {
+      sendResponse(createSuccessResponse({ profile: saved }));
+    } else {
+      sendResponse(createErrorResponse('Invalid tone profile'));
+    }
+  } catch (error) {
+    sendResponse(createErrorResponse(ERROR_MESSAGES.TONE_PROFILE_OPERATION_FAILED));
+  }
+}
+
+/**
+ * Handle remove tone profile message
+ */
+async function handleRemoveToneProfile(profileId, sendResponse) {
+  try {
+    const success = await toneProfileManager.removeProfile(profileId);
+    if (success) {
+      sendResponse(createSuccessResponse({ removed: profileId }));
+    } else {
+      sendResponse(createErrorResponse('Profile not found or last profile'));
+    }
+  } catch (error) {
+    sendResponse(createErrorResponse(ERROR_MESSAGES.TONE_PROFILE_OPERATION_FAILED));
+  }
+}
+
+/**
+ * Handle set default tone profile message
+ */
+async function handleSetDefaultToneProfile(profileId, sendResponse) {
+  try {
+    const success = await toneProfileManager.setDefaultProfileId(profileId);
+    if (success) {
+      sendResponse(createSuccessResponse({ defaultProfileId: profileId }));
+    } else {
+      sendResponse(createErrorResponse('Profile not found'));
+    }
+  } catch (error) {
+    sendResponse(createErrorResponse(ERROR_MESSAGES.TONE_PROFILE_OPERATION_FAILED));
+  }
+}
+
 // ==================== DOMAIN RULES MANAGEMENT ====================
 
 /**
@@ -2206,6 +5690,69 @@ async function handleRemoveBlacklistItem(itemId, sendResponse) {
  */
 const DOMAIN_RULES_KEY = 'BIZTONE_DOMAIN_RULES';
 
+/**
+ * Per-domain guard modes ('inherit' follows the global GUARD_MODE setting)
+ */
+const DOMAIN_GUARD_MODES = {
+  INHERIT: 'inherit',
+  WARN: 'warn',
+  CONVERT: 'convert',
+  OFF: 'off'
+};
+
+/**
+ * Upper bound for per-domain risk thresholds (scores above this are always strong)
+ */
+const DOMAIN_THRESHOLD_MAX = 20;
+
+/**
+ * Rule priority range (higher wins; equal priorities fall back to specificity)
+ */
+const DOMAIN_PRIORITY_MAX = 100;
+
+/**
+ * Reads a rule's guard mode, mapping the legacy 'guard' value to inherit
+ */
+function getRuleGuardMode(rule) {
+  const mode = rule?.mode;
+  return Object.values(DOMAIN_GUARD_MODES).includes(mode) ? mode : DOMAIN_GUARD_MODES.INHERIT;
+}
+
+/**
+ * Validates the guard-related fields of a domain rule update
+ * @param {Object} options - Rule fields from the options page/popup
+ * @returns {Object|null} Sanitized options, or null if a field is invalid
+ */
+function normalizeDomainRuleOptions(options) {
+  const normalized = { ...options };
+
+  if ('mode' in normalized && !Object.values(DOMAIN_GUARD_MODES).includes(normalized.mode)) {
+    return null;
+  }
+
+  if ('thresholds' in normalized && normalized.thresholds !== null) {
+    const passMax = Number(normalized.thresholds?.passMax);
+    const convertMin = Number(normalized.thresholds?.convertMin);
+    if (!Number.isInteger(passMax) || !Number.isInteger(convertMin) ||
+        passMax < 0 || convertMin > DOMAIN_THRESHOLD_MAX || passMax >= convertMin) {
+      return null;
+    }
+    normalized.thresholds = { passMax, convertMin };
+  }
+
+  if ('priority' in normalized) {
+    const priority = Number(normalized.priority);
+    if (!Number.isInteger(priority) || Math.abs(priority) > DOMAIN_PRIORITY_MAX) return null;
+    normalized.priority = priority;
+  }
+
+  if ('toneProfileId' in normalized) {
+    normalized.toneProfileId = normalized.toneProfileId ? String(normalized.toneProfileId) : null;
+  }
+
+  return normalized;
+}
+
 /**
  * Get domain from URL
  */
@@ -2218,6 +5765,115 @@ function getDomainFromUrl(url) {
   }
 }
 
+/**
+ * Rule key format: "example.com" or "*.example.com", optionally followed by a
+ * path glob such as "mail.google.com/mail/*" ("*" spans any characters, "/" included)
+ */
+const DOMAIN_RULE_PATTERN = /^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*(\/[^\s"'<>]*)?$/;
+
+/**
+ * Checks whether a rule key is a valid domain/wildcard/path pattern
+ */
+function isValidRulePattern(pattern) {
+  return typeof pattern === 'string' && DOMAIN_RULE_PATTERN.test(pattern);
+}
+
+/**
+ * Splits a rule key into host and path parts
+ * @param {string} pattern - Rule key
+ * @returns {Object} { host, wildcard, path } (path is null for host-only rules)
+ */
+function parseRulePattern(pattern) {
+  const slashIndex = pattern.indexOf('/');
+  const hostPart = slashIndex === -1 ? pattern : pattern.slice(0, slashIndex);
+  const wildcard = hostPart.startsWith('*.');
+  
+  return {
+    host: (wildcard ? hostPart.slice(2) : hostPart).toLowerCase(),
+    wildcard,
+    path: slashIndex === -1 ? null : pattern.slice(slashIndex)
+  };
+}
+
+/**
+ * Tests a path against a rule's path glob
+ */
+function matchPathGlob(glob, path) {
+  const source = glob.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`).test(path);
+}
+
+/**
+ * Checks whether a rule key applies to a page
+ * @param {string} pattern - Rule key
+ * @param {string} hostname - Page hostname
+ * @param {string} path - Page path (pathname + search + hash)
+ * @returns {boolean} True if the rule matches
+ */
+function matchRulePattern(pattern, hostname, path) {
+  const parsed = parseRulePattern(pattern);
+  
+  const hostMatches = parsed.wildcard
+    ? hostname.endsWith(`.${parsed.host}`)
+    : hostname === parsed.host;
+  if (!hostMatches) return false;
+  
+  return parsed.path === null || matchPathGlob(parsed.path, path);
+}
+
+/**
+ * Specificity used to break priority ties: exact host beats wildcard,
+ * path rules beat host-only rules, longer patterns beat shorter ones
+ */
+function getRuleSpecificity(pattern) {
+  const parsed = parseRulePattern(pattern);
+  return (parsed.wildcard ? 0 : 10000) +
+    (parsed.path === null ? 0 : 1000 + parsed.path.replace(/\*/g, '').length) +
+    parsed.host.length;
+}
+
+/**
+ * Finds the rule that wins for a page: highest priority, then most specific
+ * @param {Object} rules - Domain rules keyed by pattern
+ * @param {string} hostname - Page hostname
+ * @param {string} [path] - Page path
+ * @returns {Object|null} { pattern, rule } or null if nothing matches
+ */
+function findMatchingRule(rules, hostname, path = '/') {
+  let best = null;
+  
+  for (const [pattern, rule] of Object.entries(rules)) {
+    if (!matchRulePattern(pattern, hostname, path)) continue;
+    
+    const priority = Number(rule.priority) || 0;
+    const specificity = getRuleSpecificity(pattern);
+    if (!best || priority > best.priority ||
+        (priority === best.priority && specificity > best.specificity)) {
+      best = { pattern, rule, priority, specificity };
+    }
+  }
+  
+  return best ? { pattern: best.pattern, rule: best.rule } : null;
+}
+
+/**
+ * Extracts hostname and matchable path from a URL
+ * @param {string} url - Page URL
+ * @returns {Object|null} { hostname, path }
+ */
+function getRuleTargetFromUrl(url) {
+  try {
+    const urlObj = new URL(url);
+    return {
+      hostname: urlObj.hostname.toLowerCase(),
+      // Search and hash included so hash-routed apps (e.g. Gmail views) can be targeted
+      path: urlObj.pathname + urlObj.search + urlObj.hash
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
 /**
  * Get domain rules from storage
  */
@@ -2249,7 +5905,7 @@ async function isDomainEnabled(domain) {
   if (!domain) return true; // Default enabled
   
   const rules = await getDomainRules();
-  const rule = rules[domain];
+  const rule = findMatchingRule(rules, domain)?.rule;
   
   if (!rule) return true; // Default enabled for new domains
   
@@ -2268,11 +5924,23 @@ async function isDomainEnabled(domain) {
  * Set domain rule
  */
 async function setDomainRule(domain, options = {}) {
+  const normalizedOptions = normalizeDomainRuleOptions(options);
+  if (!normalizedOptions || !isValidRulePattern(domain)) return false;
+
   const rules = await getDomainRules();
   
+  // A new exact-host rule (popup toggle/pause) starts from the settings of
+  // the wildcard/path rule currently covering that host, so it doesn't reset them
+  const inherited = !rules[domain] && !domain.includes('/') && !domain.startsWith('*.')
+    ? findMatchingRule(rules, domain)?.rule
+    : null;
+  
   const defaultRule = {
     enabled: true,
-    mode: 'guard',
+    mode: inherited?.mode || DOMAIN_GUARD_MODES.INHERIT,
+    thresholds: inherited?.thresholds || null,
+    toneProfileId: inherited?.toneProfileId || null,
+    priority: inherited?.priority || 0,
     pauseUntil: 0,
     createdAt: Date.now(),
     updatedAt: Date.now()
@@ -2281,7 +5949,7 @@ async function setDomainRule(domain, options = {}) {
   rules[domain] = {
     ...defaultRule,
     ...rules[domain], // Keep existing data
-    ...options, // Apply new options
+    ...normalizedOptions, // Apply new options
     updatedAt: Date.now()
   };
   
@@ -2325,8 +5993,8 @@ async function resumeDomain(domain) {
  */
 async function toggleDomainEnabled(domain) {
   const rules = await getDomainRules();
-  const currentRule = rules[domain] || { enabled: true };
-  const newEnabled = !currentRule.enabled;
+  const currentRule = rules[domain] || findMatchingRule(rules, domain)?.rule || { enabled: true };
+  const newEnabled = currentRule.enabled === false;
   
   await setDomainRule(domain, { 
     enabled: newEnabled,
@@ -2339,17 +6007,22 @@ async function toggleDomainEnabled(domain) {
 /**
  * Get domain status for popup/UI
  */
-async function getDomainStatus(domain) {
-  if (!domain) return { enabled: true, paused: false, rule: null };
+async function getDomainStatus(domain, url = null) {
+  if (!domain) return { enabled: true, paused: false, rule: null, guardMode: getGuardMode(), thresholds: null, toneProfileId: null };
   
   const rules = await getDomainRules();
-  const rule = rules[domain];
+  const target = url ? getRuleTargetFromUrl(url) : null;
+  const match = findMatchingRule(rules, domain, target?.hostname === domain ? target.path : '/');
+  const rule = match?.rule;
   
   if (!rule) {
     return { 
       enabled: true, 
       paused: false, 
       rule: null,
+      guardMode: getGuardMode(),
+      thresholds: null,
+      toneProfileId: null,
       domain 
     };
   }
@@ -2357,16 +6030,38 @@ async function getDomainStatus(domain) {
   const now = Date.now();
   const paused = rule.pauseUntil && rule.pauseUntil > now;
   const pauseRemaining = paused ? Math.ceil((rule.pauseUntil - now) / (60 * 1000)) : 0;
+  const ruleMode = getRuleGuardMode(rule);
   
   return {
     enabled: rule.enabled !== false,
     paused,
     pauseRemaining,
     rule,
+    // Effective settings for the guard: domain overrides, else global defaults
+    guardMode: ruleMode === DOMAIN_GUARD_MODES.INHERIT ? getGuardMode() : ruleMode,
+    thresholds: rule.thresholds || null,
+    toneProfileId: rule.toneProfileId || null,
+    matchedPattern: match.pattern,
     domain
   };
 }
 
+/**
+ * Resolves the tone profile for a conversion: explicit choice, then the
+ * page's domain rule, then the default profile
+ * @param {string|null} profileId - Profile picked by the user
+ * @param {string|null} pageUrl - URL of the page that requested the conversion
+ * @returns {Promise<Object|null>} Tone profile
+ */
+async function resolveToneProfile(profileId, pageUrl) {
+  const target = !profileId && pageUrl ? getRuleTargetFromUrl(pageUrl) : null;
+  if (target) {
+    const rules = await getDomainRules();
+    profileId = findMatchingRule(rules, target.hostname, target.path)?.rule.toneProfileId || null;
+  }
+  return toneProfileManager.getProfile(profileId);
+}
+
 // ==================== STARTUP PATTERN COMPILATION ====================
 
 /**
@@ -2376,6 +6071,14 @@ async function getDomainStatus(domain) {
   try {
     // Load settings first
     await loadGuardModeSettings();
+
+    // Alarms can be dropped across browser restarts; re-create only when missing so the period is kept
+    if (!(await chrome.alarms.get(LIST_CONSTANTS.PRUNE_ALARM.NAME))) {
+      scheduleListPruning();
+    }
+
+    // Default whitelist items on first run (no-op afterwards; they stay editable in the options page)
+    await listManager.seedDefaultWhitelist();
     
     // Then compile patterns
     await loadAndCompilePatterns();
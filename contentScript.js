@@ -44,10 +44,15 @@
     // UI component settings
     UI: {
       TOAST_DURATION: 1800,
+      ACTION_TOAST_DURATION: 5000, // Toasts with a button (e.g. 되돌리기) stay longer
       BUBBLE_OFFSET: 8,
       MIN_POSITION: 10
     },
     
+    // Replaces whitelisted phrases before the local check (same as the background's
+    // LIST_CONSTANTS.MASK_CHAR: not a separator, so neighbours can't join into a match)
+    WHITELIST_MASK_CHAR: "\u3007",
+    
     // Performance tuning
     DEBOUNCE_MS: 350, // Prevent duplicate processing
     REALTIME: {
@@ -55,6 +60,30 @@
       MAX_DEBOUNCE: 600,  // Maximum delay for real-time detection
       INSTANT_THRESHOLD: 3, // Score threshold for instant detection
       MAX_TEXT_LENGTH: 500  // Skip real-time for very long text
+    },
+    
+    // Inline diff of original vs converted text
+    DIFF: {
+      MAX_CELLS: 1_000_000 // Token-grid limit; larger texts diff as one changed block
+    },
+    
+    // Target languages offered by the translate action (same as background CONFIG.TRANSLATION_TARGETS)
+    TRANSLATION_TARGETS: [
+      { locale: "en", label: "영어" },
+      { locale: "ja", label: "일본어" },
+      { locale: "zh", label: "중국어" },
+      { locale: "ko", label: "한국어" }
+    ],
+    
+    // Revert history kept per edited field
+    REVERT: {
+      MAX_ENTRIES: 10
+    },
+    
+    // Thread context capture (only runs when the user enabled it in options)
+    THREAD_CONTEXT: {
+      MAX_MESSAGES: 6,        // "Last few" visible messages
+      MAX_MESSAGE_LENGTH: 400 // Per message, before the overall budget applies
     }
   };
 
@@ -65,17 +94,31 @@
     BIZTONE_ERROR: "BIZTONE_ERROR",
     BIZTONE_REPLACE_WITH: "BIZTONE_REPLACE_WITH",
     BIZTONE_CONVERT_TEXT: "BIZTONE_CONVERT_TEXT",
+    BIZTONE_CONVERT_VARIANTS: "BIZTONE_CONVERT_VARIANTS",
+    BIZTONE_TRANSLATE_TEXT: "BIZTONE_TRANSLATE_TEXT",
+    BIZTONE_TRANSLATION_RESULT: "BIZTONE_TRANSLATION_RESULT",
+    BIZTONE_RISK_RESULT: "BIZTONE_RISK_RESULT",
+    BIZTONE_SHOW_TOAST: "BIZTONE_SHOW_TOAST",
+    BIZTONE_GET_TONE_PROFILES: "BIZTONE_GET_TONE_PROFILES",
     BIZTONE_GUARD_DECIDE: "BIZTONE_GUARD_DECIDE",
     BIZTONE_GET_GUARD_MODE: "BIZTONE_GET_GUARD_MODE",
     BIZTONE_GUARD_WARNING: "BIZTONE_GUARD_WARNING",
     BIZTONE_GET_PROFANITY_DATA: "BIZTONE_GET_PROFANITY_DATA",
+    BIZTONE_STREAM_CHUNK: "BIZTONE_STREAM_CHUNK",
+    BIZTONE_CANCEL_STREAM: "BIZTONE_CANCEL_STREAM",
+    BIZTONE_GET_THREAD_CONTEXT: "BIZTONE_GET_THREAD_CONTEXT",
+    BIZTONE_CAPTURE_RICH_SELECTION: "BIZTONE_CAPTURE_RICH_SELECTION",
+    BIZTONE_REVERT_REPLACEMENT: "BIZTONE_REVERT_REPLACEMENT",
+    BIZTONE_WHITELIST_SPAN: "BIZTONE_WHITELIST_SPAN",
+    BIZTONE_GET_WHITELIST_PATTERNS: "BIZTONE_GET_WHITELIST_PATTERNS",
     OPEN_OPTIONS: "OPEN_OPTIONS"
   };
 
   // Risk assessment vocabulary (will be loaded from background)
   let RISK_VOCABULARY = {
     PROFANITY: [],
-    AGGRESSIVE: ["당장","빨리","왜이러","대체","책임져","뭐하","최악","말이 됩니까","어이가","화나","짜증","열받","죽을","해명","지금 당장"],
+    AGGRESSIVE: ["당장","빨리","왜이러","대체","책임져","뭐하","최악","말이 됩니까","어이가","화나","짜증","열받","죽을","해명","지금 당장",
+      "asap","right now","do it now","immediately","are you kidding me","are you serious","this is unacceptable","unacceptable","ridiculous","how many times","i told you"],
     RUDE: ["너네","니들","야","정신차려","하라는"]
   };
 
@@ -87,6 +130,12 @@
     slur: []
   };
 
+  // English lexicon as compiled word-boundary/leetspeak patterns: [{ word, category, regex }]
+  let ENGLISH_PROFANITY_PATTERNS = [];
+
+  // Ordinary compounds a lexicon word doesn't count in: { word: [compound] } (土人 → 土人形)
+  let PROFANITY_EXCLUSIONS = {};
+
   // ==================== STATE MANAGEMENT ====================
 
   /**
@@ -99,6 +148,13 @@
       this.lastSelectionRange = null;
       this.lastInputSelection = null;
       this.lastActiveElement = null;
+      this.activeStream = null; // { id, render, rendered } while a conversion streams in
+      this.richSource = null; // Tokenized rich-text source of the current conversion
+      this.toastElement = null;
+      
+      // Revert state: field -> [{ kind, before, time }] (newest last)
+      this.revertHistory = new WeakMap();
+      this.lastRevertElement = null;
       
       // Guard processing state
       this.pending = false;
@@ -187,8 +243,11 @@
     "i"
   );
 
-  // Local whitelist for fallback (sync with background)
-  const LOCAL_WHITELIST = ["시발점", "始發", "시발역", "출발점", "미친 듯이", "미친 척", "개발자", "개같이", "열받아"];
+  // Whitelist items active on this site, compiled by the background: [{ regex, expiresAt }]
+  let WHITELIST_PATTERNS = [];
+
+  // Sync key rewritten whenever the whitelist is saved (background LIST_CONSTANTS.STORAGE_LAYOUT)
+  const WHITELIST_INDEX_KEY = "BIZTONE_WHITELIST_INDEX";
 
   // ==================== DATA LOADING ====================
 
@@ -208,6 +267,14 @@
           PROFANITY_CATEGORIES.weak = data.weak || [];
           PROFANITY_CATEGORIES.adult = data.adult || [];
           PROFANITY_CATEGORIES.slur = data.slur || [];
+          PROFANITY_EXCLUSIONS = data.exclusions || {};
+          ENGLISH_PROFANITY_PATTERNS = (data.en || []).flatMap(entry => {
+            try {
+              return [{ word: entry.word, category: entry.category, regex: new RegExp(entry.source, "iu") }];
+            } catch (error) {
+              return [];
+            }
+          });
           
           // Update RISK_VOCABULARY.PROFANITY with all categories
           RISK_VOCABULARY.PROFANITY = [
@@ -227,6 +294,30 @@
     });
   }
 
+  /**
+   * Loads the whitelist patterns that apply on this site from background script
+   * @returns {Promise<boolean>} True if loaded
+   */
+  function loadWhitelistPatterns() {
+    return new Promise((resolve) => {
+      safeSendMessage({ type: MESSAGE_TYPES.BIZTONE_GET_WHITELIST_PATTERNS }, (response) => {
+        if (!response?.ok || !response.result) {
+          resolve(false);
+          return;
+        }
+
+        WHITELIST_PATTERNS = (response.result.patterns || []).flatMap(pattern => {
+          try {
+            return [{ regex: new RegExp(pattern.source, pattern.flags), expiresAt: pattern.expiresAt || null }];
+          } catch (error) {
+            return [];
+          }
+        });
+        resolve(true);
+      });
+    });
+  }
+
   // ==================== UTILITY FUNCTIONS ====================
 
   /**
@@ -328,9 +419,15 @@
   }
 
   /**
-   * Get current guard mode setting from background (cached)
+   * Get current guard mode setting from background (cached);
+   * a domain rule's mode takes precedence over the global setting
    */
   async function getGuardMode() {
+    const domainSettings = await getDomainGuardSettings();
+    if (domainSettings?.guardMode === "warn" || domainSettings?.guardMode === "convert") {
+      return domainSettings.guardMode;
+    }
+
     // Return cached value if available
     if (state.guardModeCached) {
       return state.guardMode;
@@ -357,6 +454,17 @@
    * Dispatches synthetic Enter key events with enhanced submit support
    */
   function dispatchEnterKey() {
+    // Site adapter knows the app's real send action
+    const adapter = getSiteAdapter();
+    const composer = locateAdapterComposer(adapter);
+    if (composer) {
+      try {
+        if (adapter.send(composer)) return;
+      } catch (error) {
+        console.debug(`[BizTone] ${adapter.id} adapter: send failed, using key events`, error);
+      }
+    }
+    
     const target = document.activeElement || document.querySelector("[contenteditable],textarea,input[type='text']");
     if (!target) return;
     
@@ -476,27 +584,32 @@
   }
   
   /**
-   * Check if guard should be disabled for current domain
+   * Domain guard settings (enabled/paused, guard mode, thresholds, tone profile)
    */
   // Domain status cache to avoid repeated calls
   let domainStatusCache = new Map();
   let domainStatusCacheTime = 0;
   const DOMAIN_CACHE_TTL = 30000; // 30 seconds
 
-  async function shouldDisableGuardForDomain() {
+  async function getDomainGuardSettings() {
     const domain = getCurrentDomain();
-    if (!domain) return false;
+    if (!domain) return null;
+    
+    // Path rules can match differently per page, so cache by full URL
+    const url = window.location.href;
     
     // Check cache first
     const now = Date.now();
-    if (domainStatusCacheTime + DOMAIN_CACHE_TTL > now && domainStatusCache.has(domain)) {
-      return domainStatusCache.get(domain);
+    if (domainStatusCacheTime + DOMAIN_CACHE_TTL > now) {
+      if (domainStatusCache.has(url)) return domainStatusCache.get(url);
+    } else {
+      domainStatusCache.clear();
     }
     
     // Check if extension context is valid before making API call
     if (!isExtensionContextValid()) {
       console.debug('[BizTone] Extension context invalid, defaulting to enabled');
-      return false;
+      return null;
     }
     
     try {
@@ -508,7 +621,8 @@
         
         chrome.runtime.sendMessage({
           type: 'BIZTONE_GET_DOMAIN_STATUS',
-          domain: domain
+          domain: domain,
+          url: url
         }, (response) => {
           if (chrome.runtime.lastError) {
             reject(new Error(chrome.runtime.lastError.message));
@@ -519,62 +633,111 @@
       });
       
       if (response && response.ok && response.result) {
-        const status = response.result;
-        let isDisabled = false;
-        
-        // Check if domain is disabled
-        if (!status.enabled) {
-            isDisabled = true;
-        }
-        
-        // Check if domain is paused
-        if (status.paused) {
-          isDisabled = true;
-        }
-        
-        
         // Cache the result
-        domainStatusCache.set(domain, isDisabled);
+        domainStatusCache.set(url, response.result);
         domainStatusCacheTime = now;
         
-        return isDisabled;
+        return response.result;
       } else {
         console.warn('[BizTone] Failed to get domain status, defaulting to enabled');
-        return false; // Default to enabled on error
+        return null; // Default to enabled on error
       }
     } catch (error) {
       console.warn('[BizTone] Error checking domain rules:', error);
       // Cache the failure as "enabled" for a short time
-      domainStatusCache.set(domain, false);
+      domainStatusCache.set(url, null);
       domainStatusCacheTime = now;
-      return false; // Default to enabled on error
+      return null; // Default to enabled on error
     }
   }
 
+  /**
+   * Check if guard should be disabled for current domain
+   */
+  async function shouldDisableGuardForDomain() {
+    const status = await getDomainGuardSettings();
+    if (!status) return false;
+    
+    // Disabled, paused, or guard mode switched off for this domain
+    return !status.enabled || Boolean(status.paused) || status.guardMode === "off";
+  }
+
+  /**
+   * Risk thresholds for the current domain (falls back to CONFIG.PREFILTER)
+   * @returns {Promise<Object>} { passMax, convertMin }
+   */
+  async function getGuardThresholds() {
+    const status = await getDomainGuardSettings();
+    return status?.thresholds || {
+      passMax: CONFIG.PREFILTER.PASS_MAX,
+      convertMin: CONFIG.PREFILTER.CONVERT_MIN
+    };
+  }
+
+  /**
+   * Classifies a risk assessment into pass / prompt / convert
+   * @param {Object} assessment - Risk assessment ({ score, whitelisted })
+   * @param {Object} thresholds - { passMax, convertMin }
+   * @returns {string} "pass", "prompt" or "convert"
+   */
+  function classifyRisk(assessment, thresholds) {
+    if (assessment.whitelisted) return "pass";
+    if (assessment.score <= thresholds.passMax) return "pass";
+    return assessment.score >= thresholds.convertMin ? "convert" : "prompt";
+  }
+
   // ==================== RISK ASSESSMENT SYSTEM ====================
 
   // ==================== LEGACY RISK ASSESSMENT (KEPT FOR REFERENCE) ====================
   
   /**
-   * Enhanced basic risk assessment with detailed risk factors
-   * Used for synchronous prefiltering to prevent race conditions
+   * Replaces whitelisted ranges with CONFIG.WHITELIST_MASK_CHAR (same length, so offsets stay valid)
+   * @param {string} text - Text to check
+   * @returns {string} Text without whitelisted phrases
    */
-  function calculateBasicRiskScore(text) {
-    // Check local whitelist first
-    for (const whitelistItem of LOCAL_WHITELIST) {
-      if (text.includes(whitelistItem)) {
-        console.debug("[BizTone] Text matches local whitelist:", whitelistItem);
-        return {
-          score: 0,
-          matches: [],
-          contextual: { score: 0, factors: [] },
-          whitelisted: true,
-          isAdvanced: false,
-          riskFactors: {}
-        };
+  function maskWhitelistedText(text) {
+    if (WHITELIST_PATTERNS.length === 0) return text;
+
+    // Ranges are found on the unmasked text so one entry can't match another's mask
+    const chars = text.split("");
+    const now = Date.now();
+    for (const { regex, expiresAt } of WHITELIST_PATTERNS) {
+      // Items expire while the tab stays open; the background prunes them later
+      if (expiresAt && expiresAt <= now) continue;
+      for (const match of text.matchAll(regex)) {
+        chars.fill(CONFIG.WHITELIST_MASK_CHAR, match.index, match.index + match[0].length);
       }
     }
+    return chars.join("");
+  }
+
+  /**
+   * Checks whether a lexicon word occurs outside its excluded compounds
+   * @param {string} text - Text to check
+   * @param {string} word - Lexicon word
+   * @returns {boolean} True if at least one occurrence counts
+   */
+  function containsLexiconWord(text, word) {
+    const compounds = PROFANITY_EXCLUSIONS[word];
+    if (!compounds) return text.includes(word);
+
+    for (let index = text.indexOf(word); index !== -1; index = text.indexOf(word, index + 1)) {
+      const inCompound = compounds.some(compound => {
+        const start = index - compound.indexOf(word);
+        return start >= 0 && text.startsWith(compound, start);
+      });
+      if (!inCompound) return true;
+    }
+    return false;
+  }
 
+  /**
+   * Enhanced basic risk assessment with detailed risk factors
+   * Used for synchronous prefiltering to prevent race conditions
+   */
+  function calculateBasicRiskScore(originalText) {
+    // Whitelisted phrases are blanked out so only words elsewhere in the message count
+    const text = maskWhitelistedText(originalText);
     let score = 0;
     const riskFactors = {};
 
@@ -592,7 +755,7 @@
     
     for (const check of categoryChecks) {
       for (const word of check.words) {
-        if (text.includes(word)) {
+        if (containsLexiconWord(text, word)) {
           profanityScore += check.weight;
           profanityMatches.push({ word, category: check.category });
           
@@ -602,6 +765,15 @@
       }
       if (profanityScore >= 6) break; // Exit category loop early
     }
+
+    // English words need word boundaries and leetspeak handling (f*ck, sh1t, b!tch)
+    for (const entry of ENGLISH_PROFANITY_PATTERNS) {
+      if (profanityScore >= 6) break;
+      if (entry.regex.test(text)) {
+        profanityScore += categoryChecks.find(check => check.category === entry.category)?.weight || 2;
+        profanityMatches.push({ word: entry.word, category: entry.category });
+      }
+    }
     
     if (profanityScore > 0) {
       score += Math.min(6, profanityScore); // Cap at 6 points
@@ -610,10 +782,11 @@
       console.debug("[BizTone] Profanity detected:", profanityMatches, "Score:", profanityScore);
     }
 
-    // 2) Aggressive/rude vocabulary
+    // 2) Aggressive/rude vocabulary (English entries are lowercase)
+    const lowerText = text.toLowerCase();
     let aggressiveHits = 0;
     for (const word of RISK_VOCABULARY.AGGRESSIVE) {
-      if (text.includes(word)) aggressiveHits++;
+      if (lowerText.includes(word)) aggressiveHits++;
     }
     if (aggressiveHits > 0) {
       score += Math.min(2, aggressiveHits);
@@ -742,6 +915,444 @@
     }
   }
 
+  // ==================== SITE ADAPTERS ====================
+
+  /**
+   * Per-site composer adapters. Rich editors (Quill, Draft.js, ProseMirror,
+   * Lexical, CKEditor) keep their own document model, so text has to go in
+   * through events the editor handles rather than direct DOM writes.
+   * Each adapter: locateComposer() → element|null, readText(composer) → string,
+   * replaceText(composer, text) → boolean, send(composer) → boolean (false = not handled).
+   * Sites without an adapter use the generic input/contentEditable path.
+   */
+  const SITE_ADAPTERS = [
+    {
+      id: "slack",
+      matches: (host) => host === "app.slack.com",
+      locateComposer: () => findActiveComposer("[data-qa='message_input'] [contenteditable='true'], .ql-editor[contenteditable='true']"),
+      readText: (composer) => readEditorText(composer),
+      replaceText: (composer, text) => replaceEditorViaPaste(composer, text),
+      send: (composer) => clickSendButton(composer, "[data-qa='texty_send_button']", "[data-qa='message_input'], .p-message_pane_input")
+    },
+    {
+      id: "gmail",
+      matches: (host) => host === "mail.google.com",
+      locateComposer: () => findActiveComposer("div[role='textbox'][contenteditable='true'][aria-label], .editable[contenteditable='true']"),
+      // An expanded reply quote lives inside the editor and must survive the rewrite
+      readText: (composer) => readEditorText(composer, ".gmail_quote"),
+      replaceText: (composer, text) => replaceEditorViaInsertText(composer, text, ".gmail_quote"),
+      // Enter is a newline in Gmail; never click Send on the user's behalf
+      send: () => false
+    },
+    {
+      id: "notion",
+      matches: (host) => host === "www.notion.so" || host.endsWith(".notion.site"),
+      // Each Notion block is its own editable leaf; only the focused block is touched
+      locateComposer: () => findActiveComposer(".notion-page-content [contenteditable='true'], .notion-overlay-container [contenteditable='true']"),
+      readText: (composer) => readEditorText(composer),
+      replaceText: (composer, text) => replaceEditorViaInsertText(composer, text),
+      // Documents have no send action
+      send: () => false
+    },
+    {
+      id: "teams",
+      matches: (host) => host === "teams.microsoft.com" || host === "teams.live.com",
+      locateComposer: () => findActiveComposer("[data-tid='ckeditor'][contenteditable='true'], .cke_editable[contenteditable='true'], [role='textbox'][contenteditable='true']"),
+      readText: (composer) => readEditorText(composer),
+      replaceText: (composer, text) => replaceEditorViaPaste(composer, text),
+      send: (composer) => clickSendButton(composer, "[data-tid='newMessageCommands-send'], button[name='send']", "[data-tid='message-pane-footer'], form")
+    },
+    {
+      id: "jira",
+      matches: (host) => host.endsWith(".atlassian.net"),
+      locateComposer: () => findActiveComposer(".ProseMirror[contenteditable='true']"),
+      readText: (composer) => readEditorText(composer),
+      replaceText: (composer, text) => replaceEditorViaInsertText(composer, text),
+      send: (composer) => clickSendButton(composer, "[data-testid='comment-save-button']", "[data-testid='comment-container'], form")
+    }
+  ];
+
+  /**
+   * Finds the adapter for the current site
+   * @returns {Object|null} Site adapter, or null for the generic path
+   */
+  function getSiteAdapter() {
+    const host = getCurrentDomain();
+    return (host && SITE_ADAPTERS.find(adapter => adapter.matches(host))) || null;
+  }
+
+  /**
+   * Locates the adapter's composer, returning null when it isn't there
+   * @param {Object|null} adapter - Site adapter
+   * @returns {Element|null} Composer element
+   */
+  function locateAdapterComposer(adapter) {
+    if (!adapter) return null;
+    try {
+      return adapter.locateComposer();
+    } catch (error) {
+      console.debug(`[BizTone] ${adapter.id} adapter: composer lookup failed`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Resolves the composer the user is working in: the focused (or last focused)
+   * editor matching the selector, or the only visible one on the page
+   * @param {string} selector - Composer selector
+   * @returns {Element|null} Composer element
+   */
+  function findActiveComposer(selector) {
+    for (const element of [document.activeElement, state.lastActiveElement]) {
+      const composer = element?.closest?.(selector);
+      if (composer && composer.isConnected) return composer;
+    }
+    
+    // Never guess between several editors
+    const visible = Array.from(document.querySelectorAll(selector))
+      .filter(element => element.getClientRects().length > 0);
+    return visible.length === 1 ? visible[0] : null;
+  }
+
+  /**
+   * Reads an editor's plain text, optionally skipping embedded blocks (e.g. quotes)
+   * @param {Element} composer - Editor root
+   * @param {string} [excludeSelector] - Blocks to leave out
+   * @returns {string} Plain text
+   */
+  function readEditorText(composer, excludeSelector = null) {
+    let text;
+    if (excludeSelector && composer.querySelector(excludeSelector)) {
+      const range = document.createRange();
+      range.selectNodeContents(composer);
+      range.setEndBefore(composer.querySelector(excludeSelector));
+      text = range.toString();
+    } else {
+      text = composer.innerText || composer.textContent || "";
+    }
+    // Empty editors usually hold a lone <br>/<p>
+    return text.replace(/\n+$/, "");
+  }
+
+  /**
+   * Selects the editor's contents (up to an excluded block) so the next edit replaces them
+   * @param {Element} composer - Editor root
+   * @param {string} [excludeSelector] - Block the selection must stop before
+   */
+  function selectEditorContents(composer, excludeSelector = null) {
+    if (typeof composer.focus === "function") composer.focus();
+    
+    const range = document.createRange();
+    range.selectNodeContents(composer);
+    const excluded = excludeSelector && composer.querySelector(excludeSelector);
+    if (excluded) range.setEndBefore(excluded);
+    
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+  }
+
+  /**
+   * Replaces editor text with the native insertText command, which editors
+   * observe through beforeinput/input and apply to their own model
+   * @param {Element} composer - Editor root
+   * @param {string} text - New text
+   * @param {string} [excludeSelector] - Block to keep (e.g. reply quote)
+   * @returns {boolean} Success status
+   */
+  function replaceEditorViaInsertText(composer, text, excludeSelector = null) {
+    selectEditorContents(composer, excludeSelector);
+    return Boolean(document.execCommand && document.execCommand("insertText", false, text));
+  }
+
+  /**
+   * Replaces editor text through a synthetic paste, for editors that ignore
+   * execCommand but import clipboard data into their model
+   * @param {Element} composer - Editor root
+   * @param {string} text - New text
+   * @returns {boolean} Success status
+   */
+  function replaceEditorViaPaste(composer, text) {
+    selectEditorContents(composer);
+    
+    try {
+      const clipboardData = new DataTransfer();
+      clipboardData.setData("text/plain", text);
+      const pasteEvent = new ClipboardEvent("paste", { clipboardData, bubbles: true, cancelable: true });
+      composer.dispatchEvent(pasteEvent);
+      
+      // Editor took the paste; otherwise let the native command do it
+      if (pasteEvent.defaultPrevented) return true;
+    } catch (error) {
+      // Synthetic clipboard events unsupported - fall through
+    }
+    
+    return replaceEditorViaInsertText(composer, text);
+  }
+
+  /**
+   * Clicks the send button belonging to a composer
+   * @param {Element} composer - Editor root
+   * @param {string} buttonSelector - Send button selector
+   * @param {string} scopeSelector - Container shared by composer and button
+   * @returns {boolean} True if a send button was clicked
+   */
+  function clickSendButton(composer, buttonSelector, scopeSelector) {
+    const scope = composer.closest(scopeSelector) || document;
+    const button = scope.querySelector(buttonSelector) || document.querySelector(buttonSelector);
+    if (!button || button.disabled || button.getAttribute("aria-disabled") === "true") return false;
+    
+    button.click();
+    return true;
+  }
+
+  // ==================== RICH TEXT ====================
+
+  /**
+   * Inline elements the model must not rewrite; they travel as ⟦n⟧ placeholders
+   */
+  const RICH_TOKEN_SELECTORS = {
+    mention: "[data-stringify-type='mention'], [data-mention], [data-mention-id], [data-user-id], [data-type='mention'], .c-member_slug, .mention",
+    emoji: "img[data-stringify-emoji], img.emoji, img[data-emoji], [data-stringify-type='emoji'], [data-type='emoji'], .c-emoji",
+    code: "code, pre, kbd",
+    link: "a[href]"
+  };
+
+  /**
+   * Inline formatting kept around the rewritten words as ⟦n⟧…⟦/n⟧
+   */
+  const RICH_FORMAT_TAGS = new Set(["B", "STRONG", "I", "EM", "U", "S", "DEL", "STRIKE"]);
+  const RICH_BLOCK_TAGS = new Set(["DIV", "P", "LI", "BLOCKQUOTE", "H1", "H2", "H3", "H4", "H5", "H6"]);
+  const RICH_PLACEHOLDER_PATTERN = /⟦(\/?)(\d+)⟧/g;
+
+  // Content that is never part of the rewrite (Gmail reply quote)
+  const RICH_EXCLUDE_SELECTOR = ".gmail_quote";
+
+  /**
+   * Returns the token kind for an element, or null for ordinary content
+   * @param {Element} element - Element to classify
+   * @returns {string|null} "mention" | "emoji" | "code" | "link" | null
+   */
+  function getRichTokenKind(element) {
+    for (const [kind, selector] of Object.entries(RICH_TOKEN_SELECTORS)) {
+      if (element.matches(selector)) return kind;
+    }
+    return null;
+  }
+
+  /**
+   * Serializes DOM content into text with placeholders
+   * @param {Node} root - Fragment or element to serialize
+   * @returns {Object} { text, tokens: [{ id, kind, node, text }] }
+   */
+  function serializeRichContent(root) {
+    const tokens = [];
+    let text = "";
+    
+    const walk = (parent) => {
+      for (const child of parent.childNodes) {
+        if (child.nodeType === Node.TEXT_NODE) {
+          text += child.nodeValue;
+          continue;
+        }
+        if (child.nodeType !== Node.ELEMENT_NODE || child.matches(RICH_EXCLUDE_SELECTOR)) continue;
+        
+        if (child.tagName === "BR") {
+          text += "\n";
+          continue;
+        }
+        
+        const kind = getRichTokenKind(child);
+        if (kind) {
+          const id = tokens.length + 1;
+          tokens.push({ id, kind, node: child.cloneNode(true), text: child.textContent || child.getAttribute("alt") || "" });
+          text += `⟦${id}⟧`;
+          continue;
+        }
+        
+        const isBlock = RICH_BLOCK_TAGS.has(child.tagName);
+        if (isBlock && text && !text.endsWith("\n")) text += "\n";
+        
+        if (RICH_FORMAT_TAGS.has(child.tagName)) {
+          const id = tokens.length + 1;
+          tokens.push({ id, kind: "format", node: child.cloneNode(false), text: "" });
+          text += `⟦${id}⟧`;
+          walk(child);
+          text += `⟦/${id}⟧`;
+        } else {
+          walk(child);
+        }
+        
+        if (isBlock && !text.endsWith("\n")) text += "\n";
+      }
+    };
+    
+    walk(root);
+    return { text: text.replace(/\n+$/, ""), tokens };
+  }
+
+  /**
+   * Rebuilds DOM from model output, re-inserting the original token nodes
+   * @param {string} text - Model output with placeholders
+   * @param {Array<Object>} tokens - Tokens from serializeRichContent()
+   * @returns {DocumentFragment} Rebuilt content
+   */
+  function buildRichFragment(text, tokens) {
+    const fragment = document.createDocumentFragment();
+    const stack = [{ node: fragment, id: null }];
+    const used = new Set();
+    const current = () => stack[stack.length - 1].node;
+    
+    const appendText = (value) => {
+      value.split("\n").forEach((line, index) => {
+        if (index > 0) current().appendChild(document.createElement("br"));
+        if (line) current().appendChild(document.createTextNode(line));
+      });
+    };
+    
+    let lastIndex = 0;
+    for (const match of text.matchAll(RICH_PLACEHOLDER_PATTERN)) {
+      appendText(text.slice(lastIndex, match.index));
+      lastIndex = match.index + match[0].length;
+      
+      const token = tokens.find(entry => entry.id === Number(match[2]));
+      if (!token) continue;
+      
+      if (match[1]) {
+        // Closing marker: only pops the formatting it belongs to
+        if (stack.length > 1 && stack[stack.length - 1].id === token.id) stack.pop();
+      } else if (token.kind === "format") {
+        const element = token.node.cloneNode(false);
+        current().appendChild(element);
+        stack.push({ node: element, id: token.id });
+      } else if (!used.has(token.id)) {
+        current().appendChild(token.node.cloneNode(true));
+        used.add(token.id);
+      }
+    }
+    appendText(text.slice(lastIndex));
+    
+    // Mentions/links the model dropped are kept rather than lost
+    tokens
+      .filter(token => token.kind !== "format" && !used.has(token.id))
+      .forEach(token => {
+        fragment.appendChild(document.createTextNode(" "));
+        fragment.appendChild(token.node.cloneNode(true));
+      });
+    
+    return fragment;
+  }
+
+  /**
+   * Turns placeholder text into what the user should read (bubble, clipboard)
+   * @param {string} text - Text that may contain placeholders
+   * @param {Array<Object>} [tokens] - Tokens (defaults to the current rich source)
+   * @returns {string} Display text
+   */
+  function richToDisplayText(text, tokens = state.richSource?.tokens) {
+    if (!tokens || typeof text !== "string") return text;
+    
+    return text.replace(RICH_PLACEHOLDER_PATTERN, (_marker, closing, id) => {
+      const token = tokens.find(entry => entry.id === Number(id));
+      return !token || closing || token.kind === "format" ? "" : token.text;
+    });
+  }
+
+  /**
+   * Captures the rich-text source of a conversion (contentEditable only).
+   * Sets state.richSource, or clears it when the content is plain.
+   * @param {Element|null} element - Editor for "full" mode
+   * @param {string} mode - "full" or "selection"
+   * @returns {Object|null} Rich source { text, tokens, host, range, mode }
+   */
+  function captureRichSource(element, mode) {
+    state.richSource = null;
+    
+    let host = null;
+    let range = null;
+    try {
+      if (mode === "selection") {
+        const selection = window.getSelection && window.getSelection();
+        if (!selection || selection.rangeCount === 0 || selection.isCollapsed) return null;
+        range = selection.getRangeAt(0).cloneRange();
+        const container = range.commonAncestorContainer;
+        host = (container.nodeType === 1 ? container : container.parentElement)?.closest("[contenteditable=''], [contenteditable='true']");
+      } else if (element?.isContentEditable) {
+        host = element;
+        range = document.createRange();
+        range.selectNodeContents(host);
+        const excluded = host.querySelector(RICH_EXCLUDE_SELECTOR);
+        if (excluded) range.setEndBefore(excluded);
+      }
+    } catch (error) {
+      return null;
+    }
+    if (!host || !range) return null;
+    
+    const { text, tokens } = serializeRichContent(range.cloneContents());
+    
+    // Plain content goes through the regular text path
+    if (tokens.length === 0) return null;
+    
+    state.richSource = { text, tokens, host, range, mode };
+    return state.richSource;
+  }
+
+  /**
+   * Replaces the captured source with rebuilt rich content
+   * @param {string} text - Model output with placeholders
+   * @returns {boolean} Success status
+   */
+  function replaceWithRichSource(text) {
+    const source = state.richSource;
+    state.richSource = null;
+    if (!source || !source.host.isConnected) return false;
+    
+    // Output without any placeholder (plain fallback, unrelated text) takes the plain path
+    if (text.search(RICH_PLACEHOLDER_PATTERN) === -1) return false;
+    
+    try {
+      if (source.mode === "full") {
+        selectEditorContents(source.host, RICH_EXCLUDE_SELECTOR);
+      } else {
+        source.host.focus();
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(source.range);
+      }
+      
+      const fragment = buildRichFragment(text, source.tokens);
+      const container = document.createElement("div");
+      container.appendChild(fragment.cloneNode(true));
+      
+      // 1) Editors with their own model import pasted HTML (Slack keeps mention pills this way)
+      const clipboardData = new DataTransfer();
+      clipboardData.setData("text/html", container.innerHTML);
+      clipboardData.setData("text/plain", richToDisplayText(text, source.tokens));
+      const pasteEvent = new ClipboardEvent("paste", { clipboardData, bubbles: true, cancelable: true });
+      source.host.dispatchEvent(pasteEvent);
+      if (pasteEvent.defaultPrevented) return true;
+      
+      // 2) Plain contentEditable: native command keeps the undo stack
+      if (document.execCommand && document.execCommand("insertHTML", false, container.innerHTML)) {
+        dispatchInputEvents(source.host);
+        return true;
+      }
+      
+      // 3) Direct DOM insertion
+      const selection = window.getSelection();
+      const range = selection.getRangeAt(0);
+      range.deleteContents();
+      range.insertNode(fragment);
+      range.collapse(false);
+      dispatchInputEvents(source.host);
+      return true;
+    } catch (error) {
+      console.debug("[BizTone] Rich replacement failed, using plain text", error);
+      return false;
+    }
+  }
+
   // ==================== TEXT EXTRACTION & MANIPULATION ====================
 
   /**
@@ -751,6 +1362,20 @@
   function getCurrentTextContext() {
     const activeElement = document.activeElement;
     
+    // Site adapter composer (whole message; selections use the generic path below)
+    const adapter = getSiteAdapter();
+    const composer = locateAdapterComposer(adapter);
+    if (composer && composer.contains(activeElement)) {
+      const selection = window.getSelection && window.getSelection();
+      if (!selection || selection.isCollapsed || !composer.contains(selection.anchorNode)) {
+        return { 
+          text: adapter.readText(composer), 
+          mode: "full", 
+          element: composer 
+        };
+      }
+    }
+    
     // Handle input/textarea elements
     if (activeElement && 
         (activeElement.tagName === "TEXTAREA" || 
@@ -831,11 +1456,23 @@
   }
 
   /**
-   * Replaces full text in active element
+   * Replaces full text in active element, recording a revert point
    * @param {string} newText - Text to replace with
    * @returns {boolean} Success status
    */
   function replaceFullText(newText) {
+    return trackReplacement(() => writeFullText(newText));
+  }
+
+  /**
+   * Writes full text into the active element
+   * @param {string} newText - Text to replace with
+   * @returns {boolean} Success status
+   */
+  function writeFullText(newText) {
+    // Rich source captured for this conversion: rebuild mentions/links/formatting
+    if (state.richSource && replaceWithRichSource(newText)) return true;
+    
     const activeElement = document.activeElement;
     
     // Handle input/textarea
@@ -849,8 +1486,20 @@
       return true;
     }
 
-    // Handle contentEditable
-    const editableHost = document.querySelector("[contenteditable=''], [contenteditable='true']");
+    // Site adapter keeps the editor framework's state consistent
+    const adapter = getSiteAdapter();
+    const composer = locateAdapterComposer(adapter);
+    if (composer) {
+      try {
+        if (adapter.replaceText(composer, newText)) return true;
+      } catch (error) {
+        console.debug(`[BizTone] ${adapter.id} adapter: replace failed, using generic path`, error);
+      }
+    }
+    
+    // Handle contentEditable (prefer the one being edited over the first on the page)
+    const editableHost = activeElement?.closest?.("[contenteditable=''], [contenteditable='true']") ||
+      document.querySelector("[contenteditable=''], [contenteditable='true']");
     if (editableHost) {
       try {
         const range = document.createRange();
@@ -903,13 +1552,25 @@
   }
 
   /**
-   * Replaces selected text with new content
+   * Replaces selected text with new content, recording a revert point
    * @param {string} newText - Text to replace with
    * @returns {boolean} Success status
    */
   function replaceSelectedText(newText) {
-    // Replace selected text called    
-    let replaced = false;
+    return trackReplacement(() => writeSelectedText(newText));
+  }
+
+  /**
+   * Writes new content over the selection
+   * @param {string} newText - Text to replace with
+   * @returns {boolean} Success status
+   */
+  function writeSelectedText(newText) {
+    // Rich source captured for this conversion: rebuild mentions/links/formatting
+    if (state.richSource && replaceWithRichSource(newText)) return true;
+    
+    // Replace selected text called    
+    let replaced = false;
 
     // Handle input/textarea selection
     if (state.lastActiveElement && state.lastInputSelection && (state.lastActiveElement === document.activeElement)) {
@@ -989,16 +1650,434 @@
   
   console.log('🛠️ Run testBizToneReplace() in console to test text replacement directly');
 
+  // ==================== REVERT HISTORY ====================
+
+  /**
+   * Checks for fields edited through .value (input/textarea)
+   * @param {Element} element - Element to check
+   * @returns {boolean} True for value-based fields
+   */
+  function isValueField(element) {
+    return Boolean(element) && (element.tagName === "TEXTAREA" || element.tagName === "INPUT");
+  }
+
+  /**
+   * Finds the editable host containing a node
+   * @param {Node} node - Node inside an editor
+   * @returns {Element|null} contentEditable host
+   */
+  function findEditableHost(node) {
+    const element = node?.nodeType === Node.ELEMENT_NODE ? node : node?.parentElement;
+    return element?.closest?.("[contenteditable=''], [contenteditable='true']") || null;
+  }
+
+  /**
+   * Finds the field a replacement is about to change
+   * @returns {Element|null} Input/textarea or editable host
+   */
+  function findReplacementTarget() {
+    if (state.richSource?.host) return state.richSource.host;
+
+    const activeElement = document.activeElement;
+    if (isValueField(activeElement)) return activeElement;
+
+    const anchor = window.getSelection?.()?.anchorNode || state.lastSelectionRange?.startContainer;
+    return findEditableHost(anchor) ||
+      findEditableHost(activeElement) ||
+      (isValueField(state.lastActiveElement) ? state.lastActiveElement : null) ||
+      locateAdapterComposer(getSiteAdapter()) ||
+      document.querySelector("[contenteditable=''], [contenteditable='true']");
+  }
+
+  /**
+   * Snapshots a field's content before it is replaced
+   * @param {Element|null} element - Field to snapshot
+   * @returns {Object|null} { element, kind, before }
+   */
+  function takeRevertSnapshot(element) {
+    if (!element) return null;
+    return isValueField(element)
+      ? { element, kind: "value", before: element.value }
+      : { element, kind: "html", before: element.innerHTML };
+  }
+
+  /**
+   * Stores a snapshot in its field's history once the replacement succeeded
+   * @param {Object|null} snapshot - From takeRevertSnapshot()
+   */
+  function recordRevertSnapshot(snapshot) {
+    if (!snapshot) return;
+
+    const history = state.revertHistory.get(snapshot.element) || [];
+    history.push({ kind: snapshot.kind, before: snapshot.before, time: Date.now() });
+    if (history.length > CONFIG.REVERT.MAX_ENTRIES) history.shift();
+
+    state.revertHistory.set(snapshot.element, history);
+    state.lastRevertElement = snapshot.element;
+  }
+
+  /**
+   * Runs a replacement and records a revert point when it succeeds
+   * @param {Function} replace - Returns true on success
+   * @returns {boolean} Success status
+   */
+  function trackReplacement(replace) {
+    const snapshot = takeRevertSnapshot(findReplacementTarget());
+    const replaced = replace();
+    if (replaced) recordRevertSnapshot(snapshot);
+    return replaced;
+  }
+
+  /**
+   * Finds the focused field that has revert history
+   * @returns {Element|null} Field to revert
+   */
+  function findRevertTarget() {
+    const activeElement = document.activeElement;
+    const anchor = window.getSelection?.()?.anchorNode;
+    const candidates = [activeElement, findEditableHost(activeElement), findEditableHost(anchor)];
+
+    return candidates.find(element => element && state.revertHistory.get(element)?.length) ||
+      (state.lastRevertElement?.isConnected ? state.lastRevertElement : null);
+  }
+
+  /**
+   * Restores the content a field had before the last BizTone replacement.
+   * Goes through execCommand first so editor frameworks see the change.
+   * @param {Element|null} [element] - Field to revert (focused field when omitted)
+   * @returns {boolean} True if something was restored
+   */
+  function revertLastReplacement(element = null) {
+    const target = element || findRevertTarget();
+    const history = target ? state.revertHistory.get(target) : null;
+    if (!history?.length || !target.isConnected) return false;
+
+    const entry = history.pop();
+    try {
+      if (target.focus) target.focus();
+
+      if (entry.kind === "value") {
+        target.value = entry.before;
+        target.selectionStart = target.selectionEnd = entry.before.length;
+      } else {
+        const range = document.createRange();
+        range.selectNodeContents(target);
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+
+        const restored = document.execCommand && (entry.before
+          ? document.execCommand("insertHTML", false, entry.before)
+          : document.execCommand("delete"));
+        if (!restored) target.innerHTML = entry.before;
+      }
+
+      dispatchInputEvents(target);
+      return true;
+    } catch (error) {
+      console.debug("[BizTone] revert failed", error);
+      return false;
+    }
+  }
+
+  /**
+   * Shows a toast with a "되돌리기" action for the last replacement
+   * @param {string} message - Message to display
+   */
+  function showRevertToast(message) {
+    const element = state.lastRevertElement;
+    if (!element) {
+      showToast(message);
+      return;
+    }
+
+    showToast(message, {
+      label: "되돌리기",
+      onClick: () => showToast(revertLastReplacement(element) ? "원문으로 되돌렸습니다" : "되돌릴 내용이 없습니다")
+    });
+  }
+
+  // ==================== THREAD CONTEXT ====================
+
+  /**
+   * Per-site extractors for the messages around the composer.
+   * Each returns [{ author, text }] oldest first; selectors follow each app's
+   * current markup and simply yield nothing when it changes.
+   */
+  const THREAD_CONTEXT_EXTRACTORS = [
+    {
+      id: "slack",
+      matches: (host) => host === "app.slack.com" || host.endsWith(".slack.com"),
+      extract: () => collectThreadMessages({
+        item: "[data-qa='message_container']",
+        author: "[data-qa='message_sender_name']",
+        text: "[data-qa='message-text'], .c-message_kit__blocks"
+      })
+    },
+    {
+      id: "gmail",
+      matches: (host) => host === "mail.google.com",
+      extract: () => {
+        // Reply/forward quote inside the open composer comes first
+        const composer = state.lastActiveElement?.closest?.("[role='dialog'], .M9, .aO7") || document;
+        const quote = composer.querySelector(".gmail_quote");
+        if (quote) {
+          return [{ author: "", text: quote.innerText || "" }];
+        }
+        return collectThreadMessages({
+          item: ".adn.ads",
+          author: ".gD",
+          text: ".a3s"
+        });
+      }
+    },
+    {
+      id: "teams",
+      matches: (host) => host === "teams.microsoft.com" || host === "teams.live.com",
+      extract: () => collectThreadMessages({
+        item: "[data-tid='chat-pane-item']",
+        author: "[data-tid='message-author-name']",
+        text: "[data-tid='chat-pane-message']"
+      })
+    },
+    {
+      id: "kakaowork",
+      matches: (host) => host === "kakaowork.com" || host.endsWith(".kakaowork.com"),
+      extract: () => collectThreadMessages({
+        item: "[class*='message_item'], [class*='MessageItem']",
+        author: "[class*='name'], [class*='Name']",
+        text: "[class*='message_text'], [class*='MessageText'], [class*='bubble']"
+      })
+    }
+  ];
+
+  /**
+   * Collects visible messages using an item/author/text selector set
+   * @param {Object} selectors - { item, author, text }
+   * @returns {Array<Object>} Messages [{ author, text }] oldest first
+   */
+  function collectThreadMessages(selectors) {
+    const messages = [];
+    let lastAuthor = "";
+    
+    document.querySelectorAll(selectors.item).forEach(item => {
+      // Only what the user can currently see
+      const rect = item.getBoundingClientRect();
+      if (rect.height === 0 || rect.bottom < 0 || rect.top > window.innerHeight) return;
+      
+      const textElement = item.querySelector(selectors.text);
+      const text = (textElement?.innerText || "").trim();
+      if (!text) return;
+      
+      // Grouped follow-up messages omit the sender; reuse the previous one
+      const author = (item.querySelector(selectors.author)?.innerText || "").trim() || lastAuthor;
+      lastAuthor = author;
+      messages.push({ author, text });
+    });
+    
+    return messages;
+  }
+
+  /**
+   * Builds the thread context for the current site within a character budget
+   * @param {number} budget - Maximum characters
+   * @returns {string} Context lines, oldest first ("" on unsupported sites)
+   */
+  function getThreadContext(budget) {
+    const host = getCurrentDomain();
+    const extractor = host && THREAD_CONTEXT_EXTRACTORS.find(entry => entry.matches(host));
+    if (!extractor) return "";
+    
+    let messages;
+    try {
+      messages = extractor.extract();
+    } catch (error) {
+      console.debug(`[BizTone] Thread context (${extractor.id}) failed:`, error);
+      return "";
+    }
+    
+    // Newest messages win the budget
+    const lines = [];
+    let used = 0;
+    for (const message of messages.slice(-CONFIG.THREAD_CONTEXT.MAX_MESSAGES).reverse()) {
+      const text = message.text.replace(/\s+/g, " ").slice(0, CONFIG.THREAD_CONTEXT.MAX_MESSAGE_LENGTH);
+      const line = message.author ? `${message.author}: ${text}` : text;
+      if (used + line.length > budget) {
+        if (lines.length === 0) lines.unshift(line.slice(-budget));
+        break;
+      }
+      lines.unshift(line);
+      used += line.length + 1;
+    }
+    
+    return lines.join("\n");
+  }
+
+  // ==================== INLINE DIFF ====================
+
+  // Whitespace, rich placeholders, word/어절 runs, or a single punctuation mark
+  const DIFF_TOKEN_PATTERN = /\s+|⟦\/?\d+⟧|[\p{L}\p{N}_]+|[^\s\p{L}\p{N}_]/gu;
+
+  /**
+   * Splits text into diff tokens. Korean particles stay attached to their
+   * word, so Korean diffs at 어절 level and other scripts at word level.
+   * @param {string} text - Text to split
+   * @returns {Array<string>} Tokens (joining them gives the text back)
+   */
+  function tokenizeForDiff(text) {
+    return String(text || "").match(DIFF_TOKEN_PATTERN) || [];
+  }
+
+  /**
+   * Diffs two texts into equal runs and changed hunks
+   * @param {string} before - Original text
+   * @param {string} after - Converted text
+   * @returns {Array<Object>} Segments: { type: "equal", text } or
+   *   { type: "change", removed, added, accepted }
+   */
+  function diffTexts(before, after) {
+    const a = tokenizeForDiff(before);
+    const b = tokenizeForDiff(after);
+
+    // Common prefix/suffix keep the grid small for mostly-unchanged texts
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+      endA--;
+      endB--;
+    }
+
+    const ops = a.slice(0, start).map(token => ["=", token]);
+    const midA = a.slice(start, endA);
+    const midB = b.slice(start, endB);
+
+    if ((midA.length + 1) * (midB.length + 1) > CONFIG.DIFF.MAX_CELLS) {
+      midA.forEach(token => ops.push(["-", token]));
+      midB.forEach(token => ops.push(["+", token]));
+    } else {
+      ops.push(...diffTokens(midA, midB));
+    }
+    a.slice(endA).forEach(token => ops.push(["=", token]));
+
+    return groupDiffOps(ops);
+  }
+
+  /**
+   * LCS token diff
+   * @param {Array<string>} a - Original tokens
+   * @param {Array<string>} b - Converted tokens
+   * @returns {Array<Array>} Ops: ["=" | "-" | "+", token]
+   */
+  function diffTokens(a, b) {
+    const width = b.length + 1;
+    const lcs = new Uint32Array((a.length + 1) * width);
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lcs[i * width + j] = a[i] === b[j]
+          ? lcs[(i + 1) * width + j + 1] + 1
+          : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+      }
+    }
+
+    const ops = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        ops.push(["=", a[i++]]);
+        j++;
+      } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+        ops.push(["-", a[i++]]);
+      } else {
+        ops.push(["+", b[j++]]);
+      }
+    }
+    while (i < a.length) ops.push(["-", a[i++]]);
+    while (j < b.length) ops.push(["+", b[j++]]);
+    return ops;
+  }
+
+  /**
+   * Groups ops into segments. Changes separated only by whitespace become
+   * one hunk so that a rewritten phrase is accepted/rejected as a whole.
+   * @param {Array<Array>} ops - From diffTokens()
+   * @returns {Array<Object>} Segments (see diffTexts())
+   */
+  function groupDiffOps(ops) {
+    const segments = [];
+
+    ops.forEach(([op, token]) => {
+      let last = segments[segments.length - 1];
+      if (op === "=") {
+        if (last?.type === "equal") last.text += token;
+        else segments.push({ type: "equal", text: token });
+        return;
+      }
+
+      if (last?.type === "equal" && /^\s+$/.test(last.text) && segments[segments.length - 2]?.type === "change") {
+        const space = segments.pop().text;
+        last = segments[segments.length - 1];
+        last.removed += space;
+        last.added += space;
+      }
+      if (last?.type !== "change") {
+        last = { type: "change", removed: "", added: "", accepted: true };
+        segments.push(last);
+      }
+
+      if (op === "-") last.removed += token;
+      else last.added += token;
+    });
+
+    return segments;
+  }
+
+  /**
+   * Builds the text to apply from diff segments
+   * @param {Array<Object>} segments - From diffTexts()
+   * @returns {string} Text with accepted changes applied
+   */
+  function composeDiffText(segments) {
+    return segments.map(segment => {
+      if (segment.type === "equal") return segment.text;
+      return segment.accepted ? segment.added : segment.removed;
+    }).join("");
+  }
+
+  /**
+   * Renders diff segments with clickable hunks
+   * @param {Array<Object>} segments - From diffTexts()
+   * @returns {string} HTML
+   */
+  function renderDiffHTML(segments) {
+    const escapeHTML = (value) => richToDisplayText(value).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+    return segments.map((segment, index) => {
+      if (segment.type === "equal") return escapeHTML(segment.text);
+
+      return `<span class="biztone-hunk${segment.accepted ? "" : " rejected"}" data-hunk-index="${index}" title="클릭해 이 변경을 적용/취소">` +
+        (segment.removed ? `<del>${escapeHTML(segment.removed)}</del>` : "") +
+        (segment.added ? `<ins>${escapeHTML(segment.added)}</ins>` : "") +
+        `</span>`;
+    }).join("");
+  }
+
   // ==================== UI COMPONENTS ====================
 
   /**
-   * Shows a toast notification
+   * Shows a toast notification (replacing the previous one)
    * @param {string} message - Message to display
+   * @param {Object} [action] - Optional { label, onClick } button
    */
-  function showToast(message) {
+  function showToast(message, action = null) {
     try {
+      if (state.toastElement) state.toastElement.remove();
+
       const toast = document.createElement("div");
       toast.textContent = message;
+      state.toastElement = toast;
       
       Object.assign(toast.style, {
         position: "fixed",
@@ -1014,8 +2093,31 @@
         boxShadow: "0 8px 24px rgba(0,0,0,.28)"
       });
 
+      if (action) {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.textContent = action.label;
+        Object.assign(button.style, {
+          marginLeft: "10px",
+          background: "transparent",
+          color: "#93c5fd",
+          border: "none",
+          padding: "0",
+          fontSize: "12px",
+          fontWeight: "600",
+          cursor: "pointer"
+        });
+        // Keep focus (and selection) in the edited field
+        button.addEventListener("mousedown", (event) => event.preventDefault());
+        button.addEventListener("click", () => {
+          toast.remove();
+          action.onClick();
+        });
+        toast.appendChild(button);
+      }
+
       document.documentElement.appendChild(toast);
-      setTimeout(() => toast.remove(), CONFIG.UI.TOAST_DURATION);
+      setTimeout(() => toast.remove(), action ? CONFIG.UI.ACTION_TOAST_DURATION : CONFIG.UI.TOAST_DURATION);
     } catch (error) {
       // Toast creation failed
     }
@@ -1032,109 +2134,464 @@
   }
 
   /**
-   * Gets rectangle for current selection
-   * @returns {Object|null} Selection rectangle and range
+   * Gets rectangle for current selection
+   * @returns {Object|null} Selection rectangle and range
+   */
+  function getSelectionRect() {
+    const selection = window.getSelection();
+    if (!selection || selection.rangeCount === 0) return null;
+    
+    const range = selection.getRangeAt(0);
+    const rect = range.getBoundingClientRect();
+    return { rect, range };
+  }
+
+  /**
+   * Shows the main bubble UI
+   * @param {string} contentHTML - HTML content for bubble
+   * @param {boolean} isLoading - Whether this is a loading state
+   * @param {Object} [options] - { keepTarget: true } to re-render in place without
+   *   re-capturing the selection (streaming updates, profile switches)
+   */
+  function showBubble(contentHTML, isLoading = false, options = {}) {
+    const keepTarget = Boolean(options.keepTarget && state.bubbleElement);
+    const previousPosition = keepTarget
+      ? { top: state.bubbleElement.style.top, left: state.bubbleElement.style.left }
+      : null;
+
+    removeBubble();
+
+    // Store selection info
+    const selectionInfo = keepTarget ? null : getSelectionRect();
+    if (selectionInfo?.range) {
+      state.lastSelectionRange = selectionInfo.range.cloneRange();
+    }
+
+    // Store input selection info
+    if (!keepTarget) {
+      const activeElement = document.activeElement;
+      state.lastActiveElement = activeElement || null;
+      if (activeElement && 
+          (activeElement.tagName === "TEXTAREA" || 
+           (activeElement.tagName === "INPUT" && activeElement.type === "text"))) {
+        state.lastInputSelection = {
+          start: activeElement.selectionStart,
+          end: activeElement.selectionEnd,
+          value: activeElement.value
+        };
+      } else {
+        state.lastInputSelection = null;
+      }
+    }
+
+    // Create bubble
+    state.bubbleElement = document.createElement("div");
+    state.bubbleElement.className = "biztone-bubble";
+    state.bubbleElement.innerHTML = `
+      <div class="biztone-header">
+        <span class="biztone-title">BizTone</span>
+        <button class="biztone-close" title="닫기">×</button>
+      </div>
+      <div class="biztone-body">
+        ${contentHTML}
+      </div>
+    `;
+
+    document.documentElement.appendChild(state.bubbleElement);
+
+    // Setup close button (closing mid-stream cancels the request)
+    const closeButton = state.bubbleElement.querySelector(".biztone-close");
+    closeButton.addEventListener("click", () => {
+      if (state.activeStream) {
+        cancelActiveStream();
+      } else {
+        removeBubble();
+      }
+    });
+
+    // Position bubble
+    let top = window.scrollY + 80;
+    let left = window.scrollX + 80;
+    
+    if (selectionInfo?.rect) {
+      top = Math.max(CONFIG.UI.MIN_POSITION, window.scrollY + selectionInfo.rect.bottom + CONFIG.UI.BUBBLE_OFFSET);
+      left = Math.max(CONFIG.UI.MIN_POSITION, window.scrollX + selectionInfo.rect.left);
+    }
+    
+    state.bubbleElement.style.top = previousPosition ? previousPosition.top : `${top}px`;
+    state.bubbleElement.style.left = previousPosition ? previousPosition.left : `${left}px`;
+
+    // Set loading state
+    if (isLoading) {
+      state.bubbleElement.classList.add("biztone-loading");
+    } else {
+      state.bubbleElement.classList.remove("biztone-loading");
+    }
+  }
+
+  /**
+   * Shows loading bubble
+   * @param {string} [streamId] - Active stream; adds a cancel button
+   * @param {Object} [options] - Passed to showBubble()
+   */
+  function showLoadingBubble(streamId = null, options = {}) {
+    const cancelHTML = streamId ? `<button class="biztone-btn" id="biztone-cancel-stream">취소</button>` : "";
+    showBubble(`<div class="biztone-loading-row"><div class="biztone-spinner"></div><span>변환 중…</span>${cancelHTML}</div>`, true, options);
+    bindCancelStreamButton();
+  }
+
+  // ==================== TONE PROFILES ====================
+
+  /**
+   * Fetches tone profiles from background
+   * @returns {Promise<Object>} { profiles, defaultProfileId }
+   */
+  function loadToneProfiles() {
+    return new Promise((resolve) => {
+      safeSendMessage({ type: MESSAGE_TYPES.BIZTONE_GET_TONE_PROFILES }, (response) => {
+        resolve(response?.ok ? response.result : { profiles: [], defaultProfileId: null });
+      });
+    });
+  }
+
+  /**
+   * Markup for the bubble's tone profile picker (filled by bindProfilePicker)
+   * @returns {string} HTML
+   */
+  function getProfilePickerHTML() {
+    return `
+      <div class="biztone-profile-row">
+        <label for="biztone-profile-select">톤 프로필</label>
+        <select id="biztone-profile-select" class="biztone-profile-select" disabled></select>
+      </div>
+    `;
+  }
+
+  /**
+   * Fills the profile picker and re-runs the conversion when it changes
+   * @param {string|null} selectedProfileId - Profile used for the shown result
+   * @param {Function} onChange - Called with the newly picked profile ID
+   */
+  async function bindProfilePicker(selectedProfileId, onChange) {
+    const bubble = state.bubbleElement;
+    const { profiles, defaultProfileId } = await loadToneProfiles();
+    const select = bubble?.querySelector("#biztone-profile-select");
+
+    // Bubble was closed or re-rendered while loading
+    if (!select || state.bubbleElement !== bubble || profiles.length === 0) return;
+
+    const currentId = selectedProfileId || defaultProfileId;
+    select.innerHTML = profiles.map(profile => {
+      const name = profile.name.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+      return `<option value="${profile.id}"${profile.id === currentId ? " selected" : ""}>${name}</option>`;
+    }).join("");
+    select.disabled = false;
+
+    select.addEventListener("change", () => onChange(select.value));
+  }
+
+  /**
+   * Runs a (re)conversion of the context-menu selection with a tone profile
+   * @param {string} originalText - Selected text
+   * @param {string} profileId - Tone profile ID
+   */
+  function startTextConversion(originalText, profileId) {
+    const streamId = createStreamId();
+    beginStream(streamId, partialText => showResultBubble(partialText, { streaming: true, keepTarget: true }));
+    showLoadingBubble(streamId, { keepTarget: true });
+
+    safeSendMessage({
+      type: MESSAGE_TYPES.BIZTONE_CONVERT_TEXT,
+      text: state.richSource?.text || originalText,
+      streamId,
+      profileId
+    }, (response) => {
+      if (!endStream(streamId)) return;
+
+      if (response && response.ok && response.result) {
+        showResultBubble(response.result, { keepTarget: true, originalText, profileId: response.profileId });
+      } else {
+        showErrorBubble(response?.error || "변환에 실패했습니다. 다시 시도해 주세요.");
+      }
+    });
+  }
+
+  /**
+   * Runs a (re)conversion into tone-variant cards with a tone profile
+   * @param {string} originalText - Text from the input
+   * @param {string|null} profileId - Tone profile ID (default profile when null)
+   * @param {Object} [options] - Passed to showBubble() for the loading state
+   */
+  function startVariantConversion(originalText, profileId, options = {}) {
+    // Stream the tone variants into the comparison bubble as they arrive
+    const streamId = createStreamId();
+    beginStream(streamId, partialVariants => showConversionResultBubble(partialVariants, originalText, { streaming: true, keepTarget: true }));
+    showLoadingBubble(streamId, options);
+
+    safeSendMessage({
+      type: MESSAGE_TYPES.BIZTONE_CONVERT_VARIANTS,
+      // Rich editors send the tokenized form so mentions/links survive
+      text: state.richSource?.text || originalText,
+      streamId,
+      profileId
+    }, (response) => {
+      // Cleanup form prevention when conversion is done
+      if (state.formCleanup) {
+        state.formCleanup();
+        state.formCleanup = null;
+      }
+
+      // Cancelled by the user - bubble is already closed
+      if (!endStream(streamId)) return;
+
+      if (response && response.ok && response.result?.variants?.length) {
+        // Show conversion result in popup instead of auto-replacing
+        showConversionResultBubble(response.result.variants, originalText, { keepTarget: true, profileId: response.profileId });
+      } else {
+        removeBubble();
+        showErrorBubble(response?.error || "변환에 실패했습니다. 다시 시도해 주세요.");
+      }
+    });
+  }
+
+  // ==================== TRANSLATION ====================
+
+  /**
+   * Markup for the translate-and-polish row (wired by bindTranslatePicker)
+   * @param {string} [selectedLocale] - Target shown as selected
+   * @returns {string} HTML
+   */
+  function getTranslatePickerHTML(selectedLocale = CONFIG.TRANSLATION_TARGETS[0].locale) {
+    const optionsHTML = CONFIG.TRANSLATION_TARGETS.map(target =>
+      `<option value="${target.locale}"${target.locale === selectedLocale ? " selected" : ""}>${target.label}</option>`
+    ).join("");
+    return `
+      <div class="biztone-profile-row biztone-translate-row">
+        <label for="biztone-translate-select">번역 + 다듬기</label>
+        <select id="biztone-translate-select" class="biztone-profile-select">${optionsHTML}</select>
+        <button class="biztone-btn" id="biztone-translate">번역</button>
+      </div>
+    `;
+  }
+
+  /**
+   * Runs translate-and-polish on the original text when the row's button is pressed
+   * @param {string} originalText - Text to translate
+   * @param {string|null} profileId - Tone profile of the shown result
+   * @param {string} flow - "selection" (context menu) or "guard" (Enter guard) - decides how the result is applied
+   */
+  function bindTranslatePicker(originalText, profileId, flow) {
+    const select = state.bubbleElement?.querySelector("#biztone-translate-select");
+    const button = state.bubbleElement?.querySelector("#biztone-translate");
+    if (!select || !button) return;
+
+    button.addEventListener("click", () => startTranslation(originalText, select.value, profileId, flow));
+  }
+
+  /**
+   * Translates text into a target language with business tone applied
+   * @param {string} originalText - Text to translate
+   * @param {string} targetLocale - Target locale
+   * @param {string|null} profileId - Tone profile ID (default profile when null)
+   * @param {string} flow - "selection" or "guard", see bindTranslatePicker()
+   */
+  function startTranslation(originalText, targetLocale, profileId, flow) {
+    showLoadingBubble(null, { keepTarget: true });
+
+    safeSendMessage({
+      type: MESSAGE_TYPES.BIZTONE_TRANSLATE_TEXT,
+      text: state.richSource?.text || originalText,
+      targetLocale,
+      profileId
+    }, (response) => {
+      if (response && response.ok && response.result?.translation) {
+        showTranslationBubble(response.result, originalText, { keepTarget: true, profileId: response.profileId, flow });
+      } else {
+        showErrorBubble(response?.error || "번역에 실패했습니다. 다시 시도해 주세요.");
+      }
+    });
+  }
+
+  /**
+   * Shows a translation next to its back-translation, so the sender can check
+   * that the polished translation still says what they meant
+   * @param {Object} result - { translation, backTranslation, sourceLocale, targetLocale }
+   * @param {string} originalText - Text that was translated
+   * @param {Object} [options] - { profileId, flow } as in startTranslation(), { keepTarget } passed to showBubble()
+   */
+  function showTranslationBubble(result, originalText, options = {}) {
+    const escapeHTML = (value) => String(value || "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+    const target = CONFIG.TRANSLATION_TARGETS.find(candidate => candidate.locale === result.targetLocale);
+    const displayText = richToDisplayText(result.translation);
+    const backTranslation = richToDisplayText(result.backTranslation || "");
+
+    const html = `
+      <div class="conversion-header">🌐 ${escapeHTML(target?.label || result.targetLocale)} 번역 완료</div>
+      <div class="text-label">번역문</div>
+      <textarea class="biztone-textarea" readonly>${escapeHTML(displayText)}</textarea>
+      <div class="text-label">역번역 · 의미 확인용</div>
+      <div class="text-content biztone-back-translation">${backTranslation ? escapeHTML(backTranslation) : "역번역을 받지 못했습니다"}</div>
+      <div class="biztone-actions">
+        <button class="biztone-btn" id="biztone-copy">복사</button>
+        <button class="biztone-btn biztone-btn-primary" id="biztone-replace">${options.flow === "guard" ? "번역문 사용" : "선택 영역 교체"}</button>
+      </div>
+      ${getTranslatePickerHTML(result.targetLocale)}
+    `;
+
+    showBubble(html, false, options);
+    bindTranslatePicker(originalText, options.profileId || null, options.flow);
+
+    const copyButton = state.bubbleElement.querySelector("#biztone-copy");
+    const replaceButton = state.bubbleElement.querySelector("#biztone-replace");
+
+    copyButton.addEventListener("click", async () => {
+      try {
+        await navigator.clipboard.writeText(displayText);
+        copyButton.textContent = "복사됨 ✔";
+        setTimeout(() => (copyButton.textContent = "복사"), 1200);
+      } catch (error) {
+        showToast("클립보드 복사 실패");
+      }
+    });
+
+    replaceButton.addEventListener("click", () => {
+      if (options.flow === "guard") {
+        removeBubble();
+        applyConvertedText(result.translation);
+      } else {
+        replaceSelectionWithResult(result.translation, displayText, replaceButton);
+      }
+    });
+  }
+
+  // ==================== STREAMING ====================
+
+  /**
+   * Generates an ID for a streamed conversion
+   * @returns {string} Stream ID
+   */
+  function createStreamId() {
+    return Date.now().toString(36) + Math.random().toString(36).substr(2);
+  }
+
+  /**
+   * Starts tracking a streamed conversion
+   * @param {string} streamId - Stream ID shared with background
+   * @param {Function} render - Renders the bubble for the first partial text (or variants)
    */
-  function getSelectionRect() {
-    const selection = window.getSelection();
-    if (!selection || selection.rangeCount === 0) return null;
-    
-    const range = selection.getRangeAt(0);
-    const rect = range.getBoundingClientRect();
-    return { rect, range };
+  function beginStream(streamId, render) {
+    state.activeStream = { id: streamId, render, rendered: false };
   }
 
   /**
-   * Shows the main bubble UI
-   * @param {string} contentHTML - HTML content for bubble
-   * @param {boolean} isLoading - Whether this is a loading state
+   * Ends a stream if it is still the active one
+   * @param {string} streamId - Stream ID
+   * @returns {boolean} False when the stream was cancelled or superseded
    */
-  function showBubble(contentHTML, isLoading = false) {
-    removeBubble();
+  function endStream(streamId) {
+    if (!state.activeStream || state.activeStream.id !== streamId) return false;
+    state.activeStream = null;
+    return true;
+  }
 
-    // Store selection info
-    const selectionInfo = getSelectionRect();
-    if (selectionInfo?.range) {
-      state.lastSelectionRange = selectionInfo.range.cloneRange();
-    }
+  /**
+   * Renders partial text from a BIZTONE_STREAM_CHUNK message
+   * @param {Object} message - { streamId, text } or { streamId, variants }
+   */
+  function handleStreamChunk(message) {
+    const stream = state.activeStream;
+    if (!stream || stream.id !== message.streamId) return;
 
-    // Store input selection info
-    const activeElement = document.activeElement;
-    state.lastActiveElement = activeElement || null;
-    if (activeElement && 
-        (activeElement.tagName === "TEXTAREA" || 
-         (activeElement.tagName === "INPUT" && activeElement.type === "text"))) {
-      state.lastInputSelection = {
-        start: activeElement.selectionStart,
-        end: activeElement.selectionEnd,
-        value: activeElement.value
-      };
-    } else {
-      state.lastInputSelection = null;
+    if (!stream.rendered) {
+      stream.rendered = true;
+      stream.render(message.variants || message.text || "");
+      return;
     }
 
-    // Create bubble
-    state.bubbleElement = document.createElement("div");
-    state.bubbleElement.className = "biztone-bubble";
-    state.bubbleElement.innerHTML = `
-      <div class="biztone-header">
-        <span class="biztone-title">BizTone</span>
-        <button class="biztone-close" title="닫기">×</button>
-      </div>
-      <div class="biztone-body">
-        ${contentHTML}
-      </div>
-    `;
-
-    document.documentElement.appendChild(state.bubbleElement);
-
-    // Setup close button
-    const closeButton = state.bubbleElement.querySelector(".biztone-close");
-    closeButton.addEventListener("click", removeBubble);
-
-    // Position bubble
-    let top = window.scrollY + 80;
-    let left = window.scrollX + 80;
-    
-    if (selectionInfo?.rect) {
-      top = Math.max(CONFIG.UI.MIN_POSITION, window.scrollY + selectionInfo.rect.bottom + CONFIG.UI.BUBBLE_OFFSET);
-      left = Math.max(CONFIG.UI.MIN_POSITION, window.scrollX + selectionInfo.rect.left);
+    // Tone variants: one card per variant, filled by index
+    if (Array.isArray(message.variants)) {
+      message.variants.forEach((variant, index) => {
+        const card = state.bubbleElement?.querySelector(`[data-biztone-stream="${index}"]`);
+        if (card) card.textContent = richToDisplayText(variant.text || "");
+      });
+      return;
     }
-    
-    state.bubbleElement.style.top = `${top}px`;
-    state.bubbleElement.style.left = `${left}px`;
 
-    // Set loading state
-    if (isLoading) {
-      state.bubbleElement.classList.add("biztone-loading");
+    const target = state.bubbleElement?.querySelector("[data-biztone-stream]");
+    if (!target) return;
+    const displayText = richToDisplayText(message.text || "");
+    if (target.tagName === "TEXTAREA") {
+      target.value = displayText;
+      target.scrollTop = target.scrollHeight;
     } else {
-      state.bubbleElement.classList.remove("biztone-loading");
+      target.textContent = displayText;
     }
   }
 
   /**
-   * Shows loading bubble
+   * Cancels the active stream and aborts the request in background
+   */
+  function cancelActiveStream() {
+    const stream = state.activeStream;
+    state.activeStream = null;
+    removeBubble();
+
+    if (stream) {
+      safeSendMessage({ type: MESSAGE_TYPES.BIZTONE_CANCEL_STREAM, streamId: stream.id });
+      showToast("변환을 취소했습니다");
+    }
+  }
+
+  /**
+   * Wires the cancel button of a streaming bubble, if present
    */
-  function showLoadingBubble() {
-    showBubble(`<div class="biztone-loading-row"><div class="biztone-spinner"></div><span>변환 중…</span></div>`, true);
+  function bindCancelStreamButton() {
+    const cancelButton = state.bubbleElement?.querySelector("#biztone-cancel-stream");
+    if (cancelButton) {
+      cancelButton.addEventListener("click", cancelActiveStream);
+    }
   }
 
   /**
    * Shows result bubble with conversion result
    * @param {string} text - Converted text to display
+   * @param {Object} [options] - { streaming: true } while partial text is arriving,
+   *   { originalText, profileId } to offer re-conversion with another tone profile,
+   *   { keepTarget } passed to showBubble()
    */
-  function showResultBubble(text) {
-    const escapedText = text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+  function showResultBubble(text, options = {}) {
+    const displayText = richToDisplayText(text);
+    const escapedText = displayText.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+    if (options.streaming) {
+      showBubble(`
+        <textarea class="biztone-textarea biztone-streaming" readonly data-biztone-stream>${escapedText}</textarea>
+        <div class="biztone-actions">
+          <button class="biztone-btn" id="biztone-cancel-stream">취소</button>
+        </div>
+        <div class="biztone-tip">변환 중… 완료되면 복사/교체할 수 있습니다.</div>
+      `, false, options);
+      bindCancelStreamButton();
+      return;
+    }
+
     const html = `
+      ${options.originalText ? getProfilePickerHTML() : ""}
       <textarea class="biztone-textarea" readonly>${escapedText}</textarea>
       <div class="biztone-actions">
         <button class="biztone-btn" id="biztone-copy">복사</button>
         <button class="biztone-btn" id="biztone-replace">선택 영역 교체</button>
       </div>
+      ${options.originalText ? getTranslatePickerHTML() : ""}
       <div class="biztone-tip">입력창(메일/메신저)에서 선택 후 교체를 누르면 바로 대체됩니다.</div>
     `;
     
-    showBubble(html, false);
+    showBubble(html, false, options);
+
+    if (options.originalText) {
+      bindProfilePicker(options.profileId, profileId => startTextConversion(options.originalText, profileId));
+      bindTranslatePicker(options.originalText, options.profileId, "selection");
+    }
 
     // Setup action buttons
     const copyButton = state.bubbleElement.querySelector("#biztone-copy");
@@ -1142,7 +2599,7 @@
 
     copyButton.addEventListener("click", async () => {
       try {
-        await navigator.clipboard.writeText(text);
+        await navigator.clipboard.writeText(displayText);
         copyButton.textContent = "복사됨 ✔";
         setTimeout(() => (copyButton.textContent = "복사"), 1200);
       } catch (error) {
@@ -1150,56 +2607,70 @@
       }
     });
 
-    replaceButton.addEventListener("click", () => {
-      let replaced = false;
+    replaceButton.addEventListener("click", () => replaceSelectionWithResult(text, displayText, replaceButton));
+  }
 
-      // Try input/textarea replacement
-      if (state.lastActiveElement && state.lastInputSelection && (state.lastActiveElement === document.activeElement)) {
-        const element = state.lastActiveElement;
-        const { start, end, value } = state.lastInputSelection;
-        
-        if (typeof start === "number" && typeof end === "number") {
-          element.value = value.slice(0, start) + text + value.slice(end);
-          element.selectionStart = element.selectionEnd = start + text.length;
-          replaced = true;
-        }
+  /**
+   * Replaces the context-menu selection with a result, copying it when the
+   * selection can no longer be written to
+   * @param {string} text - Result text (may contain rich-text placeholders)
+   * @param {string} displayText - Plain form of the text, for the clipboard
+   * @param {HTMLElement} replaceButton - Button that shows the outcome
+   */
+  function replaceSelectionWithResult(text, displayText, replaceButton) {
+    const revertSnapshot = takeRevertSnapshot(findReplacementTarget());
+
+    // Rich selection (mentions, links, formatting) is rebuilt in place
+    let replaced = Boolean(state.richSource) && replaceWithRichSource(text);
+
+    // Try input/textarea replacement
+    if (!replaced && state.lastActiveElement && state.lastInputSelection && (state.lastActiveElement === document.activeElement)) {
+      const element = state.lastActiveElement;
+      const { start, end, value } = state.lastInputSelection;
+      
+      if (typeof start === "number" && typeof end === "number") {
+        element.value = value.slice(0, start) + text + value.slice(end);
+        element.selectionStart = element.selectionEnd = start + text.length;
+        replaced = true;
       }
+    }
 
-      // Try contentEditable replacement
-      if (!replaced && state.lastSelectionRange) {
-        try {
-          state.lastSelectionRange.deleteContents();
-          const textNode = document.createTextNode(text);
-          state.lastSelectionRange.insertNode(textNode);
-          replaced = true;
-        } catch (error) {
-          // Replacement failed
-        }
+    // Try contentEditable replacement
+    if (!replaced && state.lastSelectionRange) {
+      try {
+        state.lastSelectionRange.deleteContents();
+        const textNode = document.createTextNode(text);
+        state.lastSelectionRange.insertNode(textNode);
+        replaced = true;
+      } catch (error) {
+        // Replacement failed
       }
+    }
 
-      if (replaced) {
-        replaceButton.textContent = "교체됨 ✔";
-        setTimeout(removeBubble, 800);
-      } else {
-        // Fallback to copy with proper focus handling
-        try {
-          if (document.hasFocus && !document.hasFocus()) {
-            window.focus();
-            setTimeout(() => {
-              navigator.clipboard.writeText(text)
-                .then(() => { replaceButton.textContent = "복사됨 ✔"; })
-                .catch(() => { replaceButton.textContent = "복사 실패"; });
-            }, 50);
-          } else {
-            navigator.clipboard.writeText(text).then(() => {
-              replaceButton.textContent = "복사됨 ✔";
-            });
-          }
-        } catch (error) {
-          replaceButton.textContent = "복사 실패";
+    if (replaced) {
+      recordRevertSnapshot(revertSnapshot);
+      replaceButton.textContent = "교체됨 ✔";
+      setTimeout(removeBubble, 800);
+      showRevertToast("교체 완료");
+    } else {
+      // Fallback to copy with proper focus handling
+      try {
+        if (document.hasFocus && !document.hasFocus()) {
+          window.focus();
+          setTimeout(() => {
+            navigator.clipboard.writeText(displayText)
+              .then(() => { replaceButton.textContent = "복사됨 ✔"; })
+              .catch(() => { replaceButton.textContent = "복사 실패"; });
+          }, 50);
+        } else {
+          navigator.clipboard.writeText(displayText).then(() => {
+            replaceButton.textContent = "복사됨 ✔";
+          });
         }
+      } catch (error) {
+        replaceButton.textContent = "복사 실패";
       }
-    });
+    }
   }
 
   /**
@@ -1223,38 +2694,111 @@
   }
 
   /**
-   * Shows conversion result bubble with before/after comparison
-   * @param {string} convertedText - Converted text
+   * Shows conversion result bubble with before/after comparison.
+   * Tone variants are rendered as selectable cards; once the result is complete the
+   * original is shown as an inline diff against the selected card, whose hunks can be
+   * accepted or rejected one by one. The actions apply the resulting text.
+   * @param {string|Array<Object>} converted - Converted text, or variants [{ id, label, text }]
    * @param {string} originalText - Original text
+   * @param {Object} [options] - { streaming: true } while partial text is arriving,
+   *   { profileId } tone profile of the shown result, { keepTarget } passed to showBubble()
    */
-  function showConversionResultBubble(convertedText, originalText) {
-    const escapedOriginal = originalText.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
-    const escapedConverted = convertedText.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+  function showConversionResultBubble(converted, originalText, options = {}) {
+    const escapeHTML = (value) => String(value || "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+    const variants = Array.isArray(converted) ? converted : [{ id: "default", label: "", text: converted }];
+    const streaming = Boolean(options.streaming);
+    let selectedIndex = 0;
+
+    // Diff against the placeholder form so rejected hunks keep mentions/formatting
+    const diffSource = state.richSource?.text || originalText;
+    let segments = streaming ? [] : diffTexts(diffSource, variants[selectedIndex]?.text || "");
+    
+    const cardsHTML = variants.map((variant, index) => `
+      <div class="biztone-variant${index === selectedIndex ? " selected" : ""}" data-variant-index="${index}">
+        ${variant.label ? `<div class="biztone-variant-label">${escapeHTML(variant.label)}</div>` : ""}
+        <div class="text-content converted${streaming ? " biztone-streaming" : ""}" data-biztone-stream="${index}">${escapeHTML(richToDisplayText(variant.text))}</div>
+      </div>
+    `).join("");
+    
+    const actionsHTML = streaming ? `
+      <div class="biztone-actions">
+        <button class="biztone-btn" id="biztone-cancel-stream">취소</button>
+      </div>
+      <div class="biztone-tip">변환 중… 완료되면 적용할 수 있습니다.</div>
+    ` : `
+      <div class="biztone-actions">
+        <button class="biztone-btn" id="biztone-use-original">원문 사용</button>
+        <button class="biztone-btn biztone-btn-primary" id="biztone-use-converted">변환문 사용</button>
+        <button class="biztone-btn" id="biztone-copy-converted">복사</button>
+      </div>
+      ${getTranslatePickerHTML()}
+      <div class="biztone-tip">💡 변환문 사용: 선택한 문장에서 적용한 변경만 입력창에 반영 • 원문 사용: 경고 없이 원문 전송</div>
+    `;
     
     const html = `
-      <div class="conversion-header">✨ 정중화 완료</div>
+      <div class="conversion-header">${streaming ? "✍️ 정중화 중…" : "✨ 정중화 완료"}</div>
+      ${streaming ? "" : getProfilePickerHTML()}
       
       <div class="text-comparison">
         <div class="text-before">
-          <div class="text-label">변환 전</div>
-          <div class="text-content original">${escapedOriginal}</div>
+          ${streaming ? `
+            <div class="text-label">변환 전</div>
+            <div class="text-content original">${escapeHTML(originalText)}</div>
+          ` : `
+            <div class="text-label">변경 내용 · 눌러서 적용/취소</div>
+            <div class="text-content biztone-diff" id="biztone-diff">${renderDiffHTML(segments)}</div>
+            <div class="biztone-diff-summary" id="biztone-diff-summary"></div>
+          `}
         </div>
         <div class="conversion-arrow">→</div>
         <div class="text-after">
-          <div class="text-label">변환 후</div>
-          <div class="text-content converted">${escapedConverted}</div>
+          <div class="text-label">${variants.length > 1 ? "변환 후 · 사용할 문장을 선택하세요" : "변환 후"}</div>
+          <div class="biztone-variants">${cardsHTML}</div>
         </div>
       </div>
-      
-      <div class="biztone-actions">
-        <button class="biztone-btn" id="biztone-use-original">원문 사용</button>
-        <button class="biztone-btn biztone-btn-primary" id="biztone-use-converted">변환문 사용</button>
-        <button class="biztone-btn" id="biztone-copy-converted">복사</button>
-      </div>
-      <div class="biztone-tip">💡 변환문 사용: 입력창에 바로 적용 • 원문 사용: 경고 없이 원문 전송</div>
+      ${actionsHTML}
     `;
     
-    showBubble(html, false);
+    showBubble(html, false, options);
+
+    if (streaming) {
+      bindCancelStreamButton();
+      return;
+    }
+
+    bindProfilePicker(options.profileId, profileId => startVariantConversion(originalText, profileId, { keepTarget: true }));
+    bindTranslatePicker(originalText, options.profileId, "guard");
+
+    // Inline diff: clicking a hunk toggles between the original and converted wording
+    const diffElement = state.bubbleElement.querySelector("#biztone-diff");
+    const diffSummary = state.bubbleElement.querySelector("#biztone-diff-summary");
+    const renderDiff = () => {
+      diffElement.innerHTML = renderDiffHTML(segments);
+      const hunks = segments.filter(segment => segment.type === "change");
+      diffSummary.textContent = hunks.length
+        ? `변경 ${hunks.length}곳 중 ${hunks.filter(hunk => hunk.accepted).length}곳 적용`
+        : "바뀐 부분이 없습니다";
+    };
+    diffElement.addEventListener("click", (event) => {
+      const hunkElement = event.target.closest(".biztone-hunk");
+      const segment = hunkElement && segments[Number(hunkElement.dataset.hunkIndex)];
+      if (!segment) return;
+      segment.accepted = !segment.accepted;
+      renderDiff();
+    });
+    renderDiff();
+
+    // Card selection
+    const cards = state.bubbleElement.querySelectorAll(".biztone-variant");
+    cards.forEach(card => {
+      card.addEventListener("click", () => {
+        selectedIndex = Number(card.dataset.variantIndex) || 0;
+        cards.forEach(other => other.classList.toggle("selected", other === card));
+        segments = diffTexts(diffSource, variants[selectedIndex]?.text || "");
+        renderDiff();
+      });
+    });
+    const getSelectedText = () => composeDiffText(segments);
 
     // Setup action buttons
     const useOriginalButton = state.bubbleElement.querySelector("#biztone-use-original");
@@ -1270,25 +2814,12 @@
 
     useConvertedButton.addEventListener("click", () => {
       removeBubble();
-      
-      // Replace text with converted version
-      const textContext = getCurrentTextContext();
-      const selectedReplaced = (textContext.mode === "selection" && 
-                               typeof replaceSelectedText === "function") ? 
-                               replaceSelectedText(convertedText) : false;
-      const replaced = selectedReplaced || replaceFullText(convertedText);
-      
-      if (replaced) {
-        // Don't cache converted text to allow future detection of same profanity
-        showToast("변환 완료 — Enter를 다시 누르면 전송됩니다");
-      } else {
-        showToast("텍스트 교체 실패 - 수동으로 복사해주세요");
-      }
+      applyConvertedText(getSelectedText());
     });
 
     copyButton.addEventListener("click", async () => {
       try {
-        await navigator.clipboard.writeText(convertedText);
+        await navigator.clipboard.writeText(richToDisplayText(getSelectedText()));
         copyButton.textContent = "복사됨 ✔";
         setTimeout(() => (copyButton.textContent = "복사"), 1200);
       } catch (error) {
@@ -1297,15 +2828,37 @@
     });
   }
 
+  /**
+   * Writes converted text into the guarded input (selection first, else the whole field)
+   * @param {string} convertedText - Text to apply (may contain rich-text placeholders)
+   */
+  function applyConvertedText(convertedText) {
+    const textContext = getCurrentTextContext();
+    const selectedReplaced = (textContext.mode === "selection" && 
+                             typeof replaceSelectedText === "function") ? 
+                             replaceSelectedText(convertedText) : false;
+    const replaced = selectedReplaced || replaceFullText(convertedText);
+    
+    if (replaced) {
+      // Don't cache converted text to allow future detection of same profanity
+      showRevertToast("변환 완료 — Enter를 다시 누르면 전송됩니다");
+    } else {
+      showToast("텍스트 교체 실패 - 수동으로 복사해주세요");
+    }
+  }
+
   /**
    * Shows warning bubble for warn mode
    * @param {string} text - Original text that triggered warning
    * @param {string} riskReason - Reason for the warning
    * @param {Object} riskInfo - Additional risk information
+   * @param {Array<Object>} [spans] - Offending spans in `text` ({ start, end, category, label, suggestion })
    */
-  function showWarningBubble(text, riskReason = "감정적인 표현이 감지되었습니다", riskInfo = {}) {
+  function showWarningBubble(text, riskReason = "감정적인 표현이 감지되었습니다", riskInfo = {}, spans = []) {
     const escapedText = text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
-    const shortText = escapedText.length > 100 ? escapedText.slice(0, 100) + "..." : escapedText;
+    const shortText = spans.length
+      ? renderRiskSpansHTML(text, spans)
+      : (escapedText.length > 100 ? escapedText.slice(0, 100) + "..." : escapedText);
     
     // Generate risk tags based on detected patterns
     let riskTags = '';
@@ -1316,7 +2869,8 @@
     
     const html = `
       <div class="biztone-warning">⚠️ ${riskReason}</div>
-      <div class="biztone-original-text">"${shortText}"</div>
+      <div class="biztone-original-text${spans.length ? " biztone-annotated" : ""}">"${shortText}"</div>
+      ${spans.length ? '<div class="biztone-span-suggestion" hidden></div>' : ''}
       ${riskTags ? `<div class="risk-tags">${riskTags}</div>` : ''}
       <div class="biztone-actions">
         <button class="biztone-btn biztone-btn-primary" id="biztone-send-anyway">그래도 보내기</button>
@@ -1328,6 +2882,11 @@
     
     showBubble(html, false);
 
+    // Underlined spans: click for a replacement suggestion
+    if (spans.length) {
+      bindRiskSpanSuggestions(state.bubbleElement, text, spans, state.lastActiveElement, removeBubble);
+    }
+
     // Setup action buttons
     const sendButton = state.bubbleElement.querySelector("#biztone-send-anyway");
     const editButton = state.bubbleElement.querySelector("#biztone-edit-text");
@@ -1363,31 +2922,248 @@
 
     convertButton.addEventListener("click", async () => {
       removeBubble();
-      showLoadingBubble();
-      
-      // Request conversion
-      safeSendMessage({
-        type: MESSAGE_TYPES.BIZTONE_CONVERT_TEXT,
-        text: text
-      }, (response) => {
-        // Cleanup form prevention when conversion is done
-        if (state.formCleanup) {
-          state.formCleanup();
-          state.formCleanup = null;
-        }
-        
-        if (response && response.ok && response.result) {
-          removeBubble();
-          // Show conversion result in popup instead of auto-replacing
-          showConversionResultBubble(response.result, text);
+      captureRichSource(state.lastActiveElement, "full");
+      startVariantConversion(text, null);
+    });
+  }
+
+  /**
+   * Shows the risk breakdown of a selection ("위험도 분석만" in the context menu)
+   * @param {string} text - Analyzed text
+   * @param {Object} result - calculateAdvancedRiskScoreWithWhitelist() result from background
+   */
+  function showRiskAnalysisBubble(text, result = {}) {
+    const escapeHTML = (value) => String(value || "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+    const spans = Array.isArray(result.spans) ? result.spans : [];
+    const score = Number(result.score) || 0;
+    const levelLabel = { HIGH: "높음", MEDIUM: "보통", LOW: "낮음" }[result.riskLevel] || "낮음";
+
+    // One tag per detected kind of expression, plus the contextual part of the score
+    const labels = [...new Map(spans.map(span => [span.label, span.category])).entries()];
+    let riskTags = labels.map(([label, category]) =>
+      `<span class="risk-tag ${category === "aggressive" ? "risk-aggressive" : "risk-profanity"}">${escapeHTML(label)}</span>`
+    ).join("");
+    if (result.contextual?.score > 0) {
+      riskTags += `<span class="risk-tag risk-punctuation">맥락 +${result.contextual.score.toFixed(1)}</span>`;
+    }
+
+    const summary = result.whitelisted
+      ? "✅ 화이트리스트에 등록된 문구입니다"
+      : `${score >= 2 ? "⚠️" : "✅"} 위험도 ${score.toFixed(1)} / 10 · ${levelLabel}`;
+
+    const html = `
+      <div class="biztone-warning">${summary}</div>
+      <div class="biztone-original-text${spans.length ? " biztone-annotated" : ""}">"${spans.length ? renderRiskSpansHTML(text, spans) : escapeHTML(text)}"</div>
+      ${riskTags ? `<div class="risk-tags">${riskTags}</div>` : ""}
+      <div class="biztone-actions">
+        <button class="biztone-btn" id="biztone-risk-close">닫기</button>
+        <button class="biztone-btn biztone-btn-primary" id="biztone-risk-convert">정중화</button>
+      </div>
+      <div class="biztone-tip">💡 밑줄에 마우스를 올리면 분류가 표시됩니다 • 분석만 하며 전송 내용은 바뀌지 않습니다</div>
+    `;
+
+    showBubble(html, false);
+
+    state.bubbleElement.querySelector("#biztone-risk-close").addEventListener("click", removeBubble);
+    state.bubbleElement.querySelector("#biztone-risk-convert").addEventListener("click", () => {
+      captureRichSource(null, "selection");
+      startTextConversion(text, null);
+    });
+  }
+
+  // ==================== RISK SPANS ====================
+
+  /**
+   * Renders text with the offending spans underlined (category tooltip on each)
+   * @param {string} text - Analyzed text
+   * @param {Array<Object>} spans - Sorted, non-overlapping { start, end, category, label }
+   * @returns {string} HTML
+   */
+  function renderRiskSpansHTML(text, spans) {
+    const escapeHTML = (value) => value.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+    let html = "";
+    let cursor = 0;
+
+    spans.forEach((span, index) => {
+      if (span.start < cursor || span.end > text.length) return;
+      html += escapeHTML(text.slice(cursor, span.start));
+      html += `<mark class="biztone-span biztone-span-${escapeHTML(span.category)}" data-span-index="${index}" title="${escapeHTML(span.label || span.category)} · 클릭해 바꾸기">` +
+        `${escapeHTML(text.slice(span.start, span.end))}</mark>`;
+      cursor = span.end;
+    });
+
+    return html + escapeHTML(text.slice(cursor));
+  }
+
+  /**
+   * Shows a replacement suggestion when an underlined span is clicked
+   * @param {Element} container - Element holding the spans and a .biztone-span-suggestion slot
+   * @param {string} text - Analyzed text the offsets refer to
+   * @param {Array<Object>} spans - Spans rendered by renderRiskSpansHTML()
+   * @param {Element} element - Input the text came from
+   * @param {Function} onApplied - Called after the replacement was applied
+   */
+  function bindRiskSpanSuggestions(container, text, spans, element, onApplied) {
+    const slot = container.querySelector(".biztone-span-suggestion");
+    const escapeHTML = (value) => String(value).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+    // Keep focus (and the caret) in the input while using the panel
+    container.addEventListener("mousedown", (event) => {
+      if (event.target.closest(".biztone-span, .biztone-span-apply, .biztone-span-allow")) event.preventDefault();
+    });
+
+    container.addEventListener("click", (event) => {
+      const allowButton = event.target.closest(".biztone-span-allow");
+      if (allowButton) {
+        const span = spans[Number(allowButton.dataset.spanIndex)];
+        const scope = slot.querySelector(".biztone-span-scope")?.value || "contains";
+        if (span) whitelistRiskSpan(text.slice(span.start, span.end), scope, element, onApplied);
+        return;
+      }
+
+      const applyButton = event.target.closest(".biztone-span-apply");
+      if (applyButton) {
+        const span = spans[Number(applyButton.dataset.spanIndex)];
+        if (span && applyRiskSpanReplacement(element, text, span, span.suggestion || "")) {
+          onApplied();
+          showRevertToast(span.suggestion ? "표현을 바꿨습니다" : "표현을 삭제했습니다");
         } else {
-          removeBubble();
-          showErrorBubble("변환에 실패했습니다. 다시 시도해 주세요.");
+          showToast("입력창에서 해당 표현을 찾지 못했습니다");
         }
-      });
+        return;
+      }
+
+      const mark = event.target.closest(".biztone-span");
+      const span = mark && spans[Number(mark.dataset.spanIndex)];
+      if (!span) return;
+
+      const spanText = text.slice(span.start, span.end);
+      slot.innerHTML = `
+        <span class="biztone-span-label">${escapeHTML(span.label || span.category)}</span>
+        "${escapeHTML(spanText)}" → ${span.suggestion ? `"${escapeHTML(span.suggestion)}"` : "삭제"}
+        <button class="biztone-btn biztone-span-apply" data-span-index="${mark.dataset.spanIndex}">${span.suggestion ? "바꾸기" : "삭제"}</button>
+        <span class="biztone-span-allow-row">
+          <select class="biztone-span-scope" title="허용 범위">
+            <option value="exact">이 단어로 쓰일 때만</option>
+            <option value="contains" selected>다른 단어 속에 있어도 (이 부분만)</option>
+            <option value="domain">이 사이트에서만</option>
+          </select>
+          <button class="biztone-btn biztone-span-allow" data-span-index="${mark.dataset.spanIndex}">이 단어는 괜찮아요</button>
+        </span>
+      `;
+      slot.hidden = false;
+    });
+  }
+
+  /**
+   * Whitelists a flagged span (false positive, e.g. a coworker's name) and re-checks the input
+   * @param {string} spanText - Flagged text
+   * @param {string} scope - "exact", "contains" or "domain" (this site only)
+   * @param {Element} element - Input the span came from
+   * @param {Function} onDone - Closes the bubble/badge on success
+   */
+  function whitelistRiskSpan(spanText, scope, element, onDone) {
+    safeSendMessage({ type: MESSAGE_TYPES.BIZTONE_WHITELIST_SPAN, text: spanText, scope }, (response) => {
+      if (!response?.ok) {
+        showToast(response?.error || "화이트리스트 추가에 실패했습니다");
+        return;
+      }
+
+      // Cached assessments still carry the old verdict
+      if (element) clearElementCache(element);
+      loadWhitelistPatterns();
+      onDone();
+      showToast(`"${spanText}"을(를) 허용했습니다${scope === "domain" ? " (이 사이트)" : ""}`);
     });
   }
 
+  /**
+   * Replaces one flagged span in the input, recording a revert point.
+   * Offsets refer to the whitespace-normalized text that was analyzed, so the
+   * span is found in the field as the same occurrence of its text.
+   * @param {Element} element - Input/textarea or contentEditable element
+   * @param {string} text - Analyzed text
+   * @param {Object} span - { start, end }
+   * @param {string} replacement - Replacement ("" deletes the span)
+   * @returns {boolean} True if replaced
+   */
+  function applyRiskSpanReplacement(element, text, span, replacement) {
+    if (!element?.isConnected) return false;
+
+    const spanText = text.slice(span.start, span.end);
+    const occurrence = text.slice(0, span.start).split(spanText).length - 1;
+
+    if (isValueField(element)) {
+      let index = -1;
+      for (let i = 0; i <= occurrence; i++) {
+        index = element.value.indexOf(spanText, index + 1);
+        if (index === -1) return false;
+      }
+
+      const snapshot = takeRevertSnapshot(element);
+      element.value = element.value.slice(0, index) + replacement + element.value.slice(index + spanText.length);
+      element.selectionStart = element.selectionEnd = index + replacement.length;
+      dispatchInputEvents(element);
+      recordRevertSnapshot(snapshot);
+      return true;
+    }
+
+    const host = findEditableHost(element) || element;
+    const range = findTextOccurrenceRange(host, spanText, occurrence);
+    if (!range) return false;
+
+    const snapshot = takeRevertSnapshot(host);
+    try {
+      if (host.focus) host.focus();
+      const selection = window.getSelection();
+      selection.removeAllRanges();
+      selection.addRange(range);
+
+      // Editor frameworks follow execCommand; fall back to editing the range directly
+      const edited = document.execCommand &&
+        document.execCommand(replacement ? "insertText" : "delete", false, replacement);
+      if (!edited) {
+        range.deleteContents();
+        if (replacement) range.insertNode(document.createTextNode(replacement));
+      }
+
+      dispatchInputEvents(host);
+      recordRevertSnapshot(snapshot);
+      return true;
+    } catch (error) {
+      console.debug("[BizTone] span replacement failed", error);
+      return false;
+    }
+  }
+
+  /**
+   * Finds the n-th occurrence of a string inside a single text node
+   * @param {Element} root - Element to search
+   * @param {string} needle - Text to find
+   * @param {number} occurrence - Zero-based occurrence
+   * @returns {Range|null} Range covering the occurrence
+   */
+  function findTextOccurrenceRange(root, needle, occurrence) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    let remaining = occurrence;
+
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      let index = node.data.indexOf(needle);
+      while (index !== -1) {
+        if (remaining === 0) {
+          const range = document.createRange();
+          range.setStart(node, index);
+          range.setEnd(node, index + needle.length);
+          return range;
+        }
+        remaining--;
+        index = node.data.indexOf(needle, index + 1);
+      }
+    }
+
+    return null;
+  }
+
   // ==================== REAL-TIME DETECTION SYSTEM ====================
 
   /**
@@ -1395,8 +3171,9 @@
    * @param {HTMLElement} element - The input element to attach badge to
    * @param {number} riskScore - Risk score (1-5)
    * @param {Object} riskFactors - Risk factors detected
+   * @param {Object} [annotation] - { text, spans } to underline in the badge's detail panel
    */
-  function showRealtimeBadge(element, riskScore, riskFactors) {
+  function showRealtimeBadge(element, riskScore, riskFactors, annotation = null) {
     // Cancel any pending removal timer
     const existingTimer = state.badgeTimers.get(element);
     if (existingTimer) {
@@ -1433,6 +3210,19 @@
       <span class="biztone-badge-icon">${icon}</span>
       <span class="biztone-badge-text">${text}</span>
     `;
+
+    // Detail panel (shown on hover) with the offending spans underlined
+    if (annotation?.spans?.length) {
+      badge.classList.add("has-spans");
+      const detail = document.createElement("div");
+      detail.className = "biztone-badge-detail";
+      detail.innerHTML = `
+        <div class="biztone-badge-detail-text">${renderRiskSpansHTML(annotation.text, annotation.spans)}</div>
+        <div class="biztone-span-suggestion" hidden></div>
+      `;
+      badge.appendChild(detail);
+      bindRiskSpanSuggestions(detail, annotation.text, annotation.spans, element, () => removeRealtimeBadge(element, true));
+    }
     
     // Smart positioning system with priority-based placement
     const rect = element.getBoundingClientRect();
@@ -1619,7 +3409,7 @@
       
       // Show badge based on final assessment
       if (finalRisk.score > 0 && !finalRisk.whitelisted) {
-        showRealtimeBadge(element, finalRisk.score, finalRisk.riskLevel || 'MEDIUM');
+        showRealtimeBadge(element, finalRisk.score, finalRisk.riskLevel || 'MEDIUM', { text: normalizedText, spans: finalRisk.spans || [] });
       } else {
         // Use delayed removal to prevent flickering during fast typing
         removeRealtimeBadge(element, false);
@@ -1804,18 +3594,15 @@
    * Processes guard result with optimized performance
    * @param {Object} finalRisk - Risk assessment result
    * @param {Promise} guardModePromise - Promise resolving to guard mode
-   * @param {number} startTime - Performance timestamp
-   * @param {Object} quickAssessment - Basic assessment for comparison
+   * @param {Object} thresholds - Domain risk thresholds { passMax, convertMin }
    */
-  async function processGuardResult(finalRisk, guardModePromise) {
+  async function processGuardResult(finalRisk, guardModePromise, thresholds) {
     // Get guard mode
     const guardMode = await guardModePromise;
     
     
     // Re-evaluate with final assessment
-    const finalKind = finalRisk.whitelisted ? "pass" :
-      finalRisk.score <= CONFIG.PREFILTER.PASS_MAX ? "pass" :
-      finalRisk.score >= CONFIG.PREFILTER.CONVERT_MIN ? "convert" : "prompt";
+    const finalKind = classifyRisk(finalRisk, thresholds);
 
 
     // Get current text context for operations
@@ -1841,13 +3628,14 @@
       if (guardMode === "warn") {
         // Warning mode: Show warning bubble instead of auto-converting
         const riskMessage = finalRisk.score >= 4 ? "강한 표현이 감지되었습니다" : "위험한 표현이 감지되었습니다";
-        showWarningBubble(normalizedText, riskMessage, finalRisk.riskFactors || {});
+        showWarningBubble(normalizedText, riskMessage, finalRisk.riskFactors || {}, finalRisk.spans || []);
         return;
       } else {
         // Convert mode: Auto-convert (existing behavior)
+        const richSource = captureRichSource(textContext.element, textContext.mode);
         safeSendMessage({
           type: MESSAGE_TYPES.BIZTONE_CONVERT_TEXT,
-          text: normalizedText
+          text: richSource?.text || normalizedText
         }, (convertResponse) => {
           if (state.formCleanup) {
             state.formCleanup();
@@ -1872,7 +3660,7 @@
           if (CONFIG.GUARD.AUTO_SEND_CONVERTED && replaced) {
             dispatchEnterKey();
           } else if (replaced) {
-            showToast("변환 완료 — Enter를 다시 누르면 전송됩니다.");
+            showRevertToast("변환 완료 — Enter를 다시 누르면 전송됩니다.");
           }
         });
       }
@@ -1882,7 +3670,7 @@
     // 3) Medium risk: handle based on guard mode
     if (guardMode === "warn") {
       // Warning mode: Show warning for medium risk too
-      showWarningBubble(normalizedText, "주의가 필요한 표현이 감지되었습니다", finalRisk.riskFactors || {});
+      showWarningBubble(normalizedText, "주의가 필요한 표현이 감지되었습니다", finalRisk.riskFactors || {}, finalRisk.spans || []);
     } else {
       // Convert mode: Use AI decision (existing behavior)
       safeSendMessage({
@@ -1921,7 +3709,7 @@
         if (CONFIG.GUARD.AUTO_SEND_CONVERTED && replaced) {
           dispatchEnterKey();
         } else if (replaced) {
-          showToast("변환 완료 — Enter를 다시 누르면 전송됩니다.");
+          showRevertToast("변환 완료 — Enter를 다시 누르면 전송됩니다.");
         }
       });
     }
@@ -2015,9 +3803,8 @@
       // Use the quickRisk already calculated above
       const quickAssessment = quickRisk;
 
-      const quickKind = quickAssessment.whitelisted ? "pass" :
-        quickAssessment.score <= CONFIG.PREFILTER.PASS_MAX ? "pass" :
-        quickAssessment.score >= CONFIG.PREFILTER.CONVERT_MIN ? "convert" : "prompt";
+      const thresholds = await getGuardThresholds();
+      const quickKind = classifyRisk(quickAssessment, thresholds);
 
       // If safe, allow immediate send without blocking
       if (quickKind === "pass") {
@@ -2045,7 +3832,7 @@
       
       setTimeout(() => {
         if (!responseReceived) {
-          processGuardResult(quickAssessment, guardModePromise);
+          processGuardResult(quickAssessment, guardModePromise, thresholds);
         }
       }, timeoutMs);
       
@@ -2064,7 +3851,7 @@
           finalRisk = quickAssessment;
         }
         
-        processGuardResult(finalRisk, guardModePromise);
+        processGuardResult(finalRisk, guardModePromise, thresholds);
       });
 
     } catch (error) {
@@ -2097,6 +3884,17 @@
     }
   }, true);
 
+  // Whitelist edited in the options page, another tab or device, or pruned:
+  // reload the local prefilter's patterns and drop verdicts made with the old list
+  if (isExtensionContextValid()) {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== "sync" || !changes[WHITELIST_INDEX_KEY]) return;
+      state.guardCache.clear();
+      state.elementSpecificCache = new WeakMap();
+      loadWhitelistPatterns();
+    });
+  }
+
   // Message handler with extension context validation
   if (isExtensionContextValid()) {
     // Message listener installed
@@ -2112,12 +3910,56 @@
           sendResponse({ ok: true });
           break;
 
+        case MESSAGE_TYPES.BIZTONE_GET_THREAD_CONTEXT:
+          sendResponse({ context: getThreadContext(Number(message.budget) || 0) });
+          break;
+
+        case MESSAGE_TYPES.BIZTONE_CAPTURE_RICH_SELECTION:
+          sendResponse({ text: captureRichSource(null, "selection")?.text || null });
+          break;
+
+        case MESSAGE_TYPES.BIZTONE_REVERT_REPLACEMENT:
+          // Sent to every frame: only the frame that owns the focused field acts
+          if (document.hasFocus() && !/^I?FRAME$/.test(document.activeElement?.tagName || "")) {
+            showToast(revertLastReplacement() ? "원문으로 되돌렸습니다" : "되돌릴 변환 내역이 없습니다");
+          }
+          break;
+
         case MESSAGE_TYPES.BIZTONE_LOADING:
-          showLoadingBubble();
+          if (message.streamId) {
+            beginStream(message.streamId, partialText => showResultBubble(partialText, { streaming: true, keepTarget: true }));
+          }
+          showLoadingBubble(message.streamId);
+          break;
+
+        case MESSAGE_TYPES.BIZTONE_STREAM_CHUNK:
+          handleStreamChunk(message);
           break;
 
         case MESSAGE_TYPES.BIZTONE_RESULT:
-          showResultBubble(message.result || "");
+          // Ignore results of streams the user already cancelled
+          if (message.streamId && !endStream(message.streamId)) break;
+          showResultBubble(message.result || "", {
+            keepTarget: Boolean(message.streamId),
+            originalText: message.originalText,
+            profileId: message.profileId
+          });
+          break;
+
+        case MESSAGE_TYPES.BIZTONE_RISK_RESULT:
+          showRiskAnalysisBubble(message.text || "", message.result || {});
+          break;
+
+        case MESSAGE_TYPES.BIZTONE_SHOW_TOAST:
+          showToast(message.message || "");
+          break;
+
+        case MESSAGE_TYPES.BIZTONE_TRANSLATION_RESULT:
+          showTranslationBubble(message.result || {}, message.originalText || "", {
+            keepTarget: true,
+            profileId: message.profileId,
+            flow: "selection"
+          });
           break;
 
         case MESSAGE_TYPES.BIZTONE_REPLACE_WITH:
@@ -2169,7 +4011,7 @@
           if (replaced) {
             // Show brief success toast instead of bubble
             // Text successfully replaced
-            showToast("변환 완료");
+            showRevertToast("변환 완료");
           } else {
             // Text replacement failed, falling back to clipboard
             // Fallback to clipboard with proper focus handling
@@ -2197,6 +4039,7 @@
           break;
 
         case MESSAGE_TYPES.BIZTONE_ERROR:
+          if (message.streamId && !endStream(message.streamId)) break;
           showErrorBubble(message.error || "오류가 발생했습니다.");
           break;
       }
@@ -2212,8 +4055,9 @@
     // Frame info available if needed
     // Initializing hybrid guard system
     
-    // Load profanity data first
+    // Load profanity data and this site's whitelist first
     await loadProfanityData();
+    await loadWhitelistPatterns();
     
     // Setup initial real-time monitoring
     autoSetupRealtimeMonitoring();
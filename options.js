@@ -1,17 +1,203 @@
-function load() {
-  chrome.storage.sync.get(["OPENAI_API_KEY", "OPENAI_MODEL", "GUARD_MODE"], (res) => {
-    if (res.OPENAI_API_KEY) {
-      document.getElementById("apiKey").value = res.OPENAI_API_KEY;
-      // API 키가 있으면 배너 숨기기
-      hideApiKeyBanner();
+// Provider metadata loaded from background (fallback keeps the page usable offline)
+let providers = [
+  { id: "openai", label: "OpenAI", defaultModel: "gpt-4o-mini", models: ["gpt-4o-mini", "gpt-4o", "gpt-3.5-turbo"], requiresKey: true, requiresEndpoint: false }
+];
+
+/**
+ * Load provider list from background and fill the selector
+ */
+async function loadProviders() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'BIZTONE_GET_PROVIDERS' });
+    if (response?.ok && Array.isArray(response.result?.providers)) {
+      providers = response.result.providers;
+    }
+  } catch (error) {
+    console.error('Error loading providers:', error);
+  }
+
+  const select = document.getElementById("provider");
+  select.innerHTML = providers
+    .map(provider => `<option value="${provider.id}">${escapeHtml(provider.label)}</option>`)
+    .join('');
+}
+
+/**
+ * Get provider metadata by ID
+ */
+function getProvider(id) {
+  return providers.find(provider => provider.id === id) || providers[0];
+}
+
+/**
+ * Show/hide provider-specific fields and refresh model suggestions
+ */
+function updateProviderFields() {
+  const provider = getProvider(document.getElementById("provider").value);
+
+  document.getElementById("endpointRow").style.display = (provider.requiresEndpoint || provider.defaultEndpoint) ? "block" : "none";
+  document.getElementById("endpoint").placeholder = provider.defaultEndpoint || "예: https://my-resource.openai.azure.com";
+  document.getElementById("localNotice").style.display = provider.local ? "block" : "none";
+  document.getElementById("discoverModels").style.display = provider.local ? "inline-block" : "none";
+  document.getElementById("apiVersionRow").style.display = provider.id === "azure" ? "block" : "none";
+  document.getElementById("model").placeholder = provider.id === "azure" ? "배포(deployment) 이름" : (provider.defaultModel || "");
+  document.getElementById("apiKey").placeholder = provider.requiresKey ? "API Key" : "API Key (선택)";
+  document.getElementById("apiKeyRow").style.display = provider.id === "gateway" ? "none" : "block";
+  document.getElementById("gatewayRow").style.display = provider.id === "gateway" ? "block" : "none";
+  document.getElementById("endpointLabel").textContent = provider.id === "gateway" ? "게이트웨이 URL" : "엔드포인트 URL";
+  document.getElementById("modelOptions").innerHTML = (provider.models || [])
+    .map(model => `<option value="${escapeHtml(model)}"></option>`)
+    .join('');
+
+  updateApiKeyBanner();
+  if (provider.id === "gateway") refreshGatewayStatus();
+}
+
+/**
+ * Show the gateway token status (tokens themselves never reach this page)
+ */
+async function refreshGatewayStatus() {
+  const el = document.getElementById("gatewayStatus");
+  const config = readApiConfigForm();
+
+  if (!config.endpoint) {
+    el.textContent = "게이트웨이 URL을 입력해 주세요.";
+    return;
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'BIZTONE_GATEWAY_STATUS', config });
+    const status = response?.result;
+    if (!response?.ok) {
+      el.textContent = response?.error || "상태를 확인할 수 없습니다.";
+    } else if (!status.signedIn) {
+      el.textContent = "로그아웃 상태";
+    } else if (status.expiresAt) {
+      el.textContent = `로그인됨 · 토큰 만료 ${new Date(status.expiresAt).toLocaleTimeString()} (자동 갱신)`;
     } else {
-      // API 키가 없으면 배너 표시
-      showApiKeyBanner();
+      el.textContent = "로그인됨 · 다음 요청 시 토큰을 갱신합니다";
     }
-    
+  } catch (error) {
+    el.textContent = "상태를 확인할 수 없습니다.";
+  }
+}
+
+/**
+ * Log in to / out of the corporate gateway
+ * @param {boolean} login - true to log in, false to log out
+ */
+async function gatewayAuth(login) {
+  const config = readApiConfigForm();
+
+  if (!config.endpoint) {
+    setStatus("게이트웨이 URL을 입력해 주세요.", false);
+    return;
+  }
+  if (!(await ensureEndpointPermission(config.endpoint))) {
+    setStatus("엔드포인트 접근 권한이 허용되지 않았습니다.", false);
+    return;
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: login ? 'BIZTONE_GATEWAY_LOGIN' : 'BIZTONE_GATEWAY_LOGOUT',
+      config
+    });
+    if (response?.ok) {
+      setStatus(login ? "게이트웨이에 로그인했습니다." : "게이트웨이에서 로그아웃했습니다.", true);
+    } else {
+      setStatus(`게이트웨이 ${login ? "로그인" : "로그아웃"} 실패: ${response?.error || "응답 없음"}`, false);
+    }
+  } catch (error) {
+    setStatus("네트워크 오류: " + (error?.message || error), false);
+  }
+
+  refreshGatewayStatus();
+}
+
+/**
+ * Check whether the current form has usable credentials for the selected provider
+ */
+function hasValidCredentials() {
+  const provider = getProvider(document.getElementById("provider").value);
+  const apiKey = document.getElementById("apiKey").value.trim();
+
+  if (!provider.requiresKey) return true;
+  if (provider.id === "openai") return apiKey.startsWith("sk-") && apiKey.length > 20;
+  return apiKey.length > 0;
+}
+
+/**
+ * Show or hide the API key banner based on the form state
+ */
+function updateApiKeyBanner() {
+  if (hasValidCredentials()) {
+    hideApiKeyBanner();
+  } else {
+    showApiKeyBanner();
+  }
+}
+
+/**
+ * Read provider config from the form
+ */
+function readApiConfigForm() {
+  let apiKey = document.getElementById("apiKey").value.trim();
+  apiKey = apiKey.replace(/^(["']+)|(["']+)$/g, "").trim();
+
+  return {
+    provider: document.getElementById("provider").value,
+    key: apiKey,
+    model: document.getElementById("model").value.trim(),
+    endpoint: document.getElementById("endpoint").value.trim(),
+    apiVersion: document.getElementById("apiVersion").value.trim()
+  };
+}
+
+/**
+ * Request host permission for custom endpoints (Azure / compatible)
+ * @returns {Promise<boolean>} Whether the origin is accessible
+ */
+async function ensureEndpointPermission(endpoint) {
+  if (!endpoint) return true;
+
+  let origin;
+  try {
+    // Host patterns match every port, so drop it from the pattern
+    const url = new URL(endpoint);
+    origin = `${url.protocol}//${url.hostname}/*`;
+  } catch (error) {
+    setStatus("엔드포인트 URL 형식이 올바르지 않습니다.", false);
+    return false;
+  }
+
+  try {
+    if (await chrome.permissions.contains({ origins: [origin] })) {
+      return true;
+    }
+    return await chrome.permissions.request({ origins: [origin] });
+  } catch (error) {
+    console.error('Error requesting host permission:', error);
+    return false;
+  }
+}
+
+async function load() {
+  await loadProviders();
+
+  chrome.storage.sync.get(["LLM_PROVIDER", "LLM_ENDPOINT", "LLM_API_VERSION", "OPENAI_API_KEY", "OPENAI_MODEL", "GUARD_MODE", "THREAD_CONTEXT_ENABLED", "THREAD_CONTEXT_BUDGET"], (res) => {
+    document.getElementById("provider").value = getProvider(res.LLM_PROVIDER || "openai").id;
+    if (res.OPENAI_API_KEY) document.getElementById("apiKey").value = res.OPENAI_API_KEY;
     if (res.OPENAI_MODEL) document.getElementById("model").value = res.OPENAI_MODEL;
+    if (res.LLM_ENDPOINT) document.getElementById("endpoint").value = res.LLM_ENDPOINT;
+    if (res.LLM_API_VERSION) document.getElementById("apiVersion").value = res.LLM_API_VERSION;
+    updateProviderFields();
+    
     if (res.GUARD_MODE) document.getElementById("guardMode").value = res.GUARD_MODE;
     else document.getElementById("guardMode").value = "warn"; // 기본값: 경고 모드 (권장)
+    
+    document.getElementById("threadContextEnabled").checked = res.THREAD_CONTEXT_ENABLED === true;
+    if (res.THREAD_CONTEXT_BUDGET) document.getElementById("threadContextBudget").value = res.THREAD_CONTEXT_BUDGET;
   });
 }
 
@@ -37,43 +223,49 @@ function showApiKeyBanner() {
   }
 }
 
-function save() {
-  let apiKey = document.getElementById("apiKey").value.trim();
-  apiKey = apiKey.replace(/^(["']+)|(["']+)$/g, "").trim();
-  const model = document.getElementById("model").value;
+async function save() {
+  const config = readApiConfigForm();
+  const provider = getProvider(config.provider);
   const guardMode = document.getElementById("guardMode").value;
+
+  if (provider.requiresEndpoint && !config.endpoint) {
+    setStatus("이 제공자는 엔드포인트 URL이 필요합니다.", false);
+    return;
+  }
+
+  if (!(await ensureEndpointPermission(config.endpoint || provider.defaultEndpoint))) {
+    setStatus("엔드포인트 접근 권한이 허용되지 않았습니다.", false);
+    return;
+  }
   
   chrome.storage.sync.set({ 
-    OPENAI_API_KEY: apiKey, 
-    OPENAI_MODEL: model,
+    LLM_PROVIDER: config.provider,
+    LLM_ENDPOINT: config.endpoint,
+    LLM_API_VERSION: config.apiVersion,
+    // Gateway mode never keeps a long-lived key in the browser
+    OPENAI_API_KEY: provider.id === "gateway" ? "" : config.key, 
+    OPENAI_MODEL: config.model || provider.defaultModel || "",
     GUARD_MODE: guardMode
   }, () => {
     alert("저장되었습니다.");
     
     // API 키 상태에 따라 배너 표시/숨김
-    if (apiKey && apiKey.startsWith("sk-")) {
-      hideApiKeyBanner();
-    } else {
-      showApiKeyBanner();
-    }
+    updateApiKeyBanner();
   });
 }
 
 document.getElementById("save").addEventListener("click", save);
 document.addEventListener("DOMContentLoaded", load);
 
-// API 키 입력 필드 변경 감지
-document.getElementById("apiKey").addEventListener("input", (e) => {
-  const apiKey = e.target.value.trim();
-  
-  // 실시간으로 배너 상태 업데이트
-  if (apiKey && apiKey.startsWith("sk-") && apiKey.length > 20) {
-    hideApiKeyBanner();
-  } else {
-    showApiKeyBanner();
-  }
+// Models are provider-specific, so switching providers clears the previous model
+document.getElementById("provider").addEventListener("change", () => {
+  document.getElementById("model").value = "";
+  updateProviderFields();
 });
 
+// API 키 입력 필드 변경 감지 - 실시간으로 배너 상태 업데이트
+document.getElementById("apiKey").addEventListener("input", updateApiKeyBanner);
+
 function setStatus(msg, ok=true) {
   const el = document.getElementById("status");
   if (!el) return;
@@ -82,26 +274,34 @@ function setStatus(msg, ok=true) {
 }
 
 async function validate() {
-  let apiKey = document.getElementById("apiKey").value.trim();
-  apiKey = apiKey.replace(/^(["']+)|(["']+)$/g, "").trim();
+  const config = readApiConfigForm();
+  const provider = getProvider(config.provider);
 
-  if (!apiKey || !apiKey.startsWith("sk-")) {
+  if (provider.id === "openai" && (!config.key || !config.key.startsWith("sk-"))) {
     setStatus("유효하지 않은 키 형식입니다. sk- 로 시작해야 합니다.", false);
     return;
   }
-  setStatus("검증 중…", true);
+  if (provider.requiresKey && !config.key) {
+    setStatus("API Key를 입력해 주세요.", false);
+    return;
+  }
+  if (!(await ensureEndpointPermission(config.endpoint || provider.defaultEndpoint))) {
+    setStatus("엔드포인트 접근 권한이 허용되지 않았습니다.", false);
+    return;
+  }
+
+  setStatus(provider.local ? "로컬 서버 상태 확인 중…" : "검증 중…", true);
   try {
-    const res = await fetch("https://api.openai.com/v1/models", {
-      method: "GET",
-      headers: { "Authorization": `Bearer ${apiKey}` }
+    const response = await chrome.runtime.sendMessage({
+      type: 'BIZTONE_VALIDATE_PROVIDER',
+      config
     });
-    if (res.status === 200) {
-      setStatus("검증 완료: 키가 유효합니다.", true);
-    } else if (res.status === 401) {
-      const t = await res.text();
-      setStatus("401 Unauthorized: 키가 잘못되었거나 권한이 없습니다. " + t, false);
+
+    if (response?.ok) {
+      const version = response.result?.version ? ` (v${response.result.version})` : "";
+      setStatus(`검증 완료: ${provider.label} 응답을 확인했습니다.${version}`, true);
     } else {
-      setStatus(`검증 실패: HTTP ${res.status}`, false);
+      setStatus(`검증 실패: ${response?.error || "응답 없음"}`, false);
     }
   } catch (e) {
     setStatus("네트워크 오류: " + (e?.message || e), false);
@@ -109,6 +309,51 @@ async function validate() {
 }
 
 document.getElementById("validate").addEventListener("click", validate);
+document.getElementById("gatewayLogin").addEventListener("click", () => gatewayAuth(true));
+document.getElementById("gatewayLogout").addEventListener("click", () => gatewayAuth(false));
+document.getElementById("endpoint").addEventListener("change", () => {
+  if (document.getElementById("provider").value === "gateway") refreshGatewayStatus();
+});
+
+/**
+ * Discover models from a self-hosted server and offer them as suggestions
+ */
+async function discoverModels() {
+  const config = readApiConfigForm();
+  const provider = getProvider(config.provider);
+
+  if (!(await ensureEndpointPermission(config.endpoint || provider.defaultEndpoint))) {
+    setStatus("엔드포인트 접근 권한이 허용되지 않았습니다.", false);
+    return;
+  }
+
+  setStatus("모델 목록 불러오는 중…", true);
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'BIZTONE_LIST_MODELS',
+      config
+    });
+
+    if (!response?.ok) {
+      setStatus(`모델 목록 조회 실패: ${response?.error || "응답 없음"}`, false);
+      return;
+    }
+
+    const models = response.result?.models || [];
+    document.getElementById("modelOptions").innerHTML = models
+      .map(model => `<option value="${escapeHtml(model)}"></option>`)
+      .join('');
+
+    if (models.length > 0 && !document.getElementById("model").value.trim()) {
+      document.getElementById("model").value = models[0];
+    }
+    setStatus(models.length > 0 ? `${models.length}개의 모델을 찾았습니다.` : "서버에 설치된 모델이 없습니다.", models.length > 0);
+  } catch (error) {
+    setStatus("네트워크 오류: " + (error?.message || error), false);
+  }
+}
+
+document.getElementById("discoverModels").addEventListener("click", discoverModels);
 
 // ==================== DOMAIN MANAGEMENT ====================
 
@@ -117,12 +362,13 @@ document.getElementById("validate").addEventListener("click", validate);
  */
 async function loadDomainRules() {
   try {
-    const response = await chrome.runtime.sendMessage({
-      type: 'BIZTONE_GET_DOMAIN_RULES'
-    });
+    const [response, profilesResponse] = await Promise.all([
+      chrome.runtime.sendMessage({ type: 'BIZTONE_GET_DOMAIN_RULES' }),
+      chrome.runtime.sendMessage({ type: 'BIZTONE_GET_TONE_PROFILES' })
+    ]);
     
     if (response?.ok && response.result) {
-      displayDomainRules(response.result);
+      displayDomainRules(response.result, profilesResponse?.result?.profiles || []);
     } else {
       console.error('Failed to load domain rules');
     }
@@ -131,10 +377,17 @@ async function loadDomainRules() {
   }
 }
 
+const DOMAIN_GUARD_MODE_LABELS = {
+  inherit: '기본 설정 따름',
+  warn: '경고',
+  convert: '자동변환',
+  off: '감지 끔'
+};
+
 /**
  * Display domain rules in the UI
  */
-function displayDomainRules(rules) {
+function displayDomainRules(rules, profiles = []) {
   const container = document.getElementById('domainList');
   
   if (Object.keys(rules).length === 0) {
@@ -142,9 +395,13 @@ function displayDomainRules(rules) {
     return;
   }
   
-  let html = '<div style="margin-bottom: 10px; font-weight: 600; color: #374151;">등록된 도메인</div>';
+  let html = '<div style="margin-bottom: 10px; font-weight: 600; color: #374151;">등록된 도메인 <span style="font-weight: 400; font-size: 12px; color: #6b7280;">(우선순위 높은 순)</span></div>';
+  
+  // Same order the matcher uses: priority first, then pattern
+  const sortedRules = Object.entries(rules).sort(([a, ruleA], [b, ruleB]) =>
+    (Number(ruleB.priority) || 0) - (Number(ruleA.priority) || 0) || a.localeCompare(b));
   
-  Object.entries(rules).forEach(([domain, rule]) => {
+  sortedRules.forEach(([domain, rule]) => {
     const now = Date.now();
     const paused = rule.pauseUntil && rule.pauseUntil > now;
     const pauseRemaining = paused ? Math.ceil((rule.pauseUntil - now) / (60 * 1000)) : 0;
@@ -161,11 +418,21 @@ function displayDomainRules(rules) {
       statusColor = '#ef4444';
     }
     
+    // Legacy rules stored mode: 'guard', which means "follow the global setting"
+    const mode = DOMAIN_GUARD_MODE_LABELS[rule.mode] ? rule.mode : 'inherit';
+    const modeOptions = Object.entries(DOMAIN_GUARD_MODE_LABELS)
+      .map(([value, label]) => `<option value="${value}"${value === mode ? ' selected' : ''}>${label}</option>`)
+      .join('');
+    const profileOptions = ['<option value="">기본 프로필</option>']
+      .concat(profiles.map(profile =>
+        `<option value="${profile.id}"${profile.id === rule.toneProfileId ? ' selected' : ''}>${escapeHtml(profile.name)}</option>`))
+      .join('');
+    
     html += `
       <div style="border: 1px solid #e5e7eb; border-radius: 8px; padding: 12px; margin-bottom: 8px; background: #f9fafb;">
         <div style="display: flex; justify-content: space-between; align-items: center;">
           <div>
-            <div style="font-weight: 600; color: #111827;">${domain}</div>
+            <div style="font-weight: 600; color: #111827;">${escapeHtml(domain)}${rule.priority ? ` <span style="font-size: 11px; color: #6b7280;">우선순위 ${rule.priority}</span>` : ''}</div>
             <div style="font-size: 12px; color: ${statusColor}; margin-top: 2px;">${statusText}</div>
           </div>
           <div style="display: flex; gap: 6px;">
@@ -177,6 +444,29 @@ function displayDomainRules(rules) {
             </button>
           </div>
         </div>
+        <div class="domain-settings" data-domain="${domain}" style="display: flex; gap: 8px; align-items: end; margin-top: 10px; font-size: 12px;">
+          <div style="flex: 1;">
+            <div style="color: #6b7280; margin-bottom: 2px;">감지 모드</div>
+            <select class="domain-mode" style="padding: 6px;">${modeOptions}</select>
+          </div>
+          <div style="flex: 0 0 70px;">
+            <div style="color: #6b7280; margin-bottom: 2px;">통과 ≤</div>
+            <input class="domain-pass-max" type="number" min="0" max="20" placeholder="1" value="${rule.thresholds?.passMax ?? ''}" style="padding: 6px;" />
+          </div>
+          <div style="flex: 0 0 70px;">
+            <div style="color: #6b7280; margin-bottom: 2px;">강한 표현 ≥</div>
+            <input class="domain-convert-min" type="number" min="1" max="20" placeholder="4" value="${rule.thresholds?.convertMin ?? ''}" style="padding: 6px;" />
+          </div>
+          <div style="flex: 1;">
+            <div style="color: #6b7280; margin-bottom: 2px;">톤 프로필</div>
+            <select class="domain-profile" style="padding: 6px;">${profileOptions}</select>
+          </div>
+          <div style="flex: 0 0 64px;">
+            <div style="color: #6b7280; margin-bottom: 2px;">우선순위</div>
+            <input class="domain-priority" type="number" min="-100" max="100" value="${Number(rule.priority) || 0}" style="padding: 6px;" />
+          </div>
+          <button class="save-domain-settings-btn" style="font-size: 11px; padding: 6px 10px;">적용</button>
+        </div>
       </div>
     `;
   });
@@ -197,6 +487,60 @@ function displayDomainRules(rules) {
       await removeDomainRule(domain);
     });
   });
+  
+  container.querySelectorAll('.domain-settings').forEach(row => {
+    row.querySelector('.save-domain-settings-btn').addEventListener('click', async () => {
+      await saveDomainSettings(row.getAttribute('data-domain'), row);
+    });
+  });
+}
+
+/**
+ * Save per-domain guard mode, thresholds and tone profile
+ */
+async function saveDomainSettings(domain, row) {
+  const priority = Number(row.querySelector('.domain-priority').value || 0);
+  const passMax = row.querySelector('.domain-pass-max').value.trim();
+  const convertMin = row.querySelector('.domain-convert-min').value.trim();
+  let thresholds = null;
+  
+  // Both empty = use the built-in thresholds
+  if (passMax !== '' || convertMin !== '') {
+    thresholds = { passMax: Number(passMax || 1), convertMin: Number(convertMin || 4) };
+    if (!Number.isInteger(thresholds.passMax) || !Number.isInteger(thresholds.convertMin) ||
+        thresholds.passMax < 0 || thresholds.convertMin > 20 || thresholds.passMax >= thresholds.convertMin) {
+      alert('임계값은 0~20 사이 정수이며, 통과 값은 강한 표현 값보다 작아야 합니다.');
+      return;
+    }
+  }
+  
+  if (!Number.isInteger(priority) || Math.abs(priority) > 100) {
+    alert('우선순위는 -100~100 사이 정수로 입력해주세요.');
+    return;
+  }
+  
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'BIZTONE_SET_DOMAIN_RULE',
+      domain: domain,
+      options: {
+        mode: row.querySelector('.domain-mode').value,
+        thresholds,
+        toneProfileId: row.querySelector('.domain-profile').value || null,
+        priority
+      }
+    });
+    
+    if (response?.ok) {
+      loadDomainRules();
+      setStatus(`${domain} 설정이 저장되었습니다.`, true);
+    } else {
+      alert('도메인 설정 저장에 실패했습니다.');
+    }
+  } catch (error) {
+    console.error('Error saving domain settings:', error);
+    alert('연결 오류가 발생했습니다.');
+  }
 }
 
 /**
@@ -204,16 +548,16 @@ function displayDomainRules(rules) {
  */
 async function addDomainRule() {
   const input = document.getElementById('domainInput');
-  const domain = input.value.trim().toLowerCase();
+  const domain = normalizeRulePattern(input.value);
   
   if (!domain) {
     alert('도메인을 입력해주세요.');
     return;
   }
   
-  // Basic domain validation
-  if (!/^[a-z0-9.-]+\.[a-z]{2,}$/.test(domain)) {
-    alert('올바른 도메인 형식을 입력해주세요. (예: slack.com)');
+  // Basic pattern validation: host or *.host, optional path glob
+  if (!/^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*\.[a-z]{2,}(\/[^\s"'<>]*)?$/.test(domain)) {
+    alert('올바른 도메인 형식을 입력해주세요. (예: slack.com, *.slack.com, mail.google.com/mail/*)');
     return;
   }
   
@@ -237,6 +581,60 @@ async function addDomainRule() {
   }
 }
 
+/**
+ * Normalize a rule pattern: drop scheme, lowercase the host part only (paths are case-sensitive)
+ */
+function normalizeRulePattern(value) {
+  const pattern = value.trim().replace(/^[a-z]+:\/\//i, '');
+  const slashIndex = pattern.indexOf('/');
+  if (slashIndex === -1) return pattern.toLowerCase();
+  return pattern.slice(0, slashIndex).toLowerCase() + pattern.slice(slashIndex);
+}
+
+/**
+ * Test which domain rule applies to a URL
+ */
+async function testDomainRule() {
+  const input = document.getElementById('domainTestUrl');
+  const resultBox = document.getElementById('domainTestResult');
+  let url = input.value.trim();
+  
+  if (!url) {
+    alert('테스트할 URL을 입력해주세요.');
+    return;
+  }
+  if (!/^[a-z]+:\/\//i.test(url)) {
+    url = `https://${url}`;
+  }
+  
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'BIZTONE_TEST_DOMAIN_RULE',
+      url
+    });
+    
+    if (!response?.ok) {
+      resultBox.innerHTML = '<div style="color: #ef4444;">올바른 URL이 아닙니다.</div>';
+      return;
+    }
+    
+    const { winner, matches, status } = response.result;
+    if (!winner) {
+      resultBox.innerHTML = `<div class="muted">일치하는 규칙이 없습니다 — 기본 설정(${DOMAIN_GUARD_MODE_LABELS[status.guardMode] || status.guardMode})이 적용됩니다.</div>`;
+      return;
+    }
+    
+    const statusText = status.paused ? '일시중지' : (status.enabled ? '활성' : '비활성');
+    resultBox.innerHTML = `
+      <div>적용 규칙: <strong>${escapeHtml(winner)}</strong> — ${statusText}, ${DOMAIN_GUARD_MODE_LABELS[status.guardMode] || status.guardMode}</div>
+      ${matches.length > 1 ? `<div class="muted" style="margin-top: 4px;">일치한 규칙: ${matches.map(m => `${escapeHtml(m.pattern)} (우선순위 ${m.priority})`).join(' › ')}</div>` : ''}
+    `;
+  } catch (error) {
+    console.error('Error testing domain rule:', error);
+    alert('연결 오류가 발생했습니다.');
+  }
+}
+
 /**
  * Toggle domain rule
  */
@@ -288,6 +686,12 @@ async function removeDomainRule(domain) {
 
 // Event listeners
 document.getElementById('addDomain').addEventListener('click', addDomainRule);
+document.getElementById('testDomainRule').addEventListener('click', testDomainRule);
+document.getElementById('domainTestUrl').addEventListener('keypress', (e) => {
+  if (e.key === 'Enter') {
+    testDomainRule();
+  }
+});
 document.getElementById('domainInput').addEventListener('keypress', (e) => {
   if (e.key === 'Enter') {
     addDomainRule();
@@ -320,6 +724,247 @@ document.getElementById("saveGuardMode").addEventListener("click", () => {
   });
 });
 
+// Thread context save button
+document.getElementById("saveThreadContext").addEventListener("click", () => {
+  const budget = Number(document.getElementById("threadContextBudget").value);
+  if (!Number.isInteger(budget) || budget < 200 || budget > 3000) {
+    alert("최대 글자 수는 200~3000 사이로 입력해주세요.");
+    return;
+  }
+  
+  chrome.storage.sync.set({
+    THREAD_CONTEXT_ENABLED: document.getElementById("threadContextEnabled").checked,
+    THREAD_CONTEXT_BUDGET: budget
+  }, () => {
+    setStatus("대화 맥락 설정이 저장되었습니다.", true);
+    setTimeout(() => setStatus(""), 2000);
+  });
+});
+
+// ==================== TONE PROFILES ====================
+
+const FORMALITY_LABELS = { high: '격식 높음', medium: '격식 보통', casual: '부드럽게' };
+const SPEECH_LEVEL_LABELS = { auto: '자동', hasipsio: '하십시오체', haeyo: '해요체' };
+
+// Profiles as last loaded, for filling the edit form
+let toneProfiles = [];
+
+/**
+ * Load and display tone profiles
+ */
+async function loadToneProfiles() {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'BIZTONE_GET_TONE_PROFILES'
+    });
+    
+    if (response?.ok && response.result) {
+      toneProfiles = response.result.profiles || [];
+      displayToneProfiles(toneProfiles, response.result.defaultProfileId);
+    } else {
+      console.error('Failed to load tone profiles');
+    }
+  } catch (error) {
+    console.error('Error loading tone profiles:', error);
+  }
+}
+
+/**
+ * Display tone profiles in the UI
+ */
+function displayToneProfiles(profiles, defaultProfileId) {
+  const container = document.getElementById('toneProfileList');
+  
+  if (profiles.length === 0) {
+    container.innerHTML = '<div class="muted">등록된 프로필이 없습니다.</div>';
+    return;
+  }
+  
+  let html = '';
+  
+  profiles.forEach(profile => {
+    const isDefault = profile.id === defaultProfileId;
+    const details = [
+      FORMALITY_LABELS[profile.formality],
+      SPEECH_LEVEL_LABELS[profile.speechLevel],
+      profile.maxLength ? `${profile.maxLength}자 이내` : null,
+      profile.bannedPhrases?.length ? `금지 표현 ${profile.bannedPhrases.length}개` : null
+    ].filter(Boolean).join(' · ');
+    
+    html += `
+      <div style="border: 1px solid ${isDefault ? '#3b82f6' : '#e5e7eb'}; border-radius: 8px; padding: 12px; margin-bottom: 8px; background: #f9fafb;">
+        <div style="display: flex; justify-content: space-between; align-items: center;">
+          <div>
+            <div style="font-weight: 600; color: #111827;">${escapeHtml(profile.name)}${isDefault ? ' <span style="font-size: 11px; color: #3b82f6;">(기본)</span>' : ''}</div>
+            <div style="font-size: 12px; color: #6b7280; margin-top: 2px;">${details}</div>
+            ${profile.instructions ? `<div style="font-size: 12px; color: #374151; margin-top: 4px;">${escapeHtml(profile.instructions)}</div>` : ''}
+          </div>
+          <div style="display: flex; gap: 6px; flex-shrink: 0;">
+            ${isDefault ? '' : `<button class="default-profile-btn" data-id="${profile.id}" style="font-size: 11px; padding: 4px 8px;">기본으로</button>`}
+            <button class="edit-profile-btn" data-id="${profile.id}" style="font-size: 11px; padding: 4px 8px;">편집</button>
+            <button class="remove-profile-btn" data-id="${profile.id}" style="font-size: 11px; padding: 4px 8px; background: #ef4444; color: white;">삭제</button>
+          </div>
+        </div>
+      </div>
+    `;
+  });
+  
+  container.innerHTML = html;
+  
+  // Add event listeners to dynamically created buttons
+  container.querySelectorAll('.default-profile-btn').forEach(button => {
+    button.addEventListener('click', () => setDefaultToneProfile(button.getAttribute('data-id')));
+  });
+  
+  container.querySelectorAll('.edit-profile-btn').forEach(button => {
+    button.addEventListener('click', () => editToneProfile(button.getAttribute('data-id')));
+  });
+  
+  container.querySelectorAll('.remove-profile-btn').forEach(button => {
+    button.addEventListener('click', () => removeToneProfile(button.getAttribute('data-id')));
+  });
+}
+
+/**
+ * Fill the profile form with an existing profile
+ */
+function editToneProfile(profileId) {
+  const profile = toneProfiles.find(p => p.id === profileId);
+  if (!profile) return;
+  
+  document.getElementById('profileId').value = profile.id;
+  document.getElementById('profileName').value = profile.name;
+  document.getElementById('profileFormality').value = profile.formality;
+  document.getElementById('profileSpeechLevel').value = profile.speechLevel;
+  document.getElementById('profileMaxLength').value = profile.maxLength || '';
+  document.getElementById('profileBanned').value = (profile.bannedPhrases || []).join(', ');
+  document.getElementById('profileInstructions').value = profile.instructions || '';
+  document.getElementById('cancelProfileEdit').style.display = 'inline-block';
+  document.getElementById('profileName').focus();
+}
+
+/**
+ * Reset the profile form to "new profile" state
+ */
+function resetToneProfileForm() {
+  document.getElementById('profileId').value = '';
+  document.getElementById('profileName').value = '';
+  document.getElementById('profileFormality').value = 'medium';
+  document.getElementById('profileSpeechLevel').value = 'auto';
+  document.getElementById('profileMaxLength').value = '';
+  document.getElementById('profileBanned').value = '';
+  document.getElementById('profileInstructions').value = '';
+  document.getElementById('cancelProfileEdit').style.display = 'none';
+}
+
+/**
+ * Create or update tone profile from the form
+ */
+async function saveToneProfile() {
+  const name = document.getElementById('profileName').value.trim();
+  const maxLength = Number(document.getElementById('profileMaxLength').value) || 0;
+  
+  if (!name) {
+    alert('프로필 이름을 입력해주세요.');
+    return;
+  }
+  
+  if (maxLength < 0 || maxLength > 1000) {
+    alert('최대 글자 수는 0~1000 사이로 입력해주세요.');
+    return;
+  }
+  
+  const profile = {
+    id: document.getElementById('profileId').value || undefined,
+    name,
+    formality: document.getElementById('profileFormality').value,
+    speechLevel: document.getElementById('profileSpeechLevel').value,
+    maxLength,
+    bannedPhrases: document.getElementById('profileBanned').value.split(/[,\n]/).map(s => s.trim()).filter(Boolean),
+    instructions: document.getElementById('profileInstructions').value.trim()
+  };
+  
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'BIZTONE_SAVE_TONE_PROFILE',
+      profile
+    });
+    
+    if (response?.ok) {
+      resetToneProfileForm();
+      loadToneProfiles();
+      setStatus(`"${name}" 프로필이 저장되었습니다.`, true);
+    } else {
+      alert('프로필 저장에 실패했습니다.');
+    }
+  } catch (error) {
+    console.error('Error saving tone profile:', error);
+    alert('연결 오류가 발생했습니다.');
+  }
+}
+
+/**
+ * Remove tone profile
+ */
+async function removeToneProfile(profileId) {
+  if (!confirm('이 톤 프로필을 삭제하시겠습니까?')) {
+    return;
+  }
+  
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'BIZTONE_REMOVE_TONE_PROFILE',
+      profileId
+    });
+    
+    if (response?.ok) {
+      if (document.getElementById('profileId').value === profileId) {
+        resetToneProfileForm();
+      }
+      loadToneProfiles();
+      setStatus('프로필이 삭제되었습니다.', true);
+    } else {
+      alert('프로필 삭제에 실패했습니다. 마지막 남은 프로필은 삭제할 수 없습니다.');
+    }
+  } catch (error) {
+    console.error('Error removing tone profile:', error);
+    alert('연결 오류가 발생했습니다.');
+  }
+}
+
+/**
+ * Make a profile the default for keyboard shortcut and guard conversions
+ */
+async function setDefaultToneProfile(profileId) {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'BIZTONE_SET_DEFAULT_TONE_PROFILE',
+      profileId
+    });
+    
+    if (response?.ok) {
+      loadToneProfiles();
+      setStatus('기본 프로필이 변경되었습니다.', true);
+    } else {
+      alert('기본 프로필 변경에 실패했습니다.');
+    }
+  } catch (error) {
+    console.error('Error setting default tone profile:', error);
+    alert('연결 오류가 발생했습니다.');
+  }
+}
+
+// Event listeners
+document.getElementById('saveProfile').addEventListener('click', saveToneProfile);
+document.getElementById('cancelProfileEdit').addEventListener('click', resetToneProfileForm);
+
+// Load tone profiles on page load
+document.addEventListener('DOMContentLoaded', () => {
+  setTimeout(() => {
+    loadToneProfiles();
+  }, 120);
+});
+
 // ==================== WHITELIST/BLACKLIST MANAGEMENT ====================
 
 /**
@@ -332,7 +977,8 @@ async function loadWhitelist() {
     });
     
     if (response?.ok && response.result) {
-      displayWhitelistItems(response.result.whitelist || []);
+      displayWhitelistItems(response.result.whitelist || [], response.result.available !== false);
+      loadListStorageUsage();
     } else {
       console.error('Failed to load whitelist');
     }
@@ -351,7 +997,8 @@ async function loadBlacklist() {
     });
     
     if (response?.ok && response.result) {
-      displayBlacklistItems(response.result.blacklist || []);
+      displayBlacklistItems(response.result.blacklist || [], response.result.available !== false);
+      loadListStorageUsage();
     } else {
       console.error('Failed to load blacklist');
     }
@@ -360,12 +1007,66 @@ async function loadBlacklist() {
   }
 }
 
+/**
+ * Formats a byte count for the storage usage line
+ * @param {number} bytes - Size in bytes
+ * @returns {string} e.g. "12.3KB"
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes}B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)}KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)}MB`;
+}
+
+/**
+ * Load and display how much storage the lists use and where they live
+ */
+async function loadListStorageUsage() {
+  const container = document.getElementById('listStorageUsage');
+  if (!container) return;
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'BIZTONE_GET_LIST_STORAGE_USAGE' });
+    if (!response?.ok) {
+      container.textContent = '저장 공간 정보를 불러오지 못했습니다.';
+      return;
+    }
+
+    const { whitelist, blacklist, sync, local, syncBudget } = response.result;
+    const describeList = (label, list) => {
+      // The index syncs but the items don't; its count would read as a real total here
+      if (!list.available) return `${label} — 다른 기기에만 저장되어 있어 이 기기에서는 불러오거나 수정할 수 없습니다`;
+      return list.area === 'local'
+        ? `${label} ${list.count}개 · ${formatBytes(list.bytes)} (이 기기에만 저장 — 동기화 한도 ${formatBytes(syncBudget)} 초과)`
+        : `${label} ${list.count}개 · ${formatBytes(list.bytes)} / ${formatBytes(syncBudget)} (동기화)`;
+    };
+    const syncPercent = sync.quota ? Math.min(100, Math.round(sync.bytesInUse / sync.quota * 100)) : 0;
+
+    container.innerHTML = `
+      <div>${escapeHtml(describeList('허용 표현', whitelist))}</div>
+      <div>${escapeHtml(describeList('금지 표현', blacklist))}</div>
+      <div style="margin-top: 8px;">동기화 저장소 ${formatBytes(sync.bytesInUse)} / ${formatBytes(sync.quota)} (${syncPercent}%)
+        · 로컬 저장소 ${formatBytes(local.bytesInUse)} / ${formatBytes(local.quota)}</div>
+      <div style="margin-top: 4px; height: 6px; background: #e5e7eb; border-radius: 3px; overflow: hidden;">
+        <div style="height: 100%; width: ${syncPercent}%; background: ${syncPercent >= 90 ? '#ef4444' : '#3b82f6'};"></div>
+      </div>
+    `;
+  } catch (error) {
+    console.error('Error loading list storage usage:', error);
+  }
+}
+
 /**
  * Display whitelist items in the UI
  */
-function displayWhitelistItems(items) {
+function displayWhitelistItems(items, available = true) {
   const container = document.getElementById('whitelistItems');
   
+  if (!available) {
+    container.innerHTML = '<div class="list-empty">허용 표현 목록이 다른 기기에만 저장되어 있어 이 기기에서는 볼 수 없습니다.</div>';
+    return;
+  }
+
   if (items.length === 0) {
     container.innerHTML = '<div class="list-empty">등록된 허용 표현이 없습니다.</div>';
     return;
@@ -390,9 +1091,14 @@ function displayWhitelistItems(items) {
 /**
  * Display blacklist items in the UI
  */
-function displayBlacklistItems(items) {
+function displayBlacklistItems(items, available = true) {
   const container = document.getElementById('blacklistItems');
   
+  if (!available) {
+    container.innerHTML = '<div class="list-empty">금지 표현 목록이 다른 기기에만 저장되어 있어 이 기기에서는 볼 수 없습니다.</div>';
+    return;
+  }
+
   if (items.length === 0) {
     container.innerHTML = '<div class="list-empty">등록된 금지 표현이 없습니다.</div>';
     return;
@@ -427,11 +1133,21 @@ function createListItemHTML(item, type) {
   const localeLabel = {
     ko: '한국어',
     en: '영어',
+    ja: '일본어',
+    zh: '중국어',
     all: '모든언어'
   }[item.locale] || item.locale;
   
   const weightDisplay = type === 'blacklist' ? 
     `<span class="list-item-tag weight-${item.weight}">위험도 +${item.weight}</span>` : '';
+
+  const domainDisplay = item.domains?.length ?
+    `<span class="list-item-tag domain-scope">${escapeHtml(item.domains.join(', '))}에서만</span>` : '';
+
+  const seedDisplay = item.seed ? '<span class="list-item-tag seed">기본</span>' : '';
+
+  const expiryDisplay = item.expiresAt ?
+    `<span class="list-item-tag expiry${item.expiresAt <= Date.now() ? ' expired' : ''}">${new Date(item.expiresAt).toLocaleDateString('ko-KR')}까지</span>` : '';
   
   return `
     <div class="list-item">
@@ -441,6 +1157,9 @@ function createListItemHTML(item, type) {
           <span class="list-item-tag match-${item.match}">${matchLabel}</span>
           <span class="list-item-tag locale-${item.locale}">${localeLabel}</span>
           ${weightDisplay}
+          ${domainDisplay}
+          ${expiryDisplay}
+          ${seedDisplay}
           <span style="color: #9ca3af;">ID: ${item.id.substring(0, 8)}</span>
         </div>
       </div>
@@ -451,6 +1170,38 @@ function createListItemHTML(item, type) {
   `;
 }
 
+/**
+ * Parses the comma-separated domain field of the list forms into hostnames
+ * @param {string} value - e.g. "https://slack.com/app, dev.example.com"
+ * @returns {Array<string>} Lowercased hostnames
+ */
+function parseListDomains(value) {
+  return value.split(',')
+    .map(domain => domain.trim().toLowerCase()
+      .replace(/^[a-z]+:\/\//, '')
+      .replace(/[\/:?#].*$/, ''))
+    .filter(Boolean);
+}
+
+/**
+ * Reads the domain/expiry fields of a list form into optional item fields
+ * @param {string} prefix - 'whitelist' or 'blacklist'
+ * @returns {Object} { domains?, expiresAt? }
+ */
+function readListScope(prefix) {
+  const scope = {};
+  const domains = parseListDomains(document.getElementById(`${prefix}Domains`).value);
+  const expiryDays = parseInt(document.getElementById(`${prefix}Expiry`).value);
+
+  if (domains.length > 0) {
+    scope.domains = domains;
+  }
+  if (expiryDays > 0) {
+    scope.expiresAt = Date.now() + expiryDays * 24 * 60 * 60 * 1000;
+  }
+  return scope;
+}
+
 /**
  * Add whitelist item
  */
@@ -469,7 +1220,8 @@ async function addWhitelistItem() {
     text,
     match,
     locale,
-    createdAt: Date.now()
+    createdAt: Date.now(),
+    ...readListScope('whitelist')
   };
   
   try {
@@ -511,7 +1263,8 @@ async function addBlacklistItem() {
     match,
     weight,
     locale,
-    createdAt: Date.now()
+    createdAt: Date.now(),
+    ...readListScope('blacklist')
   };
   
   try {
@@ -555,6 +1308,27 @@ async function removeWhitelistItem(itemId) {
   }
 }
 
+/**
+ * Re-add the default whitelist items (시발점, 개발자, ...) that were deleted
+ */
+async function restoreDefaultWhitelist() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'BIZTONE_RESTORE_DEFAULT_WHITELIST' });
+
+    if (response?.ok) {
+      loadWhitelist();
+      setStatus(response.result.added > 0
+        ? `기본 허용 표현 ${response.result.added}개를 복원했습니다.`
+        : '기본 허용 표현이 모두 등록되어 있습니다.', true);
+    } else {
+      alert('기본 허용 표현 복원에 실패했습니다.');
+    }
+  } catch (error) {
+    console.error('Error restoring default whitelist:', error);
+    alert('연결 오류가 발생했습니다.');
+  }
+}
+
 /**
  * Remove blacklist item
  */
@@ -757,6 +1531,8 @@ document.getElementById('blacklistText').addEventListener('keypress', (e) => {
   }
 });
 
+document.getElementById('restoreDefaultWhitelist').addEventListener('click', restoreDefaultWhitelist);
+
 // Export/Import functionality
 document.getElementById('exportWhitelist').addEventListener('click', exportWhitelist);
 document.getElementById('exportBlacklist').addEventListener('click', exportBlacklist);
@@ -90,12 +90,15 @@ async function loadDomainStatus() {
 function updateDomainUI() {
   if (!domainStatus) return;
   
-  const { enabled, paused, pauseRemaining } = domainStatus;
+  const { enabled, paused, pauseRemaining, guardMode } = domainStatus;
   
   // Update status text
   if (paused) {
     $("#domainStatus").textContent = `⏸️ ${pauseRemaining}분 일시중지`;
     $("#domainStatus").style.color = "#fbbf24";
+  } else if (enabled && guardMode === "off") {
+    $("#domainStatus").textContent = "🔕 감지 끔 (도메인 설정)";
+    $("#domainStatus").style.color = "#9ca3af";
   } else if (enabled) {
     $("#domainStatus").textContent = "✅ 활성";
     $("#domainStatus").style.color = "#10b981";
@@ -0,0 +1,76 @@
+/**
+ * Shared runner for the unit test pages (test_normalization.html, test_whitelist.html, ...).
+ * Load it before background.js; each page then registers test() cases and calls runTests().
+ */
+
+// Minimal chrome.* stub so background.js can load outside the extension:
+// every property is another stub, every call resolves to {}
+(function () {
+    const makeStub = () => new Proxy(function () {}, {
+        get: (target, key) => {
+            if (typeof key === 'symbol' || key === 'then') return undefined;
+            if (!(key in target)) target[key] = makeStub();
+            return target[key];
+        },
+        apply: () => Promise.resolve({})
+    });
+    Object.defineProperty(window, 'chrome', { value: makeStub(), configurable: true, writable: true });
+
+    // Lexicon files are fetched relative to the page (needs a local server, not file://)
+    chrome.runtime.getURL = path => path;
+})();
+
+const tests = [];
+
+function test(name, fn) {
+    tests.push({ name, fn });
+}
+
+function assertEqual(actual, expected, label = '') {
+    const actualJson = JSON.stringify(actual);
+    const expectedJson = JSON.stringify(expected);
+    if (actualJson !== expectedJson) {
+        throw new Error(`${label ? label + ': ' : ''}expected ${expectedJson}, got ${actualJson}`);
+    }
+}
+
+function assert(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+/**
+ * Runs the registered tests and reports into #summary, #results and the console
+ */
+async function runTests() {
+    // Let background.js finish its startup (pattern compilation, default seeding) first
+    await loadAndCompilePatterns();
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const results = [];
+    for (const { name, fn } of tests) {
+        try {
+            await fn();
+            results.push({ name, ok: true });
+        } catch (error) {
+            results.push({ name, ok: false, message: error.message });
+        }
+    }
+
+    const failed = results.filter(result => !result.ok);
+    const summary = document.getElementById('summary');
+    summary.textContent = failed.length === 0
+        ? `✅ ${results.length}개 테스트 모두 통과`
+        : `❌ ${failed.length} / ${results.length}개 테스트 실패`;
+    summary.className = `summary ${failed.length === 0 ? 'pass' : 'fail'}`;
+
+    document.getElementById('results').innerHTML = results.map(result => {
+        const item = document.createElement('div');
+        item.className = `result-item ${result.ok ? 'pass' : 'fail'}`;
+        item.textContent = `${result.ok ? '✅' : '❌'} ${result.name}${result.message ? '\n   ' + result.message : ''}`;
+        return item.outerHTML;
+    }).join('');
+
+    results.forEach(result => {
+        (result.ok ? console.log : console.error)(`[Test] ${result.ok ? 'PASS' : 'FAIL'} ${result.name}${result.message ? ' — ' + result.message : ''}`);
+    });
+}